@@ -2,21 +2,59 @@
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
-const querystring = require('querystring');
 const request = require('request');
-const analyticsURI = "analyticsapi.zoho.com";
-const accountsURI = "accounts.zoho.com";
+const TokenManager = require('./TokenManager');
+const { getRegionHosts } = require('./Regions');
 const clientVersion = "2.6.0";
 
+// Zoho's error payload ({ errorCode, errorMessage }) for a failed response, with the HTTP status it came with
+function upstreamError(statusCode, body)
+{
+    var payload = null;
+    try
+    {
+        payload = JSON.parse(body).data;
+    }
+    catch (e)
+    {
+        // Not JSON, e.g. an error page from a load balancer
+    }
+    if (!payload || typeof payload !== 'object')
+    {
+        payload = { errorMessage: 'HTTP ' + statusCode };
+    }
+    payload.httpStatus = statusCode;
+    return payload;
+}
+
 
 class AnalyticsClient
 {
-    constructor(clientId, clientSecret, refreshToken)
+    /**
+     * @param {String} clientId - OAuth client ID.
+     * @param {String} clientSecret - OAuth client secret.
+     * @param {String} refreshToken - OAuth refresh token.
+     * @param {Object} options={} - region: Zoho data center (us, eu, in, au, jp, ca, sa, cn), defaults to us.
+     *                                tokenManager: a shared TokenManager to use instead of creating one.
+     *                                logger: object with error, warn, info and debug methods, defaults to console.
+     *                                onRequest: called with (method, uriPath) before every API request is sent.
+     *                                callUpstream: called with (method, uriPath, send) for every API request; send()
+     *                                  makes one attempt, so the caller can retry it. Defaults to calling send().
+     */
+    constructor(clientId, clientSecret, refreshToken, options={})
     {
+        var hosts = getRegionHosts(options.region);
         this.clientId = clientId;
         this.clientSecret = clientSecret;
         this.refreshToken = refreshToken;
         this.accessToken = null;
+        this.region = hosts.region;
+        this.analyticsURI = hosts.analyticsHost;
+        this.accountsURI = hosts.accountsHost;
+        this.tokenManager = options.tokenManager || new TokenManager(clientId, clientSecret, refreshToken, { accountsHost: this.accountsURI });
+        this.logger = options.logger || console;
+        this.onRequest = options.onRequest || function() {};
+        this.callUpstream = options.callUpstream || function(method, uriPath, send) { return send(); };
     }
 
     /**
@@ -237,18 +275,15 @@ class AnalyticsClient
             config.isLastBatch = (i == (totalBatchCount - 1))? "true" : "false"
             
             var encodedConfig = encodeURIComponent(JSON.stringify(config));
-            var url = 'https://'+analyticsURI + uriPath + "?" + "CONFIG" + "=" + encodedConfig;
+            var url = 'https://'+this.analyticsURI + uriPath + "?" + "CONFIG" + "=" + encodedConfig;
 
-            if(this.accessToken == null)
-            {
-                this.accessToken = await this.getOauth();
-            }
-            var response = await this.sendBatchImportRequest(url, header, batch).catch(async error=>
+            this.accessToken = await this.tokenManager.getAccessToken();
+            var response = await this.callUpstream("POST", uriPath, () => this.sendBatchImportRequest(url, header, batch)).catch(async error=>
             {
                 if(error.errorCode == "8535")
                 {
-                    this.accessToken = await this.getOauth();
-                    response = await this.sendBatchImportRequest(url, header, batch);
+                    this.accessToken = await this.tokenManager.refresh(this.accessToken);
+                    return await this.callUpstream("POST", uriPath, () => this.sendBatchImportRequest(url, header, batch));
                 }
                 else
                 {
@@ -265,6 +300,7 @@ class AnalyticsClient
 
     sendBatchImportRequest(url, header, batch)
     {
+        this.onRequest("POST", url);
         header.Authorization = 'Zoho-oauthtoken ' + this.accessToken;
         return new Promise(function(resolve, reject) {
 
@@ -280,18 +316,17 @@ class AnalyticsClient
             request.post({url:url, headers:header, formData:formData, secureProtocol:'TLSv1_2_method'}, (err, resp, body)=> {
                 if (err) 
                 {
-                    reject(JSON.parse(err));  
+                    reject(err);  
                 } 
                 else 
                 {
-                    let respJSON = (JSON.parse(body));
                     if(resp.statusCode!==200)
                     {
-                        reject(respJSON.data)
+                        reject(upstreamError(resp.statusCode, body))
                     }
                     else
                     {
-                        resolve(respJSON.data)
+                        resolve(JSON.parse(body).data)
                     }
                 }
             });
@@ -300,16 +335,13 @@ class AnalyticsClient
 
     async handleImportRequest(uriPath, config, header, filePath, data=null)
     {
-        if(this.accessToken == null)
-        {
-            this.accessToken = await this.getOauth();
-        }
-        return await this.sendImportRequest(uriPath, config, header, filePath, data).catch(async error=>
+        this.accessToken = await this.tokenManager.getAccessToken();
+        return await this.callUpstream("POST", uriPath, () => this.sendImportRequest(uriPath, config, header, filePath, data)).catch(async error=>
         {
             if(error.errorCode == "8535")
             {
-                this.accessToken = await this.getOauth();
-                return await this.sendImportRequest(uriPath, config, header, filePath, data);
+                this.accessToken = await this.tokenManager.refresh(this.accessToken);
+                return await this.callUpstream("POST", uriPath, () => this.sendImportRequest(uriPath, config, header, filePath, data));
             }
             else
             {
@@ -320,6 +352,7 @@ class AnalyticsClient
 
     sendImportRequest(uriPath, config, header={}, filePath, data)
     {
+      this.onRequest("POST", uriPath);
       header['User-Agent'] = 'Analytics NodeJS Client v'+clientVersion;
       header.Authorization = 'Zoho-oauthtoken ' + this.accessToken;
 
@@ -329,7 +362,7 @@ class AnalyticsClient
         var configParam = "CONFIG" + "=" + encodedConfig;
         uriPath = uriPath + "?" + configParam;
       }
-      var url = 'https://'+analyticsURI+uriPath;
+      var url = 'https://'+this.analyticsURI+uriPath;
 
       if(data !== null)
       {
@@ -344,18 +377,17 @@ class AnalyticsClient
                     var req = request.post({url:url, headers:header, formData:formData, secureProtocol:'TLSv1_2_method'}, (err, resp, body)=> {
                     if (err) 
                     {
-                        reject(JSON.parse(err));  
+                        reject(err);  
                     } 
                     else 
                     {
-                        let respJSON = (JSON.parse(body));
                         if(resp.statusCode!==200)
                         {
-                            reject(respJSON.data)
+                            reject(upstreamError(resp.statusCode, body))
                         }
                         else
                         {
-                            resolve(respJSON.data)
+                            resolve(JSON.parse(body).data)
                         }
                     }
           
@@ -377,18 +409,17 @@ class AnalyticsClient
                 var req = request.post({url:url, headers:header, formData:formData, secureProtocol:'TLSv1_2_method'}, (err, resp, body)=> {
                     if (err) 
                     {
-                        reject(JSON.parse(err));  
+                        reject(err);  
                     } 
                     else 
                     {
-                        let respJSON = (JSON.parse(body));
                         if(resp.statusCode!==200)
                         {
-                            reject(respJSON.data)
+                            reject(upstreamError(resp.statusCode, body))
                         }
                         else
                         {
-                            resolve(respJSON.data)
+                            resolve(JSON.parse(body).data)
                         }
                     }
           
@@ -402,16 +433,13 @@ class AnalyticsClient
 
     async handleExportRequest(uriPath, filePath, config, header)
     {
-        if(this.accessToken == null)
-        {
-            this.accessToken = await this.getOauth();
-        }
-        return await this.sendExportRequest(uriPath, filePath, config, header).catch(async error=>
+        this.accessToken = await this.tokenManager.getAccessToken();
+        return await this.callUpstream("GET", uriPath, () => this.sendExportRequest(uriPath, filePath, config, header)).catch(async error=>
         {
             if(error.errorCode == "8535")
             {
-                this.accessToken = await this.getOauth();
-                return await this.sendExportRequest(uriPath, filePath, config, header);
+                this.accessToken = await this.tokenManager.refresh(this.accessToken);
+                return await this.callUpstream("GET", uriPath, () => this.sendExportRequest(uriPath, filePath, config, header));
             }
             else
             {
@@ -422,6 +450,7 @@ class AnalyticsClient
 
     sendExportRequest(uriPath, filePath, config, header={})
     {
+      this.onRequest("GET", uriPath);
       header['User-Agent'] = 'Analytics NodeJS Client v'+clientVersion;
       header.Authorization = 'Zoho-oauthtoken ' + this.accessToken;
 
@@ -433,19 +462,18 @@ class AnalyticsClient
       }
 
 
+    var url = 'https://'+this.analyticsURI+uriPath;
     return new Promise(function(resolve, reject) {
-        var url = 'https://'+analyticsURI+uriPath;
         var req = request.get({url:url,encoding: null,headers:header,secureProtocol: 'TLSv1_2_method'}, (err, resp, body)=> {
         if (err) 
         {
-            reject(JSON.parse(err));  
+            reject(err);  
         } 
         else 
         {
             if(resp.statusCode!==200)
             {
-                let respJSON = (JSON.parse(body));
-                reject(respJSON.data)
+                reject(upstreamError(resp.statusCode, body))
             }
             else
             {
@@ -461,16 +489,13 @@ class AnalyticsClient
 
     async handleV2Request(uriPath, method, config, header, isExportReq = false)
     {
-        if(this.accessToken == null)
-        {
-            this.accessToken = await this.getOauth();
-        }
-        return await this.sendV2Request(uriPath, method, config, header, isExportReq).catch(async error=>
+        this.accessToken = await this.tokenManager.getAccessToken();
+        return await this.callUpstream(method, uriPath, () => this.sendV2Request(uriPath, method, config, header, isExportReq)).catch(async error=>
         {
             if(error.errorCode == "8535")
             {
-                this.accessToken = await this.getOauth();
-                return await this.sendV2Request(uriPath, method, config, header, isExportReq);
+                this.accessToken = await this.tokenManager.refresh(this.accessToken);
+                return await this.callUpstream(method, uriPath, () => this.sendV2Request(uriPath, method, config, header, isExportReq));
             }
             else
             {
@@ -481,6 +506,7 @@ class AnalyticsClient
 
     sendV2Request(uriPath, reqMethod, config, header={}, isExportReq = false)
     {
+      this.onRequest(reqMethod, uriPath);
       header['User-Agent'] = 'Analytics NodeJS Client v'+clientVersion;
       //header.Content-Type = 'application/x-www-form-urlencoded';
       header.Authorization = 'Zoho-oauthtoken ' + this.accessToken;
@@ -496,7 +522,7 @@ class AnalyticsClient
       }
 
       var options = {
-        host: analyticsURI,
+        host: this.analyticsURI,
         path: uriPath,
         headers: header,
         method: reqMethod,
@@ -520,8 +546,7 @@ class AnalyticsClient
           
           if(isRequestFailed)
           {
-            var respJSON = (JSON.parse(data));
-            reject(respJSON.data)
+            reject(upstreamError(resp.statusCode, data))
           }
           else if(isExportReq)
           {
@@ -537,7 +562,7 @@ class AnalyticsClient
         });
       }).on("error", (err) => 
       {
-        reject(JSON.parse(err))
+        reject(err)
       });
 
       req.end();
@@ -545,60 +570,44 @@ class AnalyticsClient
 
     }
     
-    getOauth() 
-    {
-        var oauthinfo = {};
-        oauthinfo.client_id= this.clientId;
-        oauthinfo.client_secret= this.clientSecret;
-        oauthinfo.refresh_token= this.refreshToken;
-        oauthinfo.grant_type= 'refresh_token';
-
-        var encodedParams = querystring.stringify(oauthinfo);
-        var options = {
-          host: accountsURI,
-          path: '/oauth/v2/token',
-          headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'User-Agent': 'Analytics NodeJS Client v'+clientVersion,
-          'Content-Length': encodedParams.length
-          },
-          method: "POST",
-          secureProtocol: 'TLSv1_2_method'
-        };
-        
-        return new Promise(function(resolve, reject) {
-            
-            var req = https.request(options, (resp) => {
-            let data = '';
-            // A chunk of data has been recieved.
-            resp.on('data', (chunk) => {
-              data += chunk;
-            });
+    /**
+     * Refreshes the access token through the client's TokenManager.
+     * @method getOauth
+     * @returns {String} Access token.
+     * @throws {Error} If the token could not be refreshed.
+     */
+    getOauth()
+    {
+        return this.tokenManager.refresh();
+    }
 
-              // The whole response has been received. Print out the result.
-              resp.on('end', () => {
-              var respJSON = (JSON.parse(data));
-
-              if(!respJSON.error)
-              {
-                resolve(respJSON.access_token);
-              }
-              else
-              {
-                var err = {};
-                err.errorCode = '0';
-                err.errorMessage = respJSON.error;
-                reject(err);
-              }
-
-              });
-
-            }).on("error", (err) => {
-              reject(err.message);
-            });
-            req.write(encodedParams);
-            req.end();
-        });
+    async refreshAccessToken() {
+        try {
+            this.accessToken = await this.tokenManager.refresh();
+            this.logger.info('Access Token Refreshed');
+        } catch (error) {
+            this.logger.error('Error refreshing access token', error);
+        }
+    }
+
+    /**
+     * Returns Zoho's full response for a view: { status, summary, data }.
+     * Goes through callUpstream like every other API request, so it is retried and counted.
+     * @method getReport
+     * @param {String} workspaceId - Id of the workspace.
+     * @param {String} viewId - Id of the view.
+     * @returns {Object} Parsed response, or undefined if the request failed (the error is logged).
+     */
+    async getReport(workspaceId, viewId) {
+        try {
+            const uriPath = `/restapi/v2/workspaces/${encodeURIComponent(workspaceId)}/views/${encodeURIComponent(viewId)}`;
+            const body = await this.handleV2Request(uriPath, "GET", null, {}, true);
+            const data = JSON.parse(body);
+            this.logger.debug('Fetched report', { workspaceId: workspaceId, viewId: viewId });
+            return data;
+        } catch (error) {
+            this.logger.error('Error fetching report', error);
+        }
     }
   
 };
@@ -2640,71 +2649,4 @@ class BulkAPI
 
 }
 
-class AnalyticsClient {
-    constructor(clientId, clientSecret, refreshToken) {
-        this.clientId = clientId;
-        this.clientSecret = clientSecret;
-        this.refreshToken = refreshToken;
-        this.accessToken = null;
-    }
-
-    async refreshAccessToken() {
-        try {
-            const refreshUrl = 'https://accounts.zoho.com/oauth/v2/token';
-            const response = await fetch(refreshUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-                body: new URLSearchParams({
-                    grant_type: 'refresh_token',
-                    refresh_token: this.refreshToken,
-                    client_id: this.clientId,
-                    client_secret: this.clientSecret
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`Failed to refresh token: ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            if (data.access_token) {
-                this.accessToken = data.access_token;
-                console.log('Access Token Refreshed:', this.accessToken);
-            } else {
-                throw new Error('Failed to retrieve access token');
-            }
-        } catch (error) {
-            console.error('Error refreshing access token:', error);
-        }
-    }
-
-    async getReport(workspaceId, viewId) {
-        if (!this.accessToken) {
-            await this.refreshAccessToken();
-        }
-
-        try {
-            const apiUrl = `https://analyticsapi.zoho.com/restapi/v2/workspaces/${encodeURIComponent(workspaceId)}/views/${encodeURIComponent(viewId)}`;
-            const response = await fetch(apiUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Zoho-oauthtoken ${this.accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`Error fetching report: ${response.statusText}, ${JSON.stringify(errorData)}`);
-            }
-
-            const data = await response.json();
-            console.log('Report Data:', data);
-            return data;
-        } catch (error) {
-            console.error('Error fetching report:', error);
-        }
-    }
-}
-
 module.exports = AnalyticsClient;
@@ -0,0 +1,44 @@
+/*$Id$*/
+
+// Zoho data centers and the hosts each one serves its APIs from.
+const regions = {
+    us: { analyticsHost: "analyticsapi.zoho.com", accountsHost: "accounts.zoho.com" },
+    eu: { analyticsHost: "analyticsapi.zoho.eu", accountsHost: "accounts.zoho.eu" },
+    in: { analyticsHost: "analyticsapi.zoho.in", accountsHost: "accounts.zoho.in" },
+    au: { analyticsHost: "analyticsapi.zoho.com.au", accountsHost: "accounts.zoho.com.au" },
+    jp: { analyticsHost: "analyticsapi.zoho.jp", accountsHost: "accounts.zoho.jp" },
+    ca: { analyticsHost: "analyticsapi.zohocloud.ca", accountsHost: "accounts.zohocloud.ca" },
+    sa: { analyticsHost: "analyticsapi.zoho.sa", accountsHost: "accounts.zoho.sa" },
+    cn: { analyticsHost: "analyticsapi.zoho.com.cn", accountsHost: "accounts.zoho.com.cn" }
+};
+
+// Accept the data center's domain suffix as well as its short code
+const aliases = {
+    com: "us",
+    "com.au": "au",
+    "com.cn": "cn",
+    zohocloud: "ca"
+};
+
+/**
+ * Returns the analytics and accounts hosts of a Zoho data center.
+ * @method getRegionHosts
+ * @param {String} region="us" - Region code (us, eu, in, au, jp, ca, sa, cn) or domain suffix (com, com.au, ...).
+ * @returns {Object} { region, analyticsHost, accountsHost }
+ * @throws {Error} If the region is not known.
+ */
+function getRegionHosts(region)
+{
+    var code = String(region || "us").trim().toLowerCase().replace(/^\./, "");
+    code = aliases[code] || code;
+    if(!regions[code])
+    {
+        throw new Error("Unknown Zoho region '" + region + "'. Expected one of: " + Object.keys(regions).join(", "));
+    }
+    return Object.assign({ region: code }, regions[code]);
+}
+
+module.exports = {
+    regions,
+    getRegionHosts
+};
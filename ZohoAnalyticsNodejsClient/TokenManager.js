@@ -0,0 +1,217 @@
+/*$Id$*/
+const https = require('https');
+const querystring = require('querystring');
+const EventEmitter = require('events');
+const clientVersion = "2.6.0";
+
+/**
+ * Keeps a Zoho OAuth access token fresh for any number of consumers.
+ *
+ * - Tracks expires_in and refreshes proactively before the token lapses.
+ * - Concurrent refreshes share one in-flight request.
+ * - Failed refreshes back off exponentially instead of retrying immediately.
+ *
+ * Events:
+ *   'token' (accessToken, expiresAt) - emitted whenever the token rotates.
+ *   'refreshError' (error, retryAt)  - emitted when a refresh fails.
+ */
+class TokenManager extends EventEmitter
+{
+    /**
+     * @param {String} clientId - OAuth client ID.
+     * @param {String} clientSecret - OAuth client secret.
+     * @param {String} refreshToken - OAuth refresh token.
+     * @param {Object} options={} - accountsHost, refreshMarginMs, minBackoffMs, maxBackoffMs, requestTimeoutMs.
+     */
+    constructor(clientId, clientSecret, refreshToken, options={})
+    {
+        super();
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.refreshToken = refreshToken;
+        this.accountsHost = options.accountsHost || "accounts.zoho.com";
+        this.refreshMarginMs = options.refreshMarginMs || 5 * 60 * 1000;
+        this.minBackoffMs = options.minBackoffMs || 1000;
+        this.maxBackoffMs = options.maxBackoffMs || 5 * 60 * 1000;
+        // A hung accounts server would otherwise hold every caller waiting on the shared refresh
+        this.requestTimeoutMs = options.requestTimeoutMs || 15 * 1000;
+
+        this.accessToken = null;
+        this.expiresAt = 0;
+        this.pending = null;
+        this.failures = 0;
+        this.retryAt = 0;
+        this.lastError = null;
+        this.timer = null;
+    }
+
+    /**
+     * Returns a usable access token, refreshing it first when it has expired.
+     * A token inside the refresh margin is returned as-is while a refresh runs in the background.
+     * @method getAccessToken
+     * @returns {String} Access token.
+     * @throws {Error} If no valid token exists and the refresh failed.
+     */
+    async getAccessToken()
+    {
+        var now = Date.now();
+        if(this.accessToken && now < this.expiresAt - this.refreshMarginMs)
+        {
+            return this.accessToken;
+        }
+        if(this.accessToken && now < this.expiresAt)
+        {
+            this.refresh().catch(() => {});
+            return this.accessToken;
+        }
+        return this.refresh();
+    }
+
+    /**
+     * Refreshes the access token. Concurrent callers share the same request.
+     * @method refresh
+     * @param {String} staleToken=null - Token the caller saw rejected. If the token has already rotated since, the current one is returned without another refresh.
+     * @returns {String} New access token.
+     * @throws {Error} If the refresh failed or is still backing off from a previous failure.
+     */
+    refresh(staleToken=null)
+    {
+        if(staleToken && this.accessToken && staleToken !== this.accessToken)
+        {
+            return Promise.resolve(this.accessToken);
+        }
+        if(this.pending)
+        {
+            return this.pending;
+        }
+        if(Date.now() < this.retryAt)
+        {
+            return Promise.reject(this.lastError);
+        }
+
+        this.pending = this.requestToken().then((result) =>
+        {
+            this.failures = 0;
+            this.retryAt = 0;
+            this.lastError = null;
+            this.accessToken = result.access_token;
+            // Zoho tokens live for an hour; assume that if expires_in is missing
+            this.expiresAt = Date.now() + (Number(result.expires_in) || 3600) * 1000;
+            this.schedule();
+            this.emit('token', this.accessToken, this.expiresAt);
+            return this.accessToken;
+        }, (error) =>
+        {
+            this.failures++;
+            var backoff = Math.min(this.maxBackoffMs, this.minBackoffMs * Math.pow(2, this.failures - 1));
+            this.retryAt = Date.now() + backoff;
+            this.lastError = error;
+            this.emit('refreshError', error, this.retryAt);
+            throw error;
+        });
+
+        var clear = () => { this.pending = null; };
+        this.pending.then(clear, clear);
+        return this.pending;
+    }
+
+    /**
+     * Stops the proactive refresh timer.
+     * @method stop
+     */
+    stop()
+    {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    schedule()
+    {
+        this.stop();
+        var delay = Math.max(0, this.expiresAt - this.refreshMarginMs - Date.now());
+        this.timer = setTimeout(() =>
+        {
+            this.refresh().catch(() => {});
+        }, delay);
+        // Never keep the process alive just to refresh a token
+        if(this.timer.unref)
+        {
+            this.timer.unref();
+        }
+    }
+
+    requestToken()
+    {
+        var oauthinfo = {};
+        oauthinfo.client_id = this.clientId;
+        oauthinfo.client_secret = this.clientSecret;
+        oauthinfo.refresh_token = this.refreshToken;
+        oauthinfo.grant_type = 'refresh_token';
+
+        var encodedParams = querystring.stringify(oauthinfo);
+        var options = {
+          host: this.accountsHost,
+          path: '/oauth/v2/token',
+          headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'User-Agent': 'Analytics NodeJS Client v'+clientVersion,
+          'Content-Length': Buffer.byteLength(encodedParams)
+          },
+          method: "POST",
+          secureProtocol: 'TLSv1_2_method'
+        };
+
+        var timeoutMs = this.requestTimeoutMs;
+
+        return new Promise(function(resolve, reject) {
+
+            var req = https.request(options, (resp) => {
+            let data = '';
+            resp.on('data', (chunk) => {
+              data += chunk;
+            });
+
+            resp.on('end', () => {
+              var respJSON;
+              try
+              {
+                respJSON = JSON.parse(data);
+              }
+              catch(e)
+              {
+                respJSON = { error: 'Unexpected response from accounts server (HTTP ' + resp.statusCode + ')' };
+              }
+
+              if(!respJSON.error && respJSON.access_token)
+              {
+                resolve(respJSON);
+              }
+              else
+              {
+                reject(tokenError(respJSON.error || 'No access_token in response'));
+              }
+            });
+
+            }).on("error", (err) => {
+              reject(tokenError(err.message));
+            });
+            req.setTimeout(timeoutMs, () => {
+              reject(tokenError('No response from accounts server within ' + timeoutMs + 'ms'));
+              req.destroy();
+            });
+            req.write(encodedParams);
+            req.end();
+        });
+    }
+}
+
+// Errors carry the { errorCode, errorMessage } fields the rest of the client reports
+function tokenError(message)
+{
+    var err = new Error('Failed to refresh Zoho access token: ' + message);
+    err.errorCode = '0';
+    err.errorMessage = message;
+    return err;
+}
+
+module.exports = TokenManager;
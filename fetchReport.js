@@ -1,11 +1,15 @@
 // fetchReport.js
 const AnalyticsClient = require('./ZohoAnalyticsNodejsClient/AnalyticsClient');
+const { loadJsonConfig } = require('./lib/config');
+const { createViewRegistry } = require('./lib/view-registry');
+require('dotenv').config(); // For local development
 
 // Initialize the ZohoAnalytics client with credentials from environment variables
 const zohoAnalytics = new AnalyticsClient(
   process.env.ZOHO_CLIENT_ID,
   process.env.ZOHO_CLIENT_SECRET,
-  process.env.ZOHO_REFRESH_TOKEN
+  process.env.ZOHO_REFRESH_TOKEN,
+  { region: process.env.ZOHO_REGION }
 );
 
 // Function to fetch a report
@@ -20,10 +24,15 @@ async function getReport(workspaceId, viewId) {
   }
 }
 
-// Replace these with your actual workspace and view IDs
-const workspaceId = '1386797000003126041';
-const viewId = '1386797000023629500';
-
+// Views are looked up by alias in the same registry server.js uses,
+// e.g. `node fetchReport.js sales-by-sku`
+const viewRegistry = createViewRegistry(loadJsonConfig('ZOHO_VIEWS', 'views.json', {}));
+const alias = process.argv[2];
+const view = viewRegistry.get(alias);
 
+if (!view || !view.viewId) {
+  console.error(`Usage: node fetchReport.js <alias>\nKnown view aliases: ${viewRegistry.aliases().join(', ') || '(none)'}`);
+  process.exit(1);
+}
 
-getReport(workspaceId, viewId);
+getReport(view.workspaceId, view.viewId);
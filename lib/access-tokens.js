@@ -0,0 +1,179 @@
+// lib/access-tokens.js
+const crypto = require('crypto');
+const { errorCodeFor, sendError } = require('./errors');
+
+// Tokens are compact JWTs signed with HS256, so any JWT library can inspect them.
+const TOKEN_HEADER = { alg: 'HS256', typ: 'JWT' };
+const SCOPE_PATTERN = /^[a-z-]+:[^\s:]+$/;
+
+/**
+ * Error raised when a request's access token is missing, invalid or lacks a scope.
+ * `status` is 401 for authentication failures and 403 for missing scopes.
+ */
+class AccessTokenError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AccessTokenError';
+    this.status = status;
+  }
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+const fromBase64url = (input) => Buffer.from(input.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+/**
+ * Compares two secrets in constant time.
+ * @param {String} expected - Secret configured on the server.
+ * @param {String} actual - Secret presented by the caller.
+ */
+function secretsMatch(expected, actual) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value || '')).digest();
+  return Boolean(expected) && crypto.timingSafeEqual(digest(expected), digest(actual));
+}
+
+/**
+ * Extracts the bearer token from an Authorization header, falling back to an
+ * `access_token` query parameter on GET requests (EventSource and download
+ * links cannot set headers).
+ * @param {Object} req - Express request.
+ * @param {Object} options - { query: false } for long-lived shared secrets, which
+ *   must not end up in URLs, browser history or access logs.
+ */
+function bearerToken(req, { query = true } = {}) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (match) {
+    return match[1];
+  }
+  if (query && req.method === 'GET' && req.query && typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+/**
+ * Creates an issuer/verifier for short-lived, scoped proxy access tokens.
+ *
+ * A scope has the form `<operation>:<resource>`, for example `report:<alias>`,
+ * `dashboard:<alias>` or `query:<name>`. A resource of `*` grants the operation on every resource.
+ *
+ * @param {Object} options
+ * @param {String} options.secret - HMAC signing key.
+ * @param {Number} options.defaultTtl - Lifetime in seconds when the issuer does not ask for one.
+ * @param {Number} options.maxTtl - Longest lifetime in seconds a token may be issued for.
+ */
+function createAccessTokens({ secret, defaultTtl = 300, maxTtl = 3600 }) {
+  if (!secret) {
+    throw new Error('An access token secret is required');
+  }
+
+  const sign = (data) => base64url(crypto.createHmac('sha256', secret).update(data).digest());
+
+  /**
+   * Issues a signed token.
+   * @param {Object} claims - { scopes, subject, ttl }
+   * @returns {Object} { token, expiresAt }
+   */
+  function issue({ scopes, subject, ttl = defaultTtl, claims = {} }) {
+    if (!Array.isArray(scopes) || !scopes.length || !scopes.every((scope) => SCOPE_PATTERN.test(scope))) {
+      throw new AccessTokenError('scopes must be a non-empty list of "<operation>:<resource>" strings', 400);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + Math.min(Math.max(1, Math.floor(ttl)), maxTtl);
+    const payload = Object.assign({}, claims, { scope: scopes, iat: now, exp });
+    if (subject) {
+      payload.sub = String(subject);
+    }
+
+    const unsigned = `${base64url(JSON.stringify(TOKEN_HEADER))}.${base64url(JSON.stringify(payload))}`;
+    return { token: `${unsigned}.${sign(unsigned)}`, expiresAt: new Date(exp * 1000).toISOString() };
+  }
+
+  /**
+   * Verifies a token's signature and expiry.
+   * @param {String} token - Token presented by the caller.
+   * @returns {Object} The token's claims.
+   * @throws {AccessTokenError} If the token is malformed, forged or expired.
+   */
+  function verify(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+      throw new AccessTokenError('Malformed access token');
+    }
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new AccessTokenError('Invalid access token signature');
+    }
+
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(fromBase64url(parts[0]).toString('utf8'));
+      payload = JSON.parse(fromBase64url(parts[1]).toString('utf8'));
+    } catch (error) {
+      throw new AccessTokenError('Malformed access token');
+    }
+    if (header.alg !== TOKEN_HEADER.alg) {
+      throw new AccessTokenError('Unsupported access token algorithm');
+    }
+    if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) {
+      throw new AccessTokenError('Access token has expired');
+    }
+    return payload;
+  }
+
+  /**
+   * Returns true if the claims grant `operation` on `resource`.
+   */
+  function allows(claims, operation, resource) {
+    const scopes = Array.isArray(claims.scope) ? claims.scope : [];
+    return scopes.indexOf(`${operation}:${resource}`) !== -1 || scopes.indexOf(`${operation}:*`) !== -1;
+  }
+
+  /**
+   * Middleware rejecting requests without a valid token for the requested resource.
+   * The verified claims are exposed as `req.accessToken`.
+   * @param {String} operation - Operation the route performs (report, dashboard, export, query, ...).
+   * @param {Function} resourceOf - Returns the resource identifier for a request.
+   */
+  function requireAccessToken(operation, resourceOf) {
+    return (req, res, next) => {
+      try {
+        const token = bearerToken(req);
+        if (!token) {
+          throw new AccessTokenError('Missing access token');
+        }
+        const claims = verify(token);
+        if (!allows(claims, operation, resourceOf(req))) {
+          throw new AccessTokenError(`Access token does not grant ${operation} on the requested resource`, 403);
+        }
+        req.accessToken = claims;
+        next();
+      } catch (error) {
+        if (!(error instanceof AccessTokenError)) {
+          return next(error);
+        }
+        if (error.status === 401) {
+          res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${error.message}"`);
+        }
+        sendError(res, errorCodeFor(error), error.message);
+      }
+    };
+  }
+
+  return {
+    issue,
+    verify,
+    allows,
+    requireAccessToken
+  };
+}
+
+module.exports = {
+  AccessTokenError,
+  createAccessTokens,
+  bearerToken,
+  secretsMatch
+};
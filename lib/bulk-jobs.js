@@ -0,0 +1,76 @@
+// lib/bulk-jobs.js
+
+// ====================
+// Zoho Bulk Job Codes
+// ====================
+const JOB_CODES = {
+  NOT_INITIATED: '1001',
+  IN_PROGRESS: '1002',
+  FAILED: '1003',
+  COMPLETED: '1004',
+  NOT_FOUND: '1005'
+};
+
+// Proxy-facing job states, keyed by Zoho job code
+const JOB_STATES = {
+  [JOB_CODES.NOT_INITIATED]: 'queued',
+  [JOB_CODES.IN_PROGRESS]: 'in-progress',
+  [JOB_CODES.FAILED]: 'failed',
+  [JOB_CODES.COMPLETED]: 'completed',
+  [JOB_CODES.NOT_FOUND]: 'not-found'
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Maps Zoho job details to the proxy's job state.
+ * @param {Object} details - Result of getImportJobDetails / getExportJobDetails.
+ * @returns {String} queued, in-progress, completed, failed or not-found.
+ */
+function jobState(details) {
+  return JOB_STATES[String(details && details.jobCode)] || 'in-progress';
+}
+
+/**
+ * Polls an export job until Zoho reports it completed.
+ * @param {BulkAPI} bulk - BulkAPI instance for the job's workspace.
+ * @param {String} jobId - Export job ID returned by initiateBulkExport*.
+ * @param {Object} options - { intervalMs, timeoutMs }
+ * @returns {Object} Final job details.
+ * @throws {Error} ZOHO_UNAVAILABLE (502) if the job fails or disappears, ZOHO_TIMEOUT (504)
+ *   if it does not finish in time.
+ */
+async function waitForExportJob(bulk, jobId, { intervalMs = 2000, timeoutMs = 120000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const details = await bulk.getExportJobDetails(jobId);
+    const jobCode = String(details && details.jobCode);
+
+    if (jobCode === JOB_CODES.COMPLETED) {
+      return details;
+    }
+    if (jobCode === JOB_CODES.FAILED || jobCode === JOB_CODES.NOT_FOUND) {
+      const error = new Error(`Export job ${jobId} ended with status: ${details.jobStatus || jobCode}`);
+      error.status = 502;
+      error.code = 'ZOHO_UNAVAILABLE';
+      error.details = details;
+      throw error;
+    }
+    if (Date.now() + intervalMs > deadline) {
+      const error = new Error(`Export job ${jobId} did not complete within ${timeoutMs}ms`);
+      error.status = 504;
+      error.code = 'ZOHO_TIMEOUT';
+      error.details = details;
+      throw error;
+    }
+
+    await sleep(intervalMs);
+  }
+}
+
+module.exports = {
+  JOB_CODES,
+  jobState,
+  waitForExportJob
+};
@@ -0,0 +1,115 @@
+// lib/circuit-breaker.js
+
+const STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half-open' };
+
+/**
+ * Error raised instead of calling an upstream host whose circuit is open.
+ */
+class CircuitOpenError extends Error {
+  constructor(host, retryAfterMs) {
+    super(`Zoho Analytics (${host}) is unavailable; requests are paused while it recovers`);
+    this.name = 'CircuitOpenError';
+    this.code = 'UPSTREAM_UNAVAILABLE';
+    this.status = 503;
+    this.host = host;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Circuit breaker for one upstream host.
+ *
+ * - closed:    requests flow; `failureThreshold` consecutive failures open the circuit.
+ * - open:      requests fail fast with CircuitOpenError for `cooldownMs`.
+ * - half-open: up to `halfOpenProbes` requests are let through; a success closes
+ *              the circuit, a failure opens it again for another cooldown.
+ */
+class CircuitBreaker {
+  constructor(host, { failureThreshold = 5, cooldownMs = 30000, halfOpenProbes = 1, onStateChange = () => {} } = {}) {
+    this.host = host;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.halfOpenProbes = halfOpenProbes;
+    this.onStateChange = onStateChange;
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = 0;
+    this.probesInFlight = 0;
+  }
+
+  transition(state) {
+    if (this.state !== state) {
+      this.state = state;
+      this.onStateChange(this.host, state);
+    }
+  }
+
+  /**
+   * Reserves a slot for a request.
+   * @throws {CircuitOpenError} If the circuit is open, or half-open with all probes taken.
+   */
+  acquire() {
+    if (this.state === STATES.OPEN) {
+      const remaining = this.openedAt + this.cooldownMs - Date.now();
+      if (remaining > 0) {
+        throw new CircuitOpenError(this.host, remaining);
+      }
+      this.transition(STATES.HALF_OPEN);
+    }
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.probesInFlight >= this.halfOpenProbes) {
+        throw new CircuitOpenError(this.host, this.cooldownMs);
+      }
+      this.probesInFlight += 1;
+    }
+  }
+
+  /**
+   * Records that Zoho answered normally. Only a probe closes an open circuit: a request
+   * sent before the circuit opened leaves it open.
+   */
+  recordSuccess() {
+    this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+    if (this.state === STATES.OPEN) {
+      return;
+    }
+    this.failures = 0;
+    this.transition(STATES.CLOSED);
+  }
+
+  /**
+   * Records a network error or 5xx answer.
+   */
+  recordFailure() {
+    this.failures += 1;
+    this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition(STATES.OPEN);
+    }
+  }
+}
+
+/**
+ * Keeps one circuit breaker per upstream host.
+ * @param {Object} options - Passed to every CircuitBreaker.
+ */
+function createCircuitBreakers(options = {}) {
+  const breakers = new Map();
+  return {
+    forHost(host) {
+      if (!breakers.has(host)) {
+        breakers.set(host, new CircuitBreaker(host, options));
+      }
+      return breakers.get(host);
+    }
+  };
+}
+
+module.exports = {
+  STATES,
+  CircuitBreaker,
+  CircuitOpenError,
+  createCircuitBreakers
+};
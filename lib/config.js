@@ -0,0 +1,46 @@
+// lib/config.js
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+
+/**
+ * Loads a JSON configuration document.
+ *
+ * The environment variable may hold either inline JSON (handy for Heroku
+ * config vars) or a path to a JSON file. When it is unset, the named file in
+ * ./config is used if it exists.
+ *
+ * @param {String} envVar - Name of the environment variable to consult first.
+ * @param {String} defaultFile - File name inside ./config to fall back to.
+ * @param {*} fallback - Value returned when no configuration is found.
+ */
+function loadJsonConfig(envVar, defaultFile, fallback = null) {
+  const raw = process.env[envVar];
+
+  if (raw && /^\s*[[{]/.test(raw)) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`${envVar} does not contain valid JSON: ${error.message}`);
+    }
+  }
+
+  const file = raw ? path.resolve(raw) : path.join(CONFIG_DIR, defaultFile);
+  if (!fs.existsSync(file)) {
+    if (raw) {
+      throw new Error(`${envVar} points to a missing file: ${file}`);
+    }
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file} does not contain valid JSON: ${error.message}`);
+  }
+}
+
+module.exports = {
+  loadJsonConfig
+};
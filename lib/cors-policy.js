@@ -0,0 +1,146 @@
+// lib/cors-policy.js
+
+/**
+ * Error passed to the error handler when a request's Origin is not allowed.
+ */
+class CorsError extends Error {
+  constructor(origin) {
+    super('The CORS policy for this site does not allow access from the specified Origin.');
+    this.name = 'CorsError';
+    this.status = 403;
+    this.origin = origin;
+  }
+}
+
+const escapeRegExp = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compiles an origin pattern.
+ *
+ * - `https://www.example.com`  exact origin
+ * - `https://*.example.com`    any subdomain (one or more labels) of example.com
+ * - `http://localhost:*`       any port
+ * - `*.example.com`            scheme defaults to https
+ *
+ * @param {String} pattern - Origin pattern.
+ * @returns {Object} { regex, anyHost } where `anyHost` tells whether the host has a wildcard.
+ */
+function compileOriginPattern(pattern) {
+  let value = String(pattern).trim().toLowerCase().replace(/\/+$/, '');
+  if (!/^[a-z][a-z0-9+.-]*:\/\//.test(value)) {
+    value = `https://${value}`;
+  }
+
+  let anyHost = false;
+  const source = value
+    .split('*')
+    .map(escapeRegExp)
+    .reduce((regex, part, index) => {
+      if (index === 0) {
+        return part;
+      }
+      // A wildcard after ':' is a port, anywhere else it is one or more host labels
+      if (regex.endsWith(':')) {
+        return `${regex}\\d+${part}`;
+      }
+      anyHost = true;
+      return `${regex}[a-z0-9-]+(?:\\.[a-z0-9-]+)*${part}`;
+    }, '');
+
+  return { regex: new RegExp(`^${source}$`), anyHost };
+}
+
+/**
+ * Compiles a route path pattern (`*` matches any characters) into a RegExp.
+ * @param {String} pattern - Path pattern such as `/zoho-analytics/views/*`.
+ */
+function compilePathPattern(pattern) {
+  return new RegExp(`^${String(pattern).split('*').map(escapeRegExp).join('.*')}$`);
+}
+
+function parseOriginList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return String(value || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Builds the CORS policy.
+ * @param {Object} config
+ * @param {String[]|String} config.origins - Origins (or patterns) allowed on every route.
+ * @param {Object[]} config.routes - Per-route rules: { path, methods, origins }. The first rule
+ *   matching the request's path and method replaces the global origin list.
+ */
+function createCorsPolicy({ origins = [], routes = [] } = {}) {
+  const globalPatterns = parseOriginList(origins).map(compileOriginPattern);
+  const routeRules = routes.map((rule) => {
+    if (!rule.path || !rule.origins) {
+      throw new Error('Each CORS route rule needs a path and an origins list');
+    }
+    return {
+      path: compilePathPattern(rule.path),
+      methods: rule.methods ? rule.methods.map((method) => method.toUpperCase()) : null,
+      origins: parseOriginList(rule.origins).map(compileOriginPattern)
+    };
+  });
+
+  // Returns the first pattern allowing `origin` to call `method` on `path`, or undefined
+  function matchOrigin(origin, method, path) {
+    const rule = routeRules.find((candidate) =>
+      candidate.path.test(path) && (!candidate.methods || candidate.methods.indexOf(method) !== -1)
+    );
+    const patterns = rule ? rule.origins : globalPatterns;
+    const normalized = String(origin).toLowerCase();
+    return patterns.find((pattern) => pattern.regex.test(normalized));
+  }
+
+  /**
+   * Returns true if `origin` may call `method` on `path`.
+   */
+  function isOriginAllowed(origin, method, path) {
+    return Boolean(matchOrigin(origin, method, path));
+  }
+
+  /**
+   * Options delegate for the `cors` middleware.
+   *
+   * Credentials are only allowed for origins matched without a host wildcard: a pattern
+   * such as `https://*.myshopify.com` also matches sites run by others.
+   * @param {Object} baseOptions - Options shared by every allowed request (methods, headers, ...).
+   */
+  function corsOptionsDelegate(baseOptions) {
+    return (req, callback) => {
+      const origin = req.headers.origin;
+
+      // Allow requests with no origin (like mobile apps or curl requests)
+      if (!origin) {
+        return callback(null, Object.assign({}, baseOptions, { origin: true }));
+      }
+
+      // Preflight requests announce the method of the request that will follow
+      const method = (req.method === 'OPTIONS' && req.headers['access-control-request-method']) || req.method;
+      const pattern = matchOrigin(origin, method.toUpperCase(), req.path);
+      if (!pattern) {
+        return callback(new CorsError(origin));
+      }
+      return callback(null, Object.assign({}, baseOptions, {
+        origin: true,
+        credentials: Boolean(baseOptions.credentials) && !pattern.anyHost
+      }));
+    };
+  }
+
+  return {
+    isOriginAllowed,
+    corsOptionsDelegate
+  };
+}
+
+module.exports = {
+  CorsError,
+  createCorsPolicy
+};
@@ -0,0 +1,148 @@
+// lib/errors.js
+
+/**
+ * The proxy's error codes. Every error response has the form
+ * `{ error: { code, message, status, retryable, requestId, details, upstream } }`,
+ * where `code` is one of these and stays stable while messages may change.
+ * `details` lists validation problems; `upstream` carries Zoho's status and error code.
+ */
+const ERROR_CODES = {
+  VALIDATION_FAILED: { status: 400, retryable: false, description: 'The request does not match /openapi.json; details lists each problem' },
+  BAD_REQUEST: { status: 400, retryable: false, description: 'The request is well-formed but cannot be served as asked' },
+  UNAUTHENTICATED: { status: 401, retryable: false, description: 'The access token, shared secret or metrics token is missing, invalid or expired' },
+  FORBIDDEN: { status: 403, retryable: false, description: 'The credentials or origin do not allow this operation, resource or column' },
+  NOT_FOUND: { status: 404, retryable: false, description: 'Unknown view alias, query, job or Zoho API path' },
+  METHOD_NOT_ALLOWED: { status: 405, retryable: false, description: 'The Zoho API path does not allow this method; see the Allow header' },
+  CONFLICT: { status: 409, retryable: true, description: 'The job has not completed yet' },
+  PAYLOAD_TOO_LARGE: { status: 413, retryable: false, description: 'The uploaded file is too large' },
+  RATE_LIMITED: { status: 429, retryable: true, description: 'A proxy rate limit was exceeded; see the RateLimit-* headers' },
+  QUOTA_EXHAUSTED: { status: 503, retryable: true, description: 'The daily Zoho API quota is kept for higher-priority requests; see Retry-After' },
+  UPSTREAM_UNAVAILABLE: { status: 503, retryable: true, description: 'Zoho Analytics keeps failing and calls to it are paused; see Retry-After' },
+  ZOHO_AUTH_FAILED: { status: 502, retryable: true, description: 'The proxy\'s Zoho OAuth token was rejected or could not be refreshed' },
+  ZOHO_SCOPE_MISSING: { status: 502, retryable: false, description: 'The proxy\'s Zoho OAuth token lacks a scope the operation needs' },
+  ZOHO_PERMISSION_DENIED: { status: 403, retryable: false, description: 'The proxy\'s Zoho account may not perform this operation' },
+  ZOHO_NOT_FOUND: { status: 404, retryable: false, description: 'The workspace, view or column does not exist in Zoho Analytics' },
+  ZOHO_INVALID_REQUEST: { status: 400, retryable: false, description: 'Zoho rejected the parameters, criteria or values of the request' },
+  ZOHO_RATE_LIMITED: { status: 429, retryable: true, description: 'Zoho Analytics is throttling the proxy' },
+  ZOHO_UNAVAILABLE: { status: 502, retryable: true, description: 'Zoho Analytics failed or could not be reached' },
+  ZOHO_TIMEOUT: { status: 504, retryable: true, description: 'A Zoho Analytics job did not complete in time; retry the request later' },
+  ZOHO_ERROR: { status: 502, retryable: false, description: 'Zoho Analytics answered with an error the proxy does not recognise' },
+  INTERNAL_ERROR: { status: 500, retryable: false, description: 'Unexpected proxy failure; quote the requestId when reporting it' }
+};
+
+// Zoho Analytics error codes with a stable meaning; others are mapped by HTTP status
+const ZOHO_ERROR_CODES = {
+  7103: 'ZOHO_NOT_FOUND', // Workspace not found
+  7107: 'ZOHO_INVALID_REQUEST', // Column not found in the view
+  7138: 'ZOHO_NOT_FOUND', // View not found
+  7301: 'ZOHO_PERMISSION_DENIED', // No permission for the operation
+  8002: 'ZOHO_INVALID_REQUEST', // Invalid criteria
+  8004: 'ZOHO_INVALID_REQUEST', // Column in the criteria not found
+  8016: 'ZOHO_INVALID_REQUEST', // No column values given
+  8504: 'ZOHO_INVALID_REQUEST', // Invalid parameter
+  8506: 'ZOHO_INVALID_REQUEST', // Parameter given more than once
+  8516: 'ZOHO_INVALID_REQUEST', // Invalid parameter value
+  8534: 'ZOHO_INVALID_REQUEST', // Invalid JSON in CONFIG
+  8535: 'ZOHO_AUTH_FAILED', // Invalid or expired OAuth token
+  8536: 'ZOHO_SCOPE_MISSING' // OAuth token lacks the scope
+};
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  502: 'ZOHO_UNAVAILABLE',
+  503: 'UPSTREAM_UNAVAILABLE',
+  504: 'ZOHO_TIMEOUT'
+};
+
+/**
+ * Returns the error code for an exception: its own `code` when that is a proxy
+ * code, otherwise the code for its HTTP `status`.
+ */
+function errorCodeFor(error) {
+  if (error && ERROR_CODES[error.code]) {
+    return error.code;
+  }
+  return STATUS_CODES[error && error.status] || 'INTERNAL_ERROR';
+}
+
+/**
+ * Answers a request with the error envelope.
+ * @param {Object} res - Express response.
+ * @param {String} code - Key of ERROR_CODES.
+ * @param {String} message - Human-readable explanation.
+ * @param {Object} extras - { details, upstream }
+ */
+function sendError(res, code, message, { details, upstream } = {}) {
+  const { status, retryable } = ERROR_CODES[code];
+  res.status(status).json({
+    error: {
+      code,
+      message,
+      status,
+      retryable,
+      requestId: res.req && res.req.id,
+      details,
+      upstream
+    }
+  });
+}
+
+/**
+ * Maps a Zoho Analytics error onto a proxy error.
+ * @param {Number} status - HTTP status Zoho answered with (undefined for client library errors).
+ * @param {Object} payload - Zoho's error body, `{ data: { errorCode, errorMessage } }`, or the
+ *   client library's `{ errorCode, errorMessage }`.
+ * @returns {Object} { code, message, upstream }
+ */
+function zohoError(status, payload) {
+  const data = payload && typeof payload === 'object' ? payload.data || payload : {};
+  const errorCode = data.errorCode === undefined ? undefined : Number(data.errorCode);
+
+  let code = ZOHO_ERROR_CODES[errorCode];
+  if (!code) {
+    if (status === 401) {
+      code = 'ZOHO_AUTH_FAILED';
+    } else if (status === 403) {
+      code = 'ZOHO_PERMISSION_DENIED';
+    } else if (status === 404) {
+      code = 'ZOHO_NOT_FOUND';
+    } else if (status === 429) {
+      code = 'ZOHO_RATE_LIMITED';
+    } else if (status >= 500) {
+      code = 'ZOHO_UNAVAILABLE';
+    } else {
+      code = 'ZOHO_ERROR';
+    }
+  }
+
+  return {
+    code,
+    message: `Zoho API Error: ${data.errorMessage || (payload && payload.summary) || status || 'unknown error'}`,
+    upstream: { status, errorCode }
+  };
+}
+
+/**
+ * Answers a request with the proxy error for a Zoho Analytics error.
+ * See zohoError for the arguments.
+ */
+function sendZohoError(res, status, payload) {
+  const { code, message, upstream } = zohoError(status, payload);
+  sendError(res, code, message, { upstream });
+}
+
+module.exports = {
+  ERROR_CODES,
+  ZOHO_ERROR_CODES,
+  errorCodeFor,
+  sendError,
+  sendZohoError,
+  zohoError
+};
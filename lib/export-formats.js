@@ -0,0 +1,42 @@
+// lib/export-formats.js
+
+// ====================
+// Export Formats Supported by the Proxy
+// ====================
+// Maps the responseFormat accepted by the proxy to the value Zoho expects in
+// CONFIG, the file extension used in Content-Disposition and a fallback
+// Content-Type for when Zoho does not send one.
+const EXPORT_FORMATS = {
+  csv: { zohoFormat: 'csv', extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  json: { zohoFormat: 'json', extension: 'json', contentType: 'application/json; charset=utf-8' },
+  xlsx: {
+    zohoFormat: 'xls',
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  },
+  pdf: { zohoFormat: 'pdf', extension: 'pdf', contentType: 'application/pdf' }
+};
+
+/**
+ * Returns the export format definition for a responseFormat, or undefined if unsupported.
+ * @param {String} responseFormat - Format requested by the caller (case-insensitive).
+ */
+function getExportFormat(responseFormat) {
+  return EXPORT_FORMATS[String(responseFormat || '').toLowerCase()];
+}
+
+/**
+ * Builds a Content-Disposition header value for an exported file.
+ * @param {String} baseName - File name without extension.
+ * @param {Object} format - Entry from EXPORT_FORMATS.
+ */
+function contentDisposition(baseName, format) {
+  const safeName = String(baseName).replace(/[^A-Za-z0-9._-]/g, '_');
+  return `attachment; filename="${safeName}.${format.extension}"`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  getExportFormat,
+  contentDisposition
+};
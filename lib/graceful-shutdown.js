@@ -0,0 +1,66 @@
+// lib/graceful-shutdown.js
+const { logger } = require('./logger');
+
+/**
+ * Drains an HTTP server when the process is asked to stop.
+ *
+ * On the first SIGTERM or SIGINT the server stops accepting connections,
+ * `onShutdown` runs (to end long-lived streams), idle keep-alive connections are
+ * closed and in-flight requests get until `timeoutMs` to finish. The process
+ * exits with 0 once drained, or 1 if connections had to be cut at the deadline.
+ *
+ * @param {Object} server - http.Server returned by app.listen.
+ * @param {Object} options
+ * @param {Number} options.timeoutMs - Longest time to wait for in-flight requests.
+ * @param {Function} options.onShutdown - Called once when shutdown starts.
+ * @param {String[]} options.signals - Signals that trigger a shutdown.
+ * @returns {Object} { isShuttingDown() }
+ */
+function installGracefulShutdown(server, { timeoutMs = 25000, onShutdown = () => {}, signals = ['SIGTERM', 'SIGINT'] } = {}) {
+  let shuttingDown = false;
+
+  function shutdown(signal) {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    logger.info('Shutting down', { signal, timeoutMs });
+
+    const deadline = setTimeout(() => {
+      logger.error('Shutdown deadline reached, closing remaining connections');
+      server.closeAllConnections();
+      process.exit(1);
+    }, timeoutMs);
+    deadline.unref();
+
+    server.close((error) => {
+      clearTimeout(deadline);
+      if (error) {
+        logger.error('Error closing server', error);
+        process.exit(1);
+      }
+      logger.info('Server drained, exiting');
+      process.exit(0);
+    });
+
+    try {
+      onShutdown();
+    } catch (error) {
+      logger.error('Error during shutdown', error);
+    }
+
+    // Keep-alive connections would otherwise hold close() open once their request finishes
+    server.closeIdleConnections();
+    setInterval(() => server.closeIdleConnections(), 250).unref();
+  }
+
+  signals.forEach((signal) => process.on(signal, () => shutdown(signal)));
+
+  return {
+    isShuttingDown: () => shuttingDown
+  };
+}
+
+module.exports = {
+  installGracefulShutdown
+};
@@ -0,0 +1,57 @@
+// lib/job-registry.js
+
+/**
+ * Remembers the bulk jobs the proxy started, so later status requests can find
+ * the workspace a job belongs to and which alias (and therefore which access
+ * token scope) guards it. Jobs are kept in process memory for `ttl` seconds.
+ * @param {Object} options - { ttl } seconds a job is remembered.
+ */
+function createJobRegistry({ ttl = 24 * 60 * 60 } = {}) {
+  const jobs = new Map();
+
+  function prune() {
+    const now = Date.now();
+    jobs.forEach((job, id) => {
+      if (job.expiresAt <= now) {
+        jobs.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Records a job.
+   * @param {Object} job - { id, type: 'import' | 'export', alias, orgId, workspaceId, ... }
+   */
+  function register(job) {
+    prune();
+    const entry = Object.assign({}, job, { createdAt: new Date().toISOString(), expiresAt: Date.now() + ttl * 1000 });
+    jobs.set(String(job.id), entry);
+    return entry;
+  }
+
+  /**
+   * Returns a job recorded by `register`, or undefined.
+   */
+  function get(id) {
+    const job = jobs.get(String(id));
+    return job && job.expiresAt > Date.now() ? job : undefined;
+  }
+
+  /**
+   * Merges `changes` into a recorded job and returns it, or undefined if it is gone.
+   */
+  function update(id, changes) {
+    const job = get(id);
+    return job && Object.assign(job, changes);
+  }
+
+  return {
+    register,
+    get,
+    update
+  };
+}
+
+module.exports = {
+  createJobRegistry
+};
@@ -0,0 +1,86 @@
+// lib/job-watcher.js
+const { jobState } = require('./bulk-jobs');
+
+const TERMINAL_STATES = ['completed', 'failed', 'not-found'];
+
+/**
+ * Polls a bulk job until it finishes, backing off between polls.
+ *
+ * `onUpdate(state, details)` is called for the first poll and every time the
+ * state changes. `onError(error)` is called once polling gives up after
+ * `maxErrors` consecutive failures.
+ *
+ * @param {Object} options
+ * @param {Function} options.fetchDetails - async () => Zoho job details.
+ * @param {Function} options.onUpdate - Called with (state, details).
+ * @param {Function} options.onError - Called with the last polling error.
+ * @param {Number} options.minIntervalMs - Delay before the second poll.
+ * @param {Number} options.maxIntervalMs - Longest delay between polls.
+ * @param {Number} options.factor - Multiplier applied to the delay after each poll.
+ * @param {Number} options.maxErrors - Consecutive failed polls tolerated.
+ * @returns {Function} stop() - Cancels polling.
+ */
+function watchJob({
+  fetchDetails,
+  onUpdate,
+  onError,
+  minIntervalMs = 1000,
+  maxIntervalMs = 15000,
+  factor = 1.5,
+  maxErrors = 5
+}) {
+  let stopped = false;
+  let timer = null;
+  let delay = minIntervalMs;
+  let lastState = null;
+  let errors = 0;
+
+  function schedule() {
+    timer = setTimeout(poll, delay);
+    delay = Math.min(maxIntervalMs, delay * factor);
+  }
+
+  async function poll() {
+    if (stopped) {
+      return;
+    }
+    try {
+      const details = await fetchDetails();
+      errors = 0;
+      if (stopped) {
+        return;
+      }
+
+      const state = jobState(details);
+      if (state !== lastState) {
+        lastState = state;
+        onUpdate(state, details);
+      }
+      if (TERMINAL_STATES.indexOf(state) === -1) {
+        schedule();
+      }
+    } catch (error) {
+      errors += 1;
+      if (stopped) {
+        return;
+      }
+      if (errors >= maxErrors) {
+        onError(error);
+        return;
+      }
+      schedule();
+    }
+  }
+
+  poll();
+
+  return function stop() {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = {
+  TERMINAL_STATES,
+  watchJob
+};
@@ -0,0 +1,177 @@
+// lib/json-schema.js
+
+// The subset of JSON Schema (as used by OpenAPI 3.0) the proxy's document relies on:
+// $ref, type, nullable, enum, oneOf/anyOf, minLength, maxLength, pattern,
+// minimum, maximum, items, minItems, maxItems, properties, required, additionalProperties.
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array'
+};
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Converts a string from a query string, path or form field into the type its
+ * schema expects, so "5" can satisfy an integer and "true" a boolean.
+ * @param {Object} schema - Resolved schema.
+ * @param {*} value - Raw value.
+ */
+function coerce(schema, value) {
+  if (schema.type === 'array' && !Array.isArray(value)) {
+    return [value];
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Creates a validator resolving `#/components/schemas/...` references against `document`.
+ * @param {Object} document - Document holding the referenced schemas.
+ */
+function createSchemaValidator(document = {}) {
+  function resolve(schema) {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+      const target = resolved.$ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), document);
+      if (!target) {
+        throw new Error(`Unresolvable schema reference: ${resolved.$ref}`);
+      }
+      resolved = target;
+    }
+    return resolved || {};
+  }
+
+  /**
+   * Validates a value against a schema.
+   * @param {Object} schema - Schema or reference.
+   * @param {*} input - Value to check.
+   * @param {String} path - Name of the value, used in messages (e.g. "scopes[0]").
+   * @param {Object} options - { coerceStrings } converts string inputs first (query, path and form values).
+   * @returns {Object[]} Problems found, as { path, value, msg }; empty when the value is valid.
+   */
+  function validate(schema, input, path, { coerceStrings = false } = {}) {
+    const resolved = resolve(schema);
+    const value = coerceStrings ? coerce(resolved, input) : input;
+    const problem = (msg) => [{ path, value: input, msg }];
+
+    if (value === null && resolved.nullable) {
+      return [];
+    }
+
+    const alternatives = resolved.oneOf || resolved.anyOf;
+    if (alternatives) {
+      const attempts = alternatives.map((alternative) => validate(alternative, input, path, { coerceStrings }));
+      if (attempts.some((errors) => !errors.length)) {
+        return [];
+      }
+      return resolved.description ? problem(`${path} must be ${resolved.description}`) : attempts[0];
+    }
+
+    if (resolved.type && !typeMatches(resolved.type, value)) {
+      return problem(`${path} must be ${TYPE_NAMES[resolved.type] || resolved.type}`);
+    }
+    if (resolved.enum && resolved.enum.indexOf(value) === -1) {
+      return problem(`${path} must be one of: ${resolved.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (resolved.minLength !== undefined && value.trim().length < resolved.minLength) {
+        return problem(resolved.minLength === 1 ? `${path} must not be empty` : `${path} must be at least ${resolved.minLength} characters`);
+      }
+      if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+        return problem(`${path} must be at most ${resolved.maxLength} characters`);
+      }
+      if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+        return problem(`${path} has an invalid format`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (resolved.minimum !== undefined && value < resolved.minimum) {
+        return problem(`${path} must be at least ${resolved.minimum}`);
+      }
+      if (resolved.maximum !== undefined && value > resolved.maximum) {
+        return problem(`${path} must be at most ${resolved.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+        return problem(resolved.minItems === 1 ? `${path} must be a non-empty array` : `${path} must have at least ${resolved.minItems} items`);
+      }
+      if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+        return problem(`${path} must have at most ${resolved.maxItems} items`);
+      }
+      if (resolved.items) {
+        return value.reduce((errors, item, index) => errors.concat(
+          validate(resolved.items, item, `${path}[${index}]`, { coerceStrings })
+        ), []);
+      }
+    }
+
+    if (typeMatches('object', value) && (resolved.properties || resolved.required || resolved.additionalProperties !== undefined)) {
+      const properties = resolved.properties || {};
+      const prefix = path ? `${path}.` : '';
+      let errors = [];
+      (resolved.required || []).forEach((name) => {
+        if (value[name] === undefined) {
+          errors.push({ path: `${prefix}${name}`, value: undefined, msg: `${prefix}${name} is required` });
+        }
+      });
+      Object.keys(value).forEach((name) => {
+        if (value[name] === undefined) {
+          return;
+        }
+        if (properties[name]) {
+          errors = errors.concat(validate(properties[name], value[name], `${prefix}${name}`, { coerceStrings }));
+        } else if (resolved.additionalProperties === false) {
+          errors.push({ path: `${prefix}${name}`, value: value[name], msg: `${prefix}${name} is not allowed` });
+        } else if (resolved.additionalProperties && typeof resolved.additionalProperties === 'object') {
+          errors = errors.concat(validate(resolved.additionalProperties, value[name], `${prefix}${name}`, { coerceStrings }));
+        }
+      });
+      return errors;
+    }
+
+    return [];
+  }
+
+  return {
+    resolve,
+    validate
+  };
+}
+
+module.exports = {
+  createSchemaValidator
+};
@@ -0,0 +1,170 @@
+// lib/logger.js
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never written to the log, whatever their nesting
+const SECRET_KEY_PATTERN = /authorization|token|secret|password|passwd|cookie|api[-_]?key/i;
+
+// Secrets that can hide inside otherwise harmless strings (URLs, header values, messages)
+const SECRET_VALUE_PATTERNS = [
+  [/(Zoho-oauthtoken|Bearer)\s+[^\s"',]+/gi, `$1 ${REDACTED}`],
+  [/\b(access_token|refresh_token|client_secret|code)=[^&\s"']+/gi, `$1=${REDACTED}`],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, REDACTED] // JWTs
+];
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const requestContext = new AsyncLocalStorage();
+
+function redactString(value) {
+  return SECRET_VALUE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  ['errorCode', 'errorMessage', 'status', 'code'].forEach((key) => {
+    if (error[key] !== undefined) {
+      serialized[key] = error[key];
+    }
+  });
+  if (error.stack) {
+    serialized.stack = error.stack;
+  }
+  return serialized;
+}
+
+/**
+ * Creates a logger writing one JSON object per line.
+ *
+ * Every entry carries the correlation ID of the request it was written for.
+ * Values under secret-looking keys, configured PII column names, bearer/OAuth
+ * tokens and JWTs are replaced with "[REDACTED]" before anything is written.
+ *
+ * @param {Object} options
+ * @param {String} options.level - error, warn, info or debug.
+ * @param {String[]} options.redactColumns - Column or field names holding PII (case-insensitive).
+ * @param {Object} options.stream - Destination with a write(string) method.
+ * @param {Object} options.fields - Fields added to every entry.
+ */
+function createLogger({ level = 'info', redactColumns = [], stream = process.stdout, fields = {} } = {}) {
+  const threshold = Object.prototype.hasOwnProperty.call(LEVELS, level) ? LEVELS[level] : LEVELS.info;
+  const piiKeys = new Set(redactColumns.map((column) => String(column).trim().toLowerCase()).filter(Boolean));
+
+  function redact(value, depth = 0, seen = new Set()) {
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (value instanceof Error) {
+      return redact(serializeError(value), depth, seen);
+    }
+    if (seen.has(value) || depth > 8) {
+      return '[Circular]';
+    }
+    seen.add(value);
+
+    let result;
+    if (Array.isArray(value)) {
+      result = value.map((item) => redact(item, depth + 1, seen));
+    } else {
+      result = {};
+      Object.keys(value).forEach((key) => {
+        result[key] = SECRET_KEY_PATTERN.test(key) || piiKeys.has(key.toLowerCase())
+          ? REDACTED
+          : redact(value[key], depth + 1, seen);
+      });
+    }
+    seen.delete(value);
+    return result;
+  }
+
+  function write(entryLevel, message, entryFields) {
+    if (LEVELS[entryLevel] > threshold) {
+      return;
+    }
+    const context = requestContext.getStore();
+    const entry = Object.assign(
+      { time: new Date().toISOString(), level: entryLevel, msg: redactString(String(message)) },
+      context ? { requestId: context.requestId } : {},
+      redact(Object.assign({}, fields, entryFields))
+    );
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  const logger = {
+    level: Object.keys(LEVELS).find((name) => LEVELS[name] === threshold),
+    isLevelEnabled: (entryLevel) => LEVELS[entryLevel] <= threshold,
+    /**
+     * Returns a logger adding `childFields` to every entry.
+     */
+    child: (childFields) => createLogger({
+      level: logger.level,
+      redactColumns: Array.from(piiKeys),
+      stream,
+      fields: Object.assign({}, fields, childFields)
+    })
+  };
+  Object.keys(LEVELS).forEach((entryLevel) => {
+    // Accepts (message, fields) or, like console, (message, error)
+    logger[entryLevel] = (message, entryFields) => write(
+      entryLevel,
+      message,
+      entryFields instanceof Error ? { err: entryFields } : entryFields
+    );
+  });
+  return logger;
+}
+
+/**
+ * Middleware giving each request a correlation ID and logging it once it completes.
+ *
+ * The ID is taken from a well-formed X-Request-Id header (Heroku's router sets one) or generated, echoed
+ * back in the X-Request-Id response header, exposed as `req.id` and attached to
+ * every entry logged while the request is handled.
+ * @param {Object} logger - Logger from createLogger.
+ */
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const header = req.get('x-request-id');
+    const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    requestContext.run({ requestId }, () => {
+      res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const entryLevel = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        logger[entryLevel]('request completed', {
+          method: req.method,
+          path: req.path, // The query string can carry access tokens
+          status: res.statusCode,
+          durationMs: Math.round(durationMs * 10) / 10,
+          contentLength: res.get('Content-Length'),
+          ip: req.ip,
+          origin: req.headers.origin,
+          userAgent: req.headers['user-agent']
+        });
+      });
+      next();
+    });
+  };
+}
+
+// Process-wide logger, configured from LOG_LEVEL and LOG_REDACT_COLUMNS
+const logger = createLogger({
+  level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  redactColumns: String(process.env.LOG_REDACT_COLUMNS || '').split(',')
+});
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  logger,
+  requestLogger
+};
@@ -0,0 +1,214 @@
+// lib/metrics.js
+const { bearerToken, secretsMatch } = require('./access-tokens');
+const { sendError } = require('./errors');
+
+// Seconds; covers fast cache-backed calls through slow bulk exports
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (!names.length) {
+    return '';
+  }
+  return `{${names.map((name) => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+/**
+ * Base class keeping one value per label combination.
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Only declared labels are kept, always in the declared order
+  labelsOf(labels = {}) {
+    const result = {};
+    this.labelNames.forEach((name) => {
+      result[name] = labels[name] === undefined || labels[name] === null ? '' : labels[name];
+    });
+    return result;
+  }
+
+  entry(labels, create) {
+    const normalized = this.labelsOf(labels);
+    const key = JSON.stringify(normalized);
+    if (!this.series.has(key)) {
+      this.series.set(key, Object.assign({ labels: normalized }, create()));
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+/**
+ * Monotonically increasing count.
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels, value = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += value;
+  }
+
+  collect() {
+    const lines = this.header();
+    this.series.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+    return lines;
+  }
+}
+
+/**
+ * Value that can go up and down.
+ */
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels, value = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  collect() {
+    const lines = this.header();
+    if (!this.series.size && !this.labelNames.length) {
+      lines.push(`${this.name} 0`);
+    }
+    this.series.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+    return lines;
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets.
+ */
+class Histogram extends Metric {
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Starts timing; call the returned function with any labels only known at the end.
+   */
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe(Object.assign({}, labels, endLabels), seconds);
+      return seconds;
+    };
+  }
+
+  collect() {
+    const lines = this.header();
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(Object.assign({}, labels, { le: bound }))} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(Object.assign({}, labels, { le: '+Inf' }))} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics rendered in the Prometheus text exposition format.
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  render() {
+    return `${this.metrics.map((metric) => metric.collect().join('\n')).join('\n\n')}\n`;
+  }
+}
+
+Registry.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Returns the labels describing which route and alias a request hit. The route
+ * is the matched Express pattern (never the raw URL) to keep label values bounded.
+ * @param {Object} req - Express request.
+ */
+function routeLabels(req) {
+  const alias = (req.view && req.view.alias) || (req.job && req.job.alias) || '';
+  const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+  return { route, alias };
+}
+
+/**
+ * Route handler rendering a registry. When `token` is set, scrapers must send it
+ * as a Bearer header; it is never read from the query string.
+ * @param {Registry} registry - Metrics to render.
+ * @param {Object} options - { token }
+ */
+function serveMetrics(registry, { token } = {}) {
+  return (req, res) => {
+    if (token && !secretsMatch(token, bearerToken(req, { query: false }))) {
+      return sendError(res, 'UNAUTHENTICATED', 'Invalid metrics token');
+    }
+    res.set('Content-Type', Registry.contentType);
+    res.send(registry.render());
+  };
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  routeLabels,
+  serveMetrics
+};
@@ -0,0 +1,202 @@
+// lib/named-queries.js
+const { getExportFormat } = require('./export-formats');
+
+// Matches quoted SQL literals/identifiers (left untouched) or a :name placeholder
+const PLACEHOLDER_PATTERN = /'(?:[^']|'')*'|"(?:[^"]|"")*"|:([A-Za-z_][A-Za-z0-9_]*)/g;
+const PARAM_TYPES = ['string', 'number', 'integer', 'boolean', 'date'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2})?$/;
+// Bound from the caller's verified identity, never from request parameters
+const CUSTOMER_PLACEHOLDER = 'customer';
+
+/**
+ * Error raised when a caller's parameters cannot be bound to a query.
+ */
+class QueryParameterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryParameterError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Quotes a value as a SQL string literal, escaping quotes and backslashes.
+ */
+function quoteLiteral(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+}
+
+/**
+ * Replaces :name placeholders outside quoted text with already-formatted literals.
+ * @param {String} text - SQL or criteria containing placeholders.
+ * @param {Object} literals - Placeholder name to literal; unknown names are left as they are.
+ */
+function fillPlaceholders(text, literals) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) =>
+    (name && Object.prototype.hasOwnProperty.call(literals, name) ? literals[name] : match)
+  );
+}
+
+function placeholdersIn(sql) {
+  const names = new Set();
+  sql.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (name) {
+      names.add(name);
+    }
+    return match;
+  });
+  return names;
+}
+
+/**
+ * Validates the configured queries and fills in defaults.
+ * Throws at startup rather than at request time if a definition is unusable.
+ *
+ * Queries using `:customer` are `restricted`: they only run for callers with a
+ * customer identity. Customer-bound callers may run no other query unless it is
+ * marked `shared`, meaning it reads no per-customer rows.
+ *
+ * @param {Object} definitions - Map of query name to { workspaceId, sql, params, orgId, responseFormat, shared }.
+ */
+function loadNamedQueries(definitions) {
+  const queries = {};
+
+  Object.keys(definitions || {}).forEach((name) => {
+    const definition = definitions[name];
+    if (!definition.workspaceId || !definition.sql) {
+      throw new Error(`Named query "${name}" needs both workspaceId and sql`);
+    }
+
+    const params = definition.params || {};
+    if (params[CUSTOMER_PLACEHOLDER]) {
+      throw new Error(`Named query "${name}" cannot declare ":${CUSTOMER_PLACEHOLDER}"; it is bound from the caller's identity`);
+    }
+    Object.keys(params).forEach((param) => {
+      const type = params[param].type || 'string';
+      if (PARAM_TYPES.indexOf(type) === -1) {
+        throw new Error(`Named query "${name}" declares parameter "${param}" with unknown type "${type}"`);
+      }
+    });
+
+    const placeholders = placeholdersIn(definition.sql);
+    placeholders.forEach((placeholder) => {
+      if (!params[placeholder] && placeholder !== CUSTOMER_PLACEHOLDER) {
+        throw new Error(`Named query "${name}" uses undeclared parameter ":${placeholder}"`);
+      }
+    });
+
+    if (definition.shared !== undefined && typeof definition.shared !== 'boolean') {
+      throw new Error(`Named query "${name}" shared must be true or false`);
+    }
+    if (definition.shared && placeholders.has(CUSTOMER_PLACEHOLDER)) {
+      throw new Error(`Named query "${name}" uses ":${CUSTOMER_PLACEHOLDER}" so it cannot be shared`);
+    }
+
+    const format = getExportFormat(definition.responseFormat || 'json');
+    if (!format) {
+      throw new Error(`Named query "${name}" has unsupported responseFormat "${definition.responseFormat}"`);
+    }
+
+    const restricted = placeholders.has(CUSTOMER_PLACEHOLDER);
+    queries[name] = Object.assign({}, definition, { name, params, format, restricted, shared: Boolean(definition.shared) });
+  });
+
+  return queries;
+}
+
+function toSqlLiteral(name, spec, value) {
+  const type = spec.type || 'string';
+
+  if (Array.isArray(value) || (value !== null && typeof value === 'object')) {
+    throw new QueryParameterError(`Parameter "${name}" must be a scalar value`);
+  }
+
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      if (value === '' || value === null || !Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+        throw new QueryParameterError(`Parameter "${name}" must be ${type === 'integer' ? 'an integer' : 'a number'}`);
+      }
+      return String(number);
+    }
+    case 'boolean':
+      if (value === true || value === 'true') {
+        return 'true';
+      }
+      if (value === false || value === 'false') {
+        return 'false';
+      }
+      throw new QueryParameterError(`Parameter "${name}" must be a boolean`);
+    case 'date':
+      if (!DATE_PATTERN.test(String(value))) {
+        throw new QueryParameterError(`Parameter "${name}" must be a date formatted as YYYY-MM-DD`);
+      }
+      return `'${value}'`;
+    default: {
+      const text = String(value);
+      if (spec.maxLength && text.length > spec.maxLength) {
+        throw new QueryParameterError(`Parameter "${name}" must be at most ${spec.maxLength} characters`);
+      }
+      if (spec.pattern && !new RegExp(spec.pattern).test(text)) {
+        throw new QueryParameterError(`Parameter "${name}" has an invalid format`);
+      }
+      return quoteLiteral(text);
+    }
+  }
+}
+
+/**
+ * Produces the final SQL for a named query by substituting declared parameters.
+ * Only parameters declared in the definition are accepted, so callers can never inject raw SQL.
+ * @param {Object} query - Entry returned by loadNamedQueries.
+ * @param {Object} values - Parameter values supplied by the caller.
+ * @param {String} customer - Caller's verified customer, bound to :customer in restricted queries.
+ * @returns {String} SQL ready to send to Zoho.
+ * @throws {QueryParameterError} If a parameter is unknown, missing or of the wrong type.
+ */
+function bindNamedQuery(query, values = {}, customer = null) {
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    throw new QueryParameterError('params must be an object');
+  }
+
+  const unknown = Object.keys(values).filter((name) => !query.params[name]);
+  if (unknown.length) {
+    throw new QueryParameterError(`Unknown parameter(s): ${unknown.join(', ')}`);
+  }
+
+  const literals = {};
+  Object.keys(query.params).forEach((name) => {
+    const spec = query.params[name];
+    let value = values[name];
+    if (value === undefined || value === '') {
+      value = spec.default;
+    }
+    if (value === undefined) {
+      if (spec.required !== false) {
+        throw new QueryParameterError(`Missing required parameter "${name}"`);
+      }
+      literals[name] = 'NULL';
+      return;
+    }
+    literals[name] = toSqlLiteral(name, spec, value);
+  });
+
+  if (query.restricted) {
+    if (!customer) {
+      throw new Error(`Named query "${query.name}" needs a customer identity`);
+    }
+    literals[CUSTOMER_PLACEHOLDER] = quoteLiteral(customer);
+  }
+
+  return fillPlaceholders(query.sql, literals);
+}
+
+module.exports = {
+  QueryParameterError,
+  quoteLiteral,
+  fillPlaceholders,
+  placeholdersIn,
+  loadNamedQueries,
+  bindNamedQuery
+};
@@ -0,0 +1,680 @@
+// lib/openapi.js
+const { ERROR_CODES, ZOHO_ERROR_CODES, sendError } = require('./errors');
+const { createSchemaValidator } = require('./json-schema');
+const { FILTER_OPERATORS } = require('./pagination');
+const { logger } = require('./logger');
+
+const mapValues = (object, fn) => Object.keys(object).reduce((result, key) => Object.assign(result, { [key]: fn(object[key]) }), {});
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+const response = (description, schema = ref('Error')) => ({ description, content: json(schema) });
+
+// Responses most routes can give besides their own; `error.code` tells them apart
+const COMMON_RESPONSES = {
+  400: response('VALIDATION_FAILED, BAD_REQUEST or ZOHO_INVALID_REQUEST'),
+  401: response('UNAUTHENTICATED: missing, invalid or expired credentials'),
+  403: response('FORBIDDEN or ZOHO_PERMISSION_DENIED'),
+  429: response('RATE_LIMITED (see the RateLimit-* headers) or ZOHO_RATE_LIMITED'),
+  500: response('INTERNAL_ERROR'),
+  503: response('UPSTREAM_UNAVAILABLE or QUOTA_EXHAUSTED; see Retry-After')
+};
+
+const ZOHO_RESPONSES = {
+  502: response('ZOHO_AUTH_FAILED, ZOHO_SCOPE_MISSING, ZOHO_UNAVAILABLE or ZOHO_ERROR'),
+  504: response('ZOHO_TIMEOUT: a Zoho job did not complete in time')
+};
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+const aliasParam = pathParam('alias', 'View alias registered in views.json');
+
+function operation({ tags, summary, description, security, parameters, requestBody, responses }) {
+  const result = { tags, summary, security, responses: Object.assign({}, responses, COMMON_RESPONSES) };
+  if (description) {
+    result.description = description;
+  }
+  if (parameters) {
+    result.parameters = parameters;
+  }
+  if (requestBody) {
+    result.requestBody = requestBody;
+  }
+  return result;
+}
+
+/**
+ * Builds the OpenAPI 3 document describing every proxy route.
+ *
+ * The document is also what incoming requests are validated against (see
+ * createRequestValidator), so values that depend on configuration are passed in.
+ *
+ * @param {Object} options
+ * @param {String} options.version - Version of the proxy.
+ * @param {String[]} options.exportFormats - responseFormat values accepted by exports.
+ * @param {String[]} options.importTypes - importType values accepted by imports.
+ * @param {String[]} options.importFileTypes - fileType values accepted by imports.
+ * @param {String[]} options.shapes - shape values accepted by data routes (lib/tabular.js).
+ * @param {Number} options.maxPageSize - Largest limit accepted by paged exports.
+ * @param {Object[]} options.passthroughRoutes - Allowlisted Zoho API routes (lib/passthrough.js).
+ */
+function buildOpenApiDocument({ version, exportFormats, importTypes, importFileTypes, shapes, maxPageSize, passthroughRoutes = [] }) {
+  const token = [{ accessToken: [] }];
+  const tokenOrQuery = [{ accessToken: [] }, { accessTokenQuery: [] }];
+
+  const exportParameters = {
+    responseFormat: { type: 'string', enum: exportFormats, description: 'Format of the exported rows; csv by default, json for shape=table or paged requests' },
+    criteria: { type: 'string', description: 'Zoho criteria expression filtering the rows, e.g. "Region" = \'East\'' },
+    selectedColumns: {
+      description: 'a column name list (comma-separated or repeated)',
+      oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }]
+    }
+  };
+
+  const shapeParameter = {
+    name: 'shape',
+    in: 'query',
+    description: 'table returns JSON exports as { columns, rows } with values typed by the view\'s column metadata',
+    schema: { type: 'string', enum: shapes, default: 'raw' }
+  };
+  const pageParameters = [
+    { name: 'limit', in: 'query', description: 'Rows per page', schema: { type: 'integer', minimum: 1, maximum: maxPageSize } },
+    { name: 'offset', in: 'query', description: 'Rows to skip', schema: { type: 'integer', minimum: 0 } },
+    { name: 'cursor', in: 'query', description: 'page.nextCursor of the previous page; instead of offset', schema: { type: 'string' } },
+    {
+      name: 'sort',
+      in: 'query',
+      description: 'Comma-separated columns; prefix a column with - to sort it descending, e.g. -Revenue,SKU',
+      schema: { type: 'string' }
+    },
+    {
+      name: 'filter',
+      in: 'query',
+      style: 'deepObject',
+      explode: true,
+      description: `filter[Column]=value, or filter[Column][op]=value with op one of ${Object.keys(FILTER_OPERATORS).join(', ')}`,
+      schema: {
+        type: 'object',
+        additionalProperties: {
+          description: 'a value or an { op: value } object',
+          oneOf: [
+            { type: 'string' },
+            { type: 'object', additionalProperties: false, properties: mapValues(FILTER_OPERATORS, () => ({ type: 'string' })) }
+          ]
+        }
+      }
+    }
+  ];
+  const pagingDescription = 'Any of limit, offset, cursor, sort or filter returns one page of JSON rows, with '
+    + 'page metadata in the body and first, prev, next and last links in the Link header.';
+
+  const dataResponse = {
+    description: 'The exported rows; a Table for shape=table, with page metadata when paged',
+    headers: { Link: { description: 'Links to the first, prev, next and last pages of a paged response', schema: { type: 'string' } } },
+    content: { 'text/csv': {}, 'application/json': { schema: { oneOf: [ref('Table'), ref('Page'), {}] } }, 'application/octet-stream': {} }
+  };
+
+  const paths = {
+    '/zoho-analytics/token': {
+      post: operation({
+        tags: ['Access tokens'],
+        summary: 'Issue a short-lived access token scoped to the given operations and resources',
+        security: [{ sharedSecret: [] }],
+        requestBody: { required: true, content: json(ref('TokenRequest')) },
+        responses: { 201: response('The signed token', ref('TokenResponse')) }
+      })
+    },
+    '/zoho-analytics/report': {
+      post: operation({
+        tags: ['Views'],
+        summary: 'Fetch a Zoho Analytics report',
+        description: 'Answers from the response cache when possible; honours If-None-Match with a 304.',
+        security: token,
+        requestBody: {
+          required: true,
+          content: json({ type: 'object', required: ['alias'], properties: { alias: { type: 'string', minLength: 1 } } })
+        },
+        responses: Object.assign({
+          200: response('Zoho\'s view details', ref('ZohoResponse')),
+          304: { description: 'The cached copy named by If-None-Match is still current' },
+          404: response('Unknown alias')
+        }, ZOHO_RESPONSES)
+      })
+    },
+    '/zoho-analytics/dashboard': {
+      get: operation({
+        tags: ['Views'],
+        summary: 'Fetch a Zoho Analytics dashboard',
+        security: token,
+        parameters: [{ name: 'alias', in: 'query', required: true, schema: { type: 'string', minLength: 1 } }],
+        responses: Object.assign({
+          200: response('Zoho\'s dashboard details', ref('ZohoResponse')),
+          304: { description: 'The cached copy named by If-None-Match is still current' },
+          404: response('Unknown alias')
+        }, ZOHO_RESPONSES)
+      })
+    },
+    '/zoho-analytics/export': {
+      get: operation({
+        tags: ['Views'],
+        summary: 'Stream the rows of a view as CSV, JSON, XLSX or PDF, or return a typed or paged JSON slice',
+        description: pagingDescription,
+        security: tokenOrQuery,
+        parameters: [{ name: 'alias', in: 'query', required: true, schema: { type: 'string', minLength: 1 } }]
+          .concat(Object.keys(exportParameters).map((name) => ({ name, in: 'query', schema: exportParameters[name] })))
+          .concat(shapeParameter, pageParameters),
+        responses: Object.assign({
+          200: dataResponse,
+          404: response('Unknown alias')
+        }, ZOHO_RESPONSES)
+      })
+    },
+    '/zoho-analytics/queries/{name}': {
+      post: operation({
+        tags: ['Queries'],
+        summary: 'Run a named, server-side SQL query and return its result',
+        security: token,
+        parameters: [pathParam('name', 'Query name registered in queries.json')],
+        requestBody: {
+          content: json({
+            type: 'object',
+            properties: { params: { type: 'object', description: 'Values for the query\'s :placeholders' } }
+          })
+        },
+        responses: Object.assign({
+          200: { description: 'The query result in the query\'s format', content: { 'text/csv': {}, 'application/json': {} } },
+          403: response('FORBIDDEN (the token\'s customer binding does not suit the query) or ZOHO_PERMISSION_DENIED'),
+          404: response('Unknown query')
+        }, ZOHO_RESPONSES)
+      })
+    },
+    '/zoho-analytics/views/{alias}/rows': {
+      parameters: [aliasParam],
+      post: operation({
+        tags: ['Rows'],
+        summary: 'Add a row to a table',
+        description: 'Column names and values are checked against the view\'s live column metadata.',
+        security: token,
+        requestBody: { required: true, content: json(ref('RowWrite')) },
+        responses: Object.assign({ 201: response('Zoho\'s result', ref('ZohoResponse')) }, ZOHO_RESPONSES)
+      }),
+      put: operation({
+        tags: ['Rows'],
+        summary: 'Update the rows matching a criteria',
+        security: token,
+        requestBody: { required: true, content: json(ref('RowUpdate')) },
+        responses: Object.assign({ 200: response('Zoho\'s result', ref('ZohoResponse')) }, ZOHO_RESPONSES)
+      }),
+      delete: operation({
+        tags: ['Rows'],
+        summary: 'Delete the rows matching a criteria',
+        security: token,
+        requestBody: { required: true, content: json(ref('RowDelete')) },
+        responses: Object.assign({
+          200: response('Number of deleted rows', { type: 'object', properties: { deletedRows: { type: 'integer' } } })
+        }, ZOHO_RESPONSES)
+      })
+    },
+    '/zoho-analytics/views/{alias}/imports': {
+      parameters: [aliasParam],
+      post: operation({
+        tags: ['Bulk jobs'],
+        summary: 'Upload a CSV or JSON file and import it as a bulk job',
+        security: token,
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['file'],
+                properties: {
+                  file: { type: 'string', format: 'binary' },
+                  importType: { type: 'string', enum: importTypes, default: importTypes[0], description: 'Case-insensitive' },
+                  fileType: { type: 'string', enum: importFileTypes, description: 'Case-insensitive; guessed from the file name when omitted' },
+                  autoIdentify: { type: 'boolean', default: true },
+                  matchingColumns: { type: 'string', description: 'Comma-separated; required for UPDATEADD imports' },
+                  batchSize: { type: 'integer', minimum: 1, description: 'Import CSV files in batches of this many rows; the job stays in-progress while the batches upload' }
+                }
+              }
+            }
+          }
+        },
+        responses: Object.assign({
+          202: response('The job was started', ref('JobAccepted')),
+          413: response('The file is too large')
+        }, ZOHO_RESPONSES)
+      })
+    },
+    '/zoho-analytics/views/{alias}/exports': {
+      parameters: [aliasParam],
+      post: operation({
+        tags: ['Bulk jobs'],
+        summary: 'Start a bulk export job; follow it with the job routes',
+        security: token,
+        requestBody: { content: json({ type: 'object', properties: exportParameters }) },
+        responses: Object.assign({ 202: response('The job was started', ref('JobAccepted')) }, ZOHO_RESPONSES)
+      })
+    },
+    '/zoho-analytics/jobs/{id}': {
+      parameters: [pathParam('id', 'Job ID returned when the job was started')],
+      get: operation({
+        tags: ['Bulk jobs'],
+        summary: 'Report the status of a bulk job',
+        security: token,
+        responses: Object.assign({
+          200: response('The job status', ref('JobStatus')),
+          404: response('Unknown job')
+        }, ZOHO_RESPONSES)
+      })
+    },
+    '/zoho-analytics/jobs/{id}/events': {
+      parameters: [pathParam('id', 'Job ID returned when the job was started')],
+      get: operation({
+        tags: ['Bulk jobs'],
+        summary: 'Stream a job\'s progress as Server-Sent Events named after its state',
+        security: tokenOrQuery,
+        responses: { 200: { description: 'queued, in-progress, completed and failed events', content: { 'text/event-stream': {} } } }
+      })
+    },
+    '/zoho-analytics/jobs/{id}/data': {
+      parameters: [pathParam('id', 'Job ID returned when the job was started')],
+      get: operation({
+        tags: ['Bulk jobs'],
+        summary: 'Download the result of a completed export job, or a typed or paged JSON slice of it',
+        description: pagingDescription,
+        security: tokenOrQuery,
+        parameters: [shapeParameter].concat(pageParameters),
+        responses: Object.assign({
+          200: dataResponse,
+          404: response('Unknown job'),
+          409: response('The job has not completed')
+        }, ZOHO_RESPONSES)
+      })
+    },
+    '/zoho-analytics/embed/{alias}': {
+      parameters: [aliasParam],
+      get: operation({
+        tags: ['Views'],
+        summary: 'Get a private embed URL for a view, filtered by the caller\'s row policy',
+        security: token,
+        responses: Object.assign({
+          200: response('The embed URL', { type: 'object', properties: { embedUrl: { type: 'string', format: 'uri' } } })
+        }, ZOHO_RESPONSES)
+      })
+    },
+    '/zoho-analytics/subscriptions/{alias}': {
+      parameters: [aliasParam],
+      get: operation({
+        tags: ['Views'],
+        summary: 'Stream a view\'s rows as Server-Sent Events: a snapshot, then only the rows that change',
+        security: tokenOrQuery,
+        responses: { 200: { description: 'snapshot, changes and unavailable events', content: { 'text/event-stream': {} } } }
+      })
+    },
+    '/healthz': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Liveness check',
+        security: [],
+        responses: { 200: response('The process is serving requests', { type: 'object' }) }
+      }
+    },
+    '/readyz': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Readiness check; a Zoho token can be obtained (cached, and never spends Zoho API quota)',
+        security: [],
+        responses: {
+          200: response('Ready', ref('Readiness')),
+          503: response('Not ready or shutting down', ref('Readiness'))
+        }
+      }
+    },
+    '/metrics': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Proxy and upstream metrics in the Prometheus text format',
+        security: [{}, { metricsToken: [] }],
+        responses: { 200: { description: 'Metrics', content: { 'text/plain': {} } }, 401: response('Invalid metrics token') }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        tags: ['Operations'],
+        summary: 'This document',
+        security: [],
+        responses: { 200: response('OpenAPI 3 document', { type: 'object' }) }
+      }
+    }
+  };
+
+  // Every allowlisted Zoho endpoint is documented (and validated) as its own path
+  passthroughRoutes.forEach((route) => {
+    const parameters = route.segments.filter((segment) => segment[0] === ':').map((segment) => {
+      const name = segment.slice(1);
+      // Listed as a description rather than an enum: other values are answered by the allowlist's 404
+      return pathParam(name, route.allow[name] ? `One of: ${route.allow[name].join(', ')}` : undefined);
+    });
+    parameters.push({
+      name: 'CONFIG',
+      in: 'query',
+      description: 'Zoho CONFIG object as JSON; other query parameters (and, for writes, a JSON body) are merged into it',
+      schema: { type: 'string' }
+    });
+
+    const path = `/zoho-analytics/api/${route.segments.map((segment) => (segment[0] === ':' ? `{${segment.slice(1)}}` : segment)).join('/')}`;
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = operation({
+      tags: ['Zoho API passthrough'],
+      summary: `${route.method} /restapi/v2${route.path} (${route.name})`,
+      description: route.auth === 'token' ? `Requires the api:${route.name} scope.` : 'Requires the shared secret.',
+      security: route.auth === 'token' ? token : [{ sharedSecret: [] }],
+      parameters,
+      requestBody: route.method === 'GET' || route.method === 'DELETE' ? undefined : { content: json({ type: 'object' }) },
+      responses: Object.assign({ 200: response('Zoho\'s response', ref('ZohoResponse')) }, ZOHO_RESPONSES)
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Zoho Analytics Proxy',
+      version,
+      description: 'Scoped, cached and rate-limited access to Zoho Analytics for the storefront. '
+        + 'Browsers call the data routes with access tokens our backend mints at /zoho-analytics/token.'
+    },
+    paths,
+    // The error catalog: what each error.code means, and which Zoho error codes map to which
+    'x-error-codes': Object.keys(ERROR_CODES).map((code) => Object.assign({ code }, ERROR_CODES[code])),
+    'x-zoho-error-codes': Object.keys(ZOHO_ERROR_CODES).map((errorCode) => ({ errorCode: Number(errorCode), code: ZOHO_ERROR_CODES[errorCode] })),
+    components: {
+      securitySchemes: {
+        accessToken: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token from /zoho-analytics/token' },
+        accessTokenQuery: { type: 'apiKey', in: 'query', name: 'access_token', description: 'Access token, for GET links and EventSource' },
+        sharedSecret: { type: 'http', scheme: 'bearer', description: 'PROXY_SHARED_SECRET; for our backend only' },
+        metricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN, when configured' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message', 'status', 'retryable'],
+              properties: {
+                code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Stable error code; see x-error-codes' },
+                message: { type: 'string' },
+                status: { type: 'integer', description: 'HTTP status of the response' },
+                retryable: { type: 'boolean', description: 'Whether the same request may succeed later' },
+                requestId: { type: 'string', description: 'Also sent as X-Request-Id; quote it when reporting a problem' },
+                details: {
+                  description: 'For VALIDATION_FAILED, one entry per problem; for CONFLICT, the job state',
+                  oneOf: [{ type: 'array', items: ref('FieldError') }, { type: 'object' }]
+                },
+                upstream: {
+                  type: 'object',
+                  description: 'For ZOHO_* codes, what Zoho Analytics answered',
+                  properties: {
+                    status: { type: 'integer', description: 'HTTP status from Zoho, when it answered over HTTP' },
+                    errorCode: { type: 'integer', description: 'Zoho error code; see x-zoho-error-codes' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        FieldError: {
+          type: 'object',
+          properties: {
+            type: { type: 'string' },
+            msg: { type: 'string' },
+            path: { type: 'string' },
+            location: { type: 'string', enum: ['body', 'query', 'params', 'headers'] },
+            value: {}
+          }
+        },
+        Table: {
+          type: 'object',
+          description: 'Rows typed by the view\'s column metadata: integer and number values are numbers, '
+            + 'decimal (currency) values exact decimal strings and date values ISO 8601 strings. Blank cells are null.',
+          properties: {
+            columns: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', description: 'Column name, after the alias\'s renames' },
+                  type: { type: 'string', enum: ['string', 'integer', 'number', 'decimal', 'date', 'boolean'] }
+                }
+              }
+            },
+            rows: { type: 'array', items: { type: 'array', items: {} }, description: 'One array per row, in column order' },
+            page: ref('PageInfo')
+          }
+        },
+        Page: {
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: { type: 'object' }, description: 'Rows keyed by column name, after the alias\'s renames' },
+            page: ref('PageInfo')
+          }
+        },
+        PageInfo: {
+          type: 'object',
+          description: 'Present on paged responses',
+          properties: {
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+            count: { type: 'integer', description: 'Rows on this page' },
+            total: { type: 'integer', nullable: true, description: 'Rows on all pages; null when served by SQL, which does not count them' },
+            nextCursor: { type: 'string', nullable: true, description: 'Cursor of the next page; null on the last page' }
+          }
+        },
+        ZohoResponse: {
+          type: 'object',
+          description: 'Zoho Analytics v2 response',
+          properties: { status: { type: 'string' }, summary: { type: 'string' }, data: {} }
+        },
+        TokenRequest: {
+          type: 'object',
+          required: ['scopes'],
+          properties: {
+            scopes: {
+              type: 'array',
+              minItems: 1,
+              items: { type: 'string', pattern: '^[a-z-]+:[^\\s:]+$' },
+              description: '"<operation>:<resource>" grants, e.g. report:sales-by-sku or export:*'
+            },
+            subject: { type: 'string', description: 'Who the token is for; per-key rate limits apply to it' },
+            customer: { type: 'string', minLength: 1, description: 'fx-customer the token may act as (row policies)' },
+            ttl: { type: 'integer', minimum: 1, description: 'Lifetime in seconds' }
+          }
+        },
+        TokenResponse: {
+          type: 'object',
+          properties: { token: { type: 'string' }, expiresAt: { type: 'string', format: 'date-time' } }
+        },
+        RowWrite: {
+          type: 'object',
+          required: ['columns'],
+          properties: {
+            columns: { type: 'object', description: 'Column name to value', additionalProperties: { nullable: true } }
+          }
+        },
+        RowUpdate: {
+          type: 'object',
+          required: ['columns', 'criteria'],
+          properties: {
+            columns: { type: 'object', description: 'Column name to new value' },
+            criteria: { type: 'string', minLength: 1, description: 'Zoho criteria selecting the rows to update' }
+          }
+        },
+        RowDelete: {
+          type: 'object',
+          required: ['criteria'],
+          properties: {
+            criteria: { type: 'string', minLength: 1, description: 'Zoho criteria selecting the rows to delete' }
+          }
+        },
+        JobAccepted: {
+          type: 'object',
+          properties: {
+            jobId: { type: 'string' },
+            statusUrl: { type: 'string' },
+            eventsUrl: { type: 'string' }
+          }
+        },
+        JobStatus: {
+          type: 'object',
+          properties: {
+            jobId: { type: 'string' },
+            type: { type: 'string', enum: ['import', 'export'] },
+            alias: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            state: { type: 'string', enum: ['queued', 'in-progress', 'completed', 'failed'] },
+            details: { type: 'object', description: 'Zoho\'s job details' },
+            statusUrl: { type: 'string' },
+            eventsUrl: { type: 'string' },
+            downloadUrl: { type: 'string', description: 'Present once an export job has completed' }
+          }
+        },
+        Readiness: {
+          type: 'object',
+          properties: {
+            status: { type: 'string' },
+            checks: { type: 'object', additionalProperties: { type: 'string' } }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Creates middleware validating requests against an OpenAPI document.
+ *
+ * Requests are matched to an operation by method and path; unknown routes pass
+ * through untouched. Failures are answered with VALIDATION_FAILED, whose details
+ * have the shape express-validator produces. Checks the document cannot express (live
+ * column metadata, conditional fields) stay with the routes' express-validator chains.
+ *
+ * @param {Object} document - Document from buildOpenApiDocument.
+ */
+function createRequestValidator(document) {
+  const { resolve, validate } = createSchemaValidator(document);
+
+  const operations = [];
+  Object.keys(document.paths).forEach((template) => {
+    const pathItem = document.paths[template];
+    const names = [];
+    const pattern = new RegExp(`^${template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    })}/?$`);
+    ['get', 'post', 'put', 'patch', 'delete'].forEach((method) => {
+      if (pathItem[method]) {
+        const parameters = (pathItem.parameters || []).concat(pathItem[method].parameters || []);
+        operations.push({ method: method.toUpperCase(), pattern, names, parameters, operation: pathItem[method] });
+      }
+    });
+  });
+
+  function find(req) {
+    for (let i = 0; i < operations.length; i += 1) {
+      const candidate = operations[i];
+      const match = candidate.method === req.method && candidate.pattern.exec(req.path);
+      if (match) {
+        const pathValues = {};
+        candidate.names.forEach((name, index) => {
+          try {
+            pathValues[name] = decodeURIComponent(match[index + 1]);
+          } catch (error) {
+            pathValues[name] = match[index + 1];
+          }
+        });
+        return { candidate, pathValues };
+      }
+    }
+    return null;
+  }
+
+  const LOCATIONS = { path: 'params', query: 'query', header: 'headers' };
+  const asFieldErrors = (errors, location) => errors.map(({ path, value, msg }) => ({ type: 'field', value, msg, path, location }));
+
+  function reject(res, errors) {
+    logger.warn('Validation errors', { errors });
+    sendError(res, 'VALIDATION_FAILED', 'The request is invalid', { details: errors });
+  }
+
+  function bodySchema(operation, mediaType) {
+    const content = operation.requestBody && operation.requestBody.content;
+    return content && content[mediaType] ? content[mediaType].schema : null;
+  }
+
+  /**
+   * Middleware validating path, query and header parameters and JSON bodies.
+   * Mount it on each route after authentication, so callers without credentials
+   * get 401 rather than a list of validation errors.
+   */
+  function validateRequest(req, res, next) {
+    const found = find(req);
+    if (!found) {
+      return next();
+    }
+    const { candidate, pathValues } = found;
+    let errors = [];
+
+    candidate.parameters.forEach((parameter) => {
+      const param = parameter.$ref ? resolve(parameter) : parameter;
+      let value;
+      if (param.in === 'path') {
+        value = pathValues[param.name];
+      } else if (param.in === 'query') {
+        value = req.query[param.name];
+      } else if (param.in === 'header') {
+        value = req.get(param.name);
+      }
+      if (value === undefined || value === '') {
+        if (param.required) {
+          errors.push({ type: 'field', value, msg: `${param.name} is required`, path: param.name, location: LOCATIONS[param.in] });
+        }
+        return;
+      }
+      errors = errors.concat(asFieldErrors(validate(param.schema || {}, value, param.name, { coerceStrings: true }), LOCATIONS[param.in]));
+    });
+
+    const schema = bodySchema(candidate.operation, 'application/json');
+    if (schema) {
+      const body = req.body === undefined ? {} : req.body;
+      errors = errors.concat(asFieldErrors(validate(schema, body, ''), 'body'));
+    }
+
+    return errors.length ? reject(res, errors) : next();
+  }
+
+  /**
+   * Middleware validating multipart form fields; mount it after the upload has been parsed.
+   */
+  function validateFormFields(req, res, next) {
+    const found = find(req);
+    const schema = found && bodySchema(found.candidate.operation, 'multipart/form-data');
+    if (!schema) {
+      return next();
+    }
+    // The uploaded file is checked by the upload middleware; the schema covers the text fields
+    const resolved = resolve(schema);
+    const fields = Object.assign({}, resolved, { required: (resolved.required || []).filter((name) => name !== 'file') });
+    const errors = asFieldErrors(validate(fields, req.body || {}, '', { coerceStrings: true }), 'body');
+    return errors.length ? reject(res, errors) : next();
+  }
+
+  return {
+    validateRequest,
+    validateFormFields
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  createRequestValidator
+};
@@ -0,0 +1,313 @@
+// lib/pagination.js
+const { quoteLiteral } = require('./named-queries');
+const { COLUMN_TYPES, convertValue } = require('./tabular');
+
+// Filter operators accepted as filter[Column][op]=value; filter[Column]=value means eq
+const FILTER_OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  contains: 'like'
+};
+const PAGE_PARAMS = ['limit', 'offset', 'cursor', 'sort', 'filter'];
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Error raised when paging, sorting or filter parameters cannot be applied.
+ */
+class PageQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PageQueryError';
+    this.status = 400;
+  }
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Returns whether a request asks for a page rather than the whole export.
+ */
+function wantsPage(query) {
+  return PAGE_PARAMS.some((name) => query[name] !== undefined);
+}
+
+/**
+ * Cursors are opaque to callers; today they only carry the offset of the next page.
+ */
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new PageQueryError('cursor is invalid');
+}
+
+/**
+ * Reads the paging parameters of a request.
+ *
+ * Columns may be named by their Zoho name or by the alias's rename, and must be
+ * columns of the view the caller may see.
+ *
+ * @param {Object} query - Parsed query string: limit, offset or cursor, sort ("-Revenue,SKU")
+ *   and filter ({ Column: value } or { Column: { op: value } }).
+ * @param {Object} options
+ * @param {Map} options.columnTypes - Zoho column name to Zoho data type.
+ * @param {String[]} options.columns - Columns the caller is limited to, if any.
+ * @param {Object} options.rename - Zoho column name to the name callers see.
+ * @param {Number} options.defaultLimit - Page size when `limit` is omitted.
+ * @param {Number} options.maxLimit - Largest page size allowed.
+ * @returns {Object} { limit, offset, sort: [{ column, descending }], filters: [{ column, operator, value }] }
+ * @throws {PageQueryError} If a parameter cannot be applied.
+ */
+function parsePageQuery(query, { columnTypes, columns, rename = {}, defaultLimit = 100, maxLimit = 1000 }) {
+  const originalNames = {};
+  Object.keys(rename).forEach((column) => {
+    originalNames[rename[column]] = column;
+  });
+  const columnOf = (name) => {
+    const column = originalNames[name] || name;
+    if (!columnTypes.has(column) || (columns && columns.indexOf(column) === -1)) {
+      throw new PageQueryError(`Unknown column: ${name}`);
+    }
+    return column;
+  };
+
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw new PageQueryError(`limit must be between 1 and ${maxLimit}`);
+  }
+  if (query.offset !== undefined && query.cursor !== undefined) {
+    throw new PageQueryError('Use either offset or cursor, not both');
+  }
+  const offset = query.cursor !== undefined ? decodeCursor(query.cursor) : Number(query.offset || 0);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new PageQueryError('offset must be a non-negative integer');
+  }
+
+  const sort = String(query.sort || '').split(',').map((item) => item.trim()).filter(Boolean).map((item) => ({
+    column: columnOf(item.replace(/^[-+]/, '')),
+    descending: item[0] === '-'
+  }));
+
+  const filters = [];
+  const filter = query.filter || {};
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new PageQueryError('filter must be given as filter[Column]=value or filter[Column][op]=value');
+  }
+  Object.keys(filter).forEach((name) => {
+    const column = columnOf(name);
+    const conditions = filter[name] !== null && typeof filter[name] === 'object' ? filter[name] : { eq: filter[name] };
+    Object.keys(conditions).forEach((operator) => {
+      if (!FILTER_OPERATORS[operator]) {
+        throw new PageQueryError(`Unknown filter operator "${operator}"; use ${Object.keys(FILTER_OPERATORS).join(', ')}`);
+      }
+      if (typeof conditions[operator] !== 'string') {
+        throw new PageQueryError(`filter[${name}][${operator}] must be a single value`);
+      }
+      filters.push({ column, operator, value: conditions[operator] });
+    });
+  });
+
+  return { limit, offset, sort, filters };
+}
+
+/**
+ * Translates filters into a Zoho criteria expression, or null when there are none.
+ * @param {Object[]} filters - From parsePageQuery.
+ * @param {Map} columnTypes - Zoho column name to Zoho data type.
+ */
+function filterCriteria(filters, columnTypes) {
+  if (!filters.length) {
+    return null;
+  }
+  return filters.map(({ column, operator, value }) => {
+    const numeric = ['integer', 'number', 'decimal'].indexOf(COLUMN_TYPES[columnTypes.get(column)]) !== -1;
+    let literal;
+    if (operator === 'contains') {
+      // Backslash is LIKE's default escape, so % and _ match themselves as in filterRows
+      literal = quoteLiteral(`%${value.replace(/[\\%_]/g, '\\$&')}%`);
+    } else if (numeric) {
+      if (!NUMERIC_PATTERN.test(value.trim())) {
+        throw new PageQueryError(`Filter value for ${column} must be a number`);
+      }
+      literal = value.trim();
+    } else {
+      literal = quoteLiteral(value);
+    }
+    return `${quoteIdentifier(column)} ${FILTER_OPERATORS[operator]} ${literal}`;
+  }).join(' and ');
+}
+
+/**
+ * Builds the SQL query for one page of a table.
+ *
+ * Rows are always ordered, ending with the `keyColumns` not already sorted on, so that
+ * LIMIT and OFFSET slice the same order on every page.
+ * @param {Object} options - { table, columns, criteria, sort, keyColumns, limit, offset }
+ *   where `keyColumns` identify a row, or are every column when the view has no key.
+ */
+function pageSql({ table, columns, criteria, sort = [], keyColumns = [], limit, offset = 0 }) {
+  const select = columns && columns.length ? columns.map(quoteIdentifier).join(', ') : '*';
+  let sql = `SELECT ${select} FROM ${quoteIdentifier(table)}`;
+  if (criteria) {
+    sql += ` WHERE ${criteria}`;
+  }
+  const order = sort.concat(keyColumns
+    .filter((column) => !sort.some((item) => item.column === column))
+    .map((column) => ({ column, descending: false })));
+  if (order.length) {
+    sql += ` ORDER BY ${order.map(({ column, descending }) => `${quoteIdentifier(column)}${descending ? ' DESC' : ' ASC'}`).join(', ')}`;
+  }
+  return `${sql} LIMIT ${limit} OFFSET ${offset}`;
+}
+
+// Value of a cell for comparisons: numbers for numeric and date columns, null when blank
+function typedValue(type, value) {
+  const converted = convertValue(type, value);
+  if (converted === null) {
+    return null;
+  }
+  if (type === 'date') {
+    return Date.parse(converted);
+  }
+  return type === 'decimal' ? Number(converted) : converted;
+}
+
+function compareValues(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null || b === null) {
+    return a === null ? 1 : -1;
+  }
+  return typeof a === 'string' ? a.localeCompare(b) : (a < b ? -1 : 1);
+}
+
+/**
+ * Keeps the rows matching every filter, the way filterCriteria would in Zoho.
+ * Blank cells match only `ne`. Returns a new array.
+ * @param {Object[]} rows - Row objects keyed by Zoho column name.
+ * @param {Object[]} filters - From parsePageQuery.
+ * @param {Map} columnTypes - Zoho column name to Zoho data type.
+ */
+function filterRows(rows, filters, columnTypes) {
+  if (!filters.length) {
+    return rows;
+  }
+  const tests = filters.map(({ column, operator, value }) => {
+    const type = COLUMN_TYPES[columnTypes.get(column)] || 'string';
+    if (operator === 'contains') {
+      const needle = value.toLowerCase();
+      return (row) => row[column] !== undefined && row[column] !== null && String(row[column]).toLowerCase().indexOf(needle) !== -1;
+    }
+    if (['integer', 'number', 'decimal'].indexOf(type) !== -1 && !NUMERIC_PATTERN.test(value.trim())) {
+      throw new PageQueryError(`Filter value for ${column} must be a number`);
+    }
+    const expected = typedValue(type, value);
+    return (row) => {
+      const actual = typedValue(type, row[column]);
+      if (actual === null || expected === null) {
+        return operator === 'ne' && actual !== expected;
+      }
+      const result = compareValues(actual, expected);
+      switch (operator) {
+        case 'ne': return result !== 0;
+        case 'gt': return result > 0;
+        case 'gte': return result >= 0;
+        case 'lt': return result < 0;
+        case 'lte': return result <= 0;
+        default: return result === 0;
+      }
+    };
+  });
+  return rows.filter((row) => tests.every((test) => test(row)));
+}
+
+/**
+ * Sorts rows by typed value; blank cells sort last. Returns a new array.
+ * @param {Object[]} rows - Row objects keyed by Zoho column name.
+ * @param {Object[]} sort - From parsePageQuery.
+ * @param {Map} columnTypes - Zoho column name to Zoho data type.
+ */
+function sortRows(rows, sort, columnTypes) {
+  if (!sort.length) {
+    return rows;
+  }
+  const keys = sort.map(({ column, descending }) => {
+    const type = COLUMN_TYPES[columnTypes.get(column)] || 'string';
+    return { valueOf: (row) => typedValue(type, row[column]), direction: descending ? -1 : 1 };
+  });
+
+  return rows.slice().sort((left, right) => {
+    for (let i = 0; i < keys.length; i += 1) {
+      const a = keys[i].valueOf(left);
+      const b = keys[i].valueOf(right);
+      const result = compareValues(a, b);
+      if (result) {
+        // Blanks stay last whichever way the column is sorted
+        return a === null || b === null ? result : result * keys[i].direction;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Builds the pagination metadata and Link header for a page.
+ *
+ * @param {String} path - Path of the request.
+ * @param {URLSearchParams} params - Query of the request; offset, cursor and access_token are dropped from links.
+ * @param {Object} page - { limit, offset, count, hasMore, total } where total may be null when unknown.
+ * @returns {Object} { page, link } with `page` for the response body and `link` for the Link header.
+ */
+function pageLinks(path, params, { limit, offset, count, hasMore, total = null }) {
+  const base = new URLSearchParams(params);
+  ['offset', 'cursor', 'access_token'].forEach((name) => base.delete(name));
+  const urlFor = (pageOffset) => {
+    const query = new URLSearchParams(base);
+    if (pageOffset) {
+      query.set('cursor', encodeCursor(pageOffset));
+    }
+    const text = query.toString();
+    return text ? `${path}?${text}` : path;
+  };
+
+  const page = { limit, offset, count, total, nextCursor: hasMore ? encodeCursor(offset + limit) : null };
+  const links = [`<${urlFor(0)}>; rel="first"`];
+  if (offset > 0) {
+    links.push(`<${urlFor(Math.max(0, offset - limit))}>; rel="prev"`);
+  }
+  if (hasMore) {
+    links.push(`<${urlFor(offset + limit)}>; rel="next"`);
+  }
+  if (total !== null && total > 0) {
+    links.push(`<${urlFor(Math.floor((total - 1) / limit) * limit)}>; rel="last"`);
+  }
+  return { page, link: links.join(', ') };
+}
+
+module.exports = {
+  FILTER_OPERATORS,
+  PageQueryError,
+  filterCriteria,
+  filterRows,
+  pageLinks,
+  pageSql,
+  parsePageQuery,
+  sortRows,
+  wantsPage
+};
@@ -0,0 +1,169 @@
+// lib/passthrough.js
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const AUTH_MODES = ['token', 'secret'];
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const SEGMENT_PATTERN = /^(:[A-Za-z][A-Za-z0-9]*|[A-Za-z0-9_-]+)$/;
+
+/**
+ * Error raised when a passthrough request is not on the allowlist.
+ * `status` is 404 for unknown paths and 405 for known paths with another method.
+ */
+class PassthroughError extends Error {
+  constructor(message, status, allowedMethods = []) {
+    super(message);
+    this.name = 'PassthroughError';
+    this.status = status;
+    this.allowedMethods = allowedMethods;
+  }
+}
+
+function compileRoute(definition, index, restrictedIds) {
+  const label = definition && definition.name ? `Passthrough route "${definition.name}"` : `Passthrough route #${index + 1}`;
+  if (!definition || !NAME_PATTERN.test(definition.name || '')) {
+    throw new Error(`${label} needs a name of lowercase letters, digits and dashes`);
+  }
+  const method = String(definition.method || '').toUpperCase();
+  if (METHODS.indexOf(method) === -1) {
+    throw new Error(`${label} has unsupported method "${definition.method}" (use ${METHODS.join(', ')})`);
+  }
+  const auth = definition.auth || 'token';
+  if (AUTH_MODES.indexOf(auth) === -1) {
+    throw new Error(`${label} has unknown auth "${definition.auth}" (use ${AUTH_MODES.join(', ')})`);
+  }
+  if (typeof definition.path !== 'string' || definition.path[0] !== '/') {
+    throw new Error(`${label} needs a path starting with "/"`);
+  }
+  const segments = definition.path.split('/').slice(1);
+  segments.forEach((segment) => {
+    if (!SEGMENT_PATTERN.test(segment)) {
+      throw new Error(`${label} path segment "${segment}" must be a literal or a :param`);
+    }
+  });
+  const params = segments.filter((segment) => segment[0] === ':').map((segment) => segment.slice(1));
+  const allow = definition.allow || {};
+  Object.keys(allow).forEach((param) => {
+    if (params.indexOf(param) === -1 || !Array.isArray(allow[param])) {
+      throw new Error(`${label} allow.${param} must list the values of one of its :params`);
+    }
+  });
+  if (auth === 'token') {
+    // Access tokens reach only listed IDs, and never a view whose rows are restricted per customer
+    params.forEach((param) => {
+      if (!allow[param]) {
+        throw new Error(`${label} is reachable with access tokens, so allow.${param} must list its values`);
+      }
+    });
+    const restricted = segments.concat(...Object.keys(allow).map((param) => allow[param].map(String)))
+      .filter((value) => restrictedIds.has(value));
+    if (restricted.length) {
+      throw new Error(`${label} reaches ${restricted.join(', ')}, whose rows are restricted per customer; use the view alias routes instead`);
+    }
+  }
+  if (definition.cacheTtl !== undefined && (method !== 'GET' || !(Number(definition.cacheTtl) >= 0))) {
+    throw new Error(`${label} cacheTtl must be a number of seconds on a GET route`);
+  }
+
+  return Object.freeze(Object.assign({}, definition, { method, auth, segments, allow }));
+}
+
+/**
+ * Builds the allowlist of Zoho Analytics v2 REST endpoints reachable through
+ * /zoho-analytics/api/*. Anything not listed is refused.
+ *
+ * Each route is `{ name, method, path, auth, allow, orgId, rateLimit, priority, cacheTtl }`:
+ * - `path` is relative to /restapi/v2; `:param` segments match one path segment.
+ * - `auth` is `token` (an access token with the `api:<name>` scope; the default)
+ *   or `secret` (our backend's shared secret).
+ * - `allow` limits :params to listed values, e.g. `{ "workspaceId": ["1386..."] }`.
+ *   Token routes must list every :param, and may not list a view with a row policy.
+ * - `orgId` is sent as ZANALYTICS-ORGID instead of the default organization.
+ * - `rateLimit` is a limit as in lib/rate-limits.js; `priority` a quota class.
+ * - `cacheTtl` serves GET responses from the response cache for that many seconds.
+ *
+ * @param {Object} config - { routes: [...] }
+ * @param {Object} options - { restrictedIds } IDs of views with a row policy (see lib/row-policy.js).
+ */
+function createPassthroughRoutes({ routes = [] } = {}, { restrictedIds = [] } = {}) {
+  if (!Array.isArray(routes)) {
+    throw new Error('Passthrough routes must be a list');
+  }
+  const restricted = new Set(restrictedIds.map(String));
+  const compiled = routes.map((definition, index) => compileRoute(definition, index, restricted));
+  const names = new Set();
+  compiled.forEach((route) => {
+    if (names.has(route.name)) {
+      throw new Error(`Passthrough route name "${route.name}" is used twice`);
+    }
+    names.add(route.name);
+  });
+
+  // Returns the decoded :params if `parts` match the route's path, otherwise null
+  function matchPath(route, parts) {
+    if (route.segments.length !== parts.length) {
+      return null;
+    }
+    const params = {};
+    for (let i = 0; i < parts.length; i += 1) {
+      const segment = route.segments[i];
+      let value;
+      try {
+        value = decodeURIComponent(parts[i]);
+      } catch (error) {
+        return null;
+      }
+      if (segment[0] === ':') {
+        const name = segment.slice(1);
+        // Dot segments would let the URL climb out of the allowed path
+        if (!value || value === '.' || value === '..' || (route.allow[name] && route.allow[name].map(String).indexOf(value) === -1)) {
+          return null;
+        }
+        params[name] = value;
+      } else if (value !== segment) {
+        return null;
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Finds the allowed route for a request.
+   * @param {String} method - HTTP method.
+   * @param {String} path - Raw (still encoded) path below /zoho-analytics/api.
+   * @returns {Object} { route, params, zohoPath } where zohoPath is relative to /restapi/v2.
+   * @throws {PassthroughError} If no route allows the request.
+   */
+  function match(method, path) {
+    const parts = path.replace(/\/+$/, '').split('/').slice(1);
+    const allowedMethods = [];
+    for (let i = 0; i < compiled.length; i += 1) {
+      const route = compiled[i];
+      const params = matchPath(route, parts);
+      if (!params) {
+        continue;
+      }
+      if (route.method !== method.toUpperCase()) {
+        allowedMethods.push(route.method);
+        continue;
+      }
+      const zohoPath = `/${route.segments.map((segment) => (
+        segment[0] === ':' ? encodeURIComponent(params[segment.slice(1)]) : segment
+      )).join('/')}`;
+      return { route, params, zohoPath };
+    }
+    if (allowedMethods.length) {
+      throw new PassthroughError(`${method} is not allowed on ${path}`, 405, allowedMethods);
+    }
+    throw new PassthroughError(`Zoho API path is not allowed: ${path}`, 404);
+  }
+
+  return {
+    routes: () => compiled,
+    match
+  };
+}
+
+module.exports = {
+  PassthroughError,
+  createPassthroughRoutes
+};
@@ -0,0 +1,204 @@
+// lib/quota-budget.js
+const { sendError } = require('./errors');
+
+// Fractions of the daily limit that must remain for a priority class to be served
+// normally (`cacheOnlyBelow`) or at all (`shedBelow`). Critical traffic is never shed.
+const DEFAULT_CLASSES = {
+  critical: {},
+  high: { shedBelow: 0.02 },
+  normal: { cacheOnlyBelow: 0.1, shedBelow: 0.05 },
+  low: { cacheOnlyBelow: 0.3, shedBelow: 0.15 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised when a request is shed to save Zoho API quota.
+ */
+class QuotaExhaustedError extends Error {
+  constructor(priority, retryAfterMs) {
+    super(`Zoho API quota is running low; ${priority} priority requests are paused until it resets`);
+    this.name = 'QuotaExhaustedError';
+    this.code = 'QUOTA_EXHAUSTED';
+    this.status = 503;
+    this.priority = priority;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// A non-negative count, or undefined when the field is missing or not a number
+function countOf(value) {
+  const number = value === '' || value === null || typeof value === 'object' ? NaN : Number(value);
+  return number >= 0 ? number : undefined;
+}
+
+/**
+ * Reads the daily API usage from Zoho's subscription and resource details.
+ *
+ * Today's usage is `resourceDetails.apiUnits.used`; the plan's allowance is
+ * `resourceDetails.apiUnits.allowed`, else `subscription.apiUnitsAllowed`.
+ * Missing fields are left undefined so the budget keeps its configured limit
+ * and local count.
+ * @param {Object} subscription - Result of OrgAPI.getSubscriptionDetails.
+ * @param {Object} resources - Result of OrgAPI.getResourceDetails.
+ * @returns {Object} { limit, used }, either of which may be undefined.
+ */
+function apiUsageFrom(subscription, resources) {
+  const apiUnits = (resources && resources.apiUnits) || {};
+  const allowed = countOf(apiUnits.allowed);
+  return {
+    limit: allowed !== undefined ? allowed : countOf(subscription && subscription.apiUnitsAllowed),
+    used: countOf(apiUnits.used)
+  };
+}
+
+/**
+ * Tracks the Zoho API calls made today against the plan's daily limit.
+ *
+ * Days follow UTC. Calls are counted locally as they are made; `seed` replaces
+ * the count with Zoho's own figure, which also accounts for other dynos and clients.
+ * Without a known limit every request is allowed.
+ */
+class QuotaBudget {
+  /**
+   * @param {Object} options
+   * @param {Number} options.dailyLimit - API calls allowed per day; overrides the limit Zoho reports.
+   * @param {Object} options.classes - Priority classes, see DEFAULT_CLASSES.
+   */
+  constructor({ dailyLimit, classes = DEFAULT_CLASSES } = {}) {
+    Object.keys(classes).forEach((name) => {
+      const { cacheOnlyBelow = 0, shedBelow = 0 } = classes[name] || {};
+      if (!(cacheOnlyBelow >= 0 && cacheOnlyBelow <= 1 && shedBelow >= 0 && shedBelow <= 1)) {
+        throw new Error(`Quota class "${name}" thresholds must be fractions between 0 and 1`);
+      }
+    });
+    this.classes = classes;
+    this.configuredLimit = Number(dailyLimit) > 0 ? Number(dailyLimit) : null;
+    this.reportedLimit = null;
+    this.day = this.today();
+    this.used = 0;
+  }
+
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  rollover() {
+    const day = this.today();
+    if (day !== this.day) {
+      this.day = day;
+      this.used = 0;
+    }
+  }
+
+  get limit() {
+    return this.configuredLimit || this.reportedLimit;
+  }
+
+  hasClass(name) {
+    return Object.prototype.hasOwnProperty.call(this.classes, name);
+  }
+
+  /**
+   * Counts upstream calls made today.
+   */
+  record(count = 1) {
+    this.rollover();
+    this.used += count;
+  }
+
+  /**
+   * Adopts the limit and usage Zoho reports.
+   * @param {Object} usage - { limit, used }
+   */
+  seed({ limit, used } = {}) {
+    this.rollover();
+    if (Number(limit) > 0) {
+      this.reportedLimit = Number(limit);
+    }
+    if (Number(used) >= 0) {
+      this.used = Number(used);
+    }
+  }
+
+  /**
+   * Milliseconds until the daily quota resets (next UTC midnight).
+   */
+  msUntilReset() {
+    return DAY_MS - (Date.now() % DAY_MS);
+  }
+
+  /**
+   * Returns the day's usage: { day, used, limit, remaining, remainingRatio }.
+   */
+  usage() {
+    this.rollover();
+    const { limit } = this;
+    const remaining = limit ? Math.max(0, limit - this.used) : null;
+    return {
+      day: this.day,
+      used: this.used,
+      limit,
+      remaining,
+      remainingRatio: limit ? remaining / limit : null
+    };
+  }
+
+  /**
+   * Decides how a request of the given priority class is served.
+   * @returns {String} allow, cache-only or shed.
+   */
+  decide(priority) {
+    const { remainingRatio } = this.usage();
+    const thresholds = this.classes[priority] || {};
+    if (remainingRatio === null) {
+      return 'allow';
+    }
+    if (thresholds.shedBelow && remainingRatio < thresholds.shedBelow) {
+      return 'shed';
+    }
+    if (thresholds.cacheOnlyBelow && remainingRatio < thresholds.cacheOnlyBelow) {
+      return 'cache-only';
+    }
+    return 'allow';
+  }
+
+  /**
+   * Returns a middleware factory applying the budget to a route.
+   *
+   * Shed requests get 503 with Retry-After. Cache-only requests continue with
+   * `req.quotaCacheOnly` set on routes mounted with `{ cacheable: true }`, and are
+   * shed everywhere else.
+   *
+   * @param {Object} options
+   * @param {Function} options.priorityOf - Returns the priority class of a request.
+   * @param {Function} options.onDecision - Called with (priority, decision) for requests not allowed.
+   */
+  guard({ priorityOf, onDecision = () => {} }) {
+    return ({ cacheable = false } = {}) => (req, res, next) => {
+      const priority = priorityOf(req);
+      let decision = this.decide(priority);
+      if (decision === 'cache-only' && !cacheable) {
+        decision = 'shed';
+      }
+      if (decision === 'allow') {
+        return next();
+      }
+      onDecision(priority, decision);
+      if (decision === 'cache-only') {
+        req.quotaCacheOnly = true;
+        return next();
+      }
+      const error = new QuotaExhaustedError(priority, this.msUntilReset());
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+      sendError(res, error.code, error.message);
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_CLASSES,
+  QuotaBudget,
+  QuotaExhaustedError,
+  apiUsageFrom
+};
@@ -0,0 +1,193 @@
+// lib/rate-limits.js
+const path = require('path');
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const { sendError } = require('./errors');
+const { routeLabels } = require('./metrics');
+
+// ====================
+// Rate Limit Store Interface
+// ====================
+// Hit counters live in a store implementing express-rate-limit's Store interface,
+// so a store shared across dynos (e.g. Redis) can be plugged in:
+//
+//   init(options)       -> called once with the limiter's { windowMs }
+//   increment(key)      -> Promise<{ totalHits, resetTime }>
+//   decrement(key)      -> Promise
+//   resetKey(key)       -> Promise
+//
+// Every limiter gets its own store instance and keys are prefixed with the
+// limiter's name, so one backend can hold all of them.
+
+const COUNT_BY = ['caller', 'ip', 'all'];
+
+/**
+ * Builds a store for one limiter.
+ * `module` may name a module (resolved from the project root) exporting a factory `(options) => store`.
+ * @param {Object} config - The `store` section of the rate limit configuration.
+ */
+function createRateLimitStore(config = {}) {
+  if (config.module) {
+    const factory = require(path.resolve(__dirname, '..', config.module));
+    return factory(config.options || {});
+  }
+  return new MemoryStore();
+}
+
+/**
+ * Returns who a request counts against: the access token's subject (the API key
+ * our backend minted it for) when there is one, otherwise the client IP.
+ * @param {Object} req - Express request.
+ */
+function callerOf(req) {
+  return req.accessToken && req.accessToken.sub ? `key:${req.accessToken.sub}` : `ip:${req.ip}`;
+}
+
+function validateLimit(name, limit) {
+  if (!limit || !(Number(limit.windowMs) >= 1000) || !(Number(limit.max) >= 1)) {
+    throw new Error(`Rate limit "${name}" needs windowMs (at least 1000) and max (at least 1)`);
+  }
+  if (limit.by !== undefined && COUNT_BY.indexOf(limit.by) === -1) {
+    throw new Error(`Rate limit "${name}" counts by unknown "${limit.by}" (use ${COUNT_BY.join(', ')})`);
+  }
+}
+
+/**
+ * Creates the proxy's rate limiters.
+ *
+ * `global` applies to every request per client IP. The remaining limits are
+ * applied by `limitRequests`, which routes mount after authentication:
+ *
+ * - `routes`:  keyed by "<METHOD> <Express route path>", e.g. "GET /zoho-analytics/export".
+ * - `keys`:    keyed by access token subject; `default` covers every other caller.
+ * - `aliases`: keyed by view alias.
+ *
+ * Each limit is `{ windowMs, max, by }` where `by` is `caller` (token subject,
+ * falling back to the IP; the default), `ip`, or `all` (one budget shared by everyone).
+ * Responses carry the draft-6 RateLimit-* headers of whichever limit has the fewest requests left.
+ *
+ * @param {Object} config
+ * @param {Object} config.store - Store configuration, see createRateLimitStore.
+ * @param {Object} config.global - Limit for every request.
+ * @param {Object} config.routes - Per-route limits.
+ * @param {Object} config.keys - Per-API-key limits.
+ * @param {Object} config.aliases - Per-alias limits.
+ * @param {Function} onLimited - Called with the limiter name whenever a request is rejected.
+ * @param {Function} skip - Requests for which the global limit is skipped.
+ */
+function createRateLimits({ store = {}, global = { windowMs: 15 * 60 * 1000, max: 100 }, routes = {}, keys = {}, aliases = {} } = {}, { onLimited = () => {}, skip = () => false } = {}) {
+  const countKey = {
+    caller: callerOf,
+    ip: (req) => `ip:${req.ip}`,
+    all: () => 'all'
+  };
+
+  function createLimiter(name, limit, options = {}) {
+    validateLimit(name, limit);
+    const by = limit.by || options.by || 'caller';
+    const middleware = rateLimit(Object.assign({
+      windowMs: Number(limit.windowMs),
+      max: Number(limit.max),
+      standardHeaders: true,
+      legacyHeaders: false,
+      store: createRateLimitStore(store),
+      keyGenerator: (req) => `${name}|${countKey[by](req)}`,
+      handler: (req, res, next, handlerOptions) => {
+        onLimited(name);
+        sendError(res, 'RATE_LIMITED', `Too many requests (${name}), please try again later`);
+      }
+    }, options.rateLimit));
+    const windowMs = Number(limit.windowMs);
+
+    // req.rateLimit holds only the last limiter's counts, so each limiter that
+    // counted the request also records them with its window in req.rateLimits
+    const limiter = (req, res, next) => {
+      const previous = req.rateLimit;
+      middleware(req, res, (error) => {
+        if (!error && req.rateLimit && req.rateLimit !== previous) {
+          req.rateLimits = (req.rateLimits || []).concat({ info: req.rateLimit, windowMs });
+        }
+        next(error);
+      });
+    };
+    limiter.windowMs = windowMs;
+    return limiter;
+  }
+
+  const byName = (group, limits) => {
+    const limiters = {};
+    Object.keys(limits).forEach((key) => {
+      limiters[key] = createLimiter(`${group}:${key}`, limits[key]);
+    });
+    return limiters;
+  };
+
+  const globalLimiter = createLimiter('global', global, {
+    by: 'ip',
+    rateLimit: {
+      message: 'Too many requests from this IP, please try again later',
+      skip,
+      handler: (req, res, next, handlerOptions) => {
+        onLimited('global');
+        sendError(res, 'RATE_LIMITED', handlerOptions.message);
+      }
+    }
+  });
+  const routeLimiters = byName('route', routes);
+  const keyLimiters = byName('key', keys);
+  const aliasLimiters = byName('alias', aliases);
+
+  // express-rate-limit sets the headers of each limiter in turn; report the tightest one instead
+  function setTightestHeaders(res, checked) {
+    const tightest = checked.reduce((best, item) => (!best || item.info.remaining < best.info.remaining ? item : best), null);
+    const { info, windowMs } = tightest;
+    res.set('RateLimit-Policy', `${info.limit};w=${Math.ceil(windowMs / 1000)}`);
+    res.set('RateLimit-Limit', String(info.limit));
+    res.set('RateLimit-Remaining', String(info.remaining));
+    if (info.resetTime) {
+      res.set('RateLimit-Reset', String(Math.max(0, Math.ceil((info.resetTime - Date.now()) / 1000))));
+    }
+  }
+
+  /**
+   * Middleware applying the route, API key and alias limits that match a request,
+   * in that order. Mount it after requireAccessToken, the alias lookup and any
+   * limiter from `limiter()`; the headers cover every limiter the request passed.
+   */
+  function limitRequests(req, res, next) {
+    const { route, alias } = routeLabels(req);
+    const subject = req.accessToken && req.accessToken.sub;
+    const limiters = [
+      routeLimiters[`${req.method} ${route}`],
+      subject ? keyLimiters[subject] || keyLimiters.default : keyLimiters.default,
+      alias ? aliasLimiters[alias] : undefined
+    ].filter(Boolean);
+
+    const run = (index) => {
+      if (index === limiters.length) {
+        if (req.rateLimits) {
+          setTightestHeaders(res, req.rateLimits);
+        }
+        return next();
+      }
+      limiters[index](req, res, (error) => (error ? next(error) : run(index + 1)));
+    };
+    run(0);
+  }
+
+  return {
+    globalLimiter,
+    limitRequests,
+    /**
+     * Creates another limiter sharing the store configuration, for limits defined elsewhere.
+     * @param {String} name - Limiter name, used in store keys and metrics.
+     * @param {Object} limit - { windowMs, max, by }
+     */
+    limiter: (name, limit) => createLimiter(name, limit)
+  };
+}
+
+module.exports = {
+  createRateLimits,
+  createRateLimitStore,
+  callerOf
+};
@@ -0,0 +1,210 @@
+// lib/response-cache.js
+const crypto = require('crypto');
+const path = require('path');
+
+// ====================
+// Cache Store Interface
+// ====================
+// A store keeps cache entries under string keys. Any object with these async
+// methods can be plugged in (e.g. a Redis-backed store shared across dynos):
+//
+//   get(key)                -> Promise<entry | undefined>
+//   set(key, entry, ttlMs)  -> Promise  (ttlMs = how long the entry may be kept, stale window included)
+//   delete(key)             -> Promise
+//
+// Entries are plain JSON-serializable objects, so external stores can persist them as-is.
+
+/**
+ * In-process LRU store used when no external store is configured.
+ */
+class MemoryStore {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) {
+      return undefined;
+    }
+    if (item.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Re-insert so the Map's insertion order doubles as recency order
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  async set(key, entry, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Builds the store described by the cache configuration.
+ * `store.module` may name a module (resolved from the project root) exporting a factory `(options) => store`.
+ * @param {Object} config - The `store` section of the cache configuration.
+ */
+function createCacheStore(config = {}) {
+  if (config.module) {
+    const factory = require(path.resolve(__dirname, '..', config.module));
+    return factory(config.options || {});
+  }
+  return new MemoryStore({ maxEntries: config.maxEntries });
+}
+
+/**
+ * Computes a strong ETag for a serialized response body.
+ * @param {String} body - Serialized response body.
+ */
+function computeETag(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64').replace(/=+$/, '')}"`;
+}
+
+/**
+ * Returns true if the request's If-None-Match header matches the given ETag.
+ * @param {String} ifNoneMatch - Raw If-None-Match header value.
+ * @param {String} etag - Current ETag of the resource.
+ */
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch || !etag) {
+    return false;
+  }
+  const weakless = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some((tag) => tag.trim() === '*' || weakless(tag) === weakless(etag));
+}
+
+// ====================
+// Response Cache
+// ====================
+class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Store implementing the interface above.
+   * @param {Number} options.defaultTtl - Seconds a response stays fresh unless overridden.
+   * @param {Number} options.staleTtl - Seconds a response may be served stale while it is refreshed.
+   * @param {Object} options.ttls - Per-resource fresh TTL overrides in seconds (0 disables caching).
+   * @param {Function} options.onError - Called with errors from background refreshes.
+   */
+  constructor({ store, defaultTtl = 300, staleTtl = 600, ttls = {}, onError = () => {} } = {}) {
+    this.store = store || new MemoryStore();
+    this.defaultTtl = defaultTtl;
+    this.staleTtl = staleTtl;
+    this.ttls = ttls;
+    this.onError = onError;
+    this.inflight = new Map();
+  }
+
+  /**
+   * Returns the fresh TTL in seconds for a resource ID (view or dashboard ID).
+   * @param {String} resourceId - ID the TTL is configured under.
+   */
+  ttlFor(resourceId) {
+    return Object.prototype.hasOwnProperty.call(this.ttls, resourceId) ? this.ttls[resourceId] : this.defaultTtl;
+  }
+
+  /**
+   * Returns a cached response for `key`, calling `loader` when there is none.
+   *
+   * - Fresh entries are returned directly (HIT).
+   * - Stale entries are returned immediately and refreshed in the background (STALE).
+   * - Concurrent misses for the same key share a single loader call.
+   * - With `cacheOnly`, the loader is never called: stale entries are not refreshed
+   *   and a miss resolves to a null entry.
+   *
+   * The loader resolves to `{ status, statusText, data }`; only 200 responses are stored,
+   * serialized as `{ status, body, etag }`. Other results are passed through untouched.
+   *
+   * @param {String} key - Cache key.
+   * @param {Function} loader - Async function producing the upstream response.
+   * @param {Object} options - { ttl, cacheOnly } fresh TTL in seconds; whether Zoho may be called.
+   * @returns {Object} { entry, cacheStatus } with cacheStatus one of HIT, STALE, MISS or BYPASS.
+   */
+  async fetch(key, loader, { ttl = this.defaultTtl, cacheOnly = false } = {}) {
+    if (cacheOnly) {
+      const entry = await this.store.get(key);
+      const now = Date.now();
+      if (entry && entry.staleUntil > now) {
+        return { entry, cacheStatus: entry.freshUntil > now ? 'HIT' : 'STALE' };
+      }
+      return { entry: null, cacheStatus: 'MISS' };
+    }
+
+    if (!ttl) {
+      return { entry: this.toEntry(await loader()), cacheStatus: 'BYPASS' };
+    }
+
+    const entry = await this.store.get(key);
+    const now = Date.now();
+
+    if (entry && entry.freshUntil > now) {
+      return { entry, cacheStatus: 'HIT' };
+    }
+
+    if (entry && entry.staleUntil > now) {
+      this.load(key, loader, ttl).catch(this.onError);
+      return { entry, cacheStatus: 'STALE' };
+    }
+
+    return { entry: await this.load(key, loader, ttl), cacheStatus: 'MISS' };
+  }
+
+  /**
+   * Drops a cached response.
+   * @param {String} key - Cache key.
+   */
+  async invalidate(key) {
+    await this.store.delete(key);
+  }
+
+  load(key, loader, ttl) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const pending = (async () => {
+      const entry = this.toEntry(await loader());
+      if (entry.status === 200) {
+        const now = Date.now();
+        entry.storedAt = now;
+        entry.freshUntil = now + ttl * 1000;
+        entry.staleUntil = entry.freshUntil + this.staleTtl * 1000;
+        await this.store.set(key, entry, (ttl + this.staleTtl) * 1000);
+      }
+      return entry;
+    })();
+
+    this.inflight.set(key, pending);
+    const cleanup = () => this.inflight.delete(key);
+    pending.then(cleanup, cleanup);
+    return pending;
+  }
+
+  toEntry(result) {
+    if (result.status !== 200) {
+      return result;
+    }
+    // Successful responses are kept serialized; that is what gets stored and sent
+    const body = JSON.stringify(result.data);
+    return { status: 200, body, etag: computeETag(body) };
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  ResponseCache,
+  createCacheStore,
+  computeETag,
+  etagMatches
+};
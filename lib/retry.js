@@ -0,0 +1,75 @@
+// lib/retry.js
+
+// Methods that can safely be sent twice
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// node-fetch FetchError types caused by the network rather than by the request
+const RETRYABLE_ERROR_TYPES = ['system', 'request-timeout'];
+
+// Network errors from node-fetch, or raw socket errors (which carry a syscall) from the client library
+function isNetworkError(error) {
+  return RETRYABLE_ERROR_TYPES.indexOf(error.type) !== -1 || Boolean(error.syscall);
+}
+
+/**
+ * Parses a Retry-After header (delta seconds or an HTTP date) into milliseconds.
+ * @returns {Number|null} Delay in milliseconds, or null if the header is absent or invalid.
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Creates the retry policy for upstream calls.
+ * @param {Object} options
+ * @param {Number} options.retries - Retries after the first attempt.
+ * @param {Number} options.baseDelayMs - Backoff ceiling for the first retry; doubles for each one after.
+ * @param {Number} options.maxDelayMs - Longest wait before a retry. A Retry-After beyond it is not waited for.
+ */
+function createRetryPolicy({ retries = 2, baseDelayMs = 300, maxDelayMs = 5000 } = {}) {
+  /**
+   * Returns how long to wait before retrying, or null if the attempt should not be retried.
+   * @param {Object} attempt
+   * @param {String} attempt.method - HTTP method of the request.
+   * @param {Number} attempt.attempt - Number of retries already made.
+   * @param {Object} attempt.response - Response with `status` and `headers`, when Zoho answered.
+   * @param {Error} attempt.error - Error thrown by the request, when it did not.
+   */
+  function retryDelay({ method, attempt, response, error }) {
+    if (attempt >= retries || IDEMPOTENT_METHODS.indexOf(String(method).toUpperCase()) === -1) {
+      return null;
+    }
+    if (error) {
+      if (!isNetworkError(error)) {
+        return null;
+      }
+    } else if (RETRYABLE_STATUSES.indexOf(response.status) === -1) {
+      return null;
+    }
+
+    const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+    if (retryAfter !== null) {
+      return retryAfter <= maxDelayMs ? retryAfter : null;
+    }
+    // "Full jitter": a random wait up to the exponential ceiling spreads out retries from many requests
+    return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt)));
+  }
+
+  return {
+    retryDelay
+  };
+}
+
+module.exports = {
+  IDEMPOTENT_METHODS,
+  createRetryPolicy,
+  parseRetryAfter
+};
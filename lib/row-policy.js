@@ -0,0 +1,147 @@
+// lib/row-policy.js
+const { fillPlaceholders, quoteLiteral } = require('./named-queries');
+const { errorCodeFor, sendError } = require('./errors');
+const { logger } = require('./logger');
+
+// Operations that can carry a criteria clause, and those that never return or change rows.
+// Any other operation on a restricted alias is refused.
+const FILTERED_OPERATIONS = ['export', 'update', 'delete', 'embed', 'subscribe'];
+const UNFILTERED_OPERATIONS = ['report'];
+
+/**
+ * Error raised when a row policy cannot be applied to a request.
+ * `status` is 403 when the caller's identity is missing or mismatched, 400 for unusable criteria.
+ */
+class RowPolicyError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'RowPolicyError';
+    this.status = status;
+  }
+}
+
+/**
+ * Returns the customer a request acts as, or null.
+ *
+ * The identity comes from the `customer` claim of the verified access token.
+ * `fx-customer` is caller-controlled, so it is only accepted when it names the
+ * same customer as the token.
+ * @param {Object} req - Express request that passed requireAccessToken.
+ * @throws {RowPolicyError} If fx-customer does not match the token.
+ */
+function customerOf(req) {
+  const claimed = (req.accessToken && req.accessToken.customer) || null;
+  const header = req.get('fx-customer');
+  if (header && header !== claimed) {
+    throw new RowPolicyError('Access token was not issued for this customer');
+  }
+  return claimed;
+}
+
+/**
+ * Returns true if parentheses and quotes in caller criteria are balanced, so the
+ * criteria cannot close the group the policy clause is wrapped in.
+ */
+function isBalanced(criteria) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < criteria.length; i += 1) {
+    const char = criteria[i];
+    if (quote) {
+      if (char === '\\') {
+        i += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+      if (depth < 0) {
+        return false;
+      }
+    }
+  }
+  return depth === 0 && !quote;
+}
+
+/**
+ * ANDs a policy clause with the caller's own criteria.
+ * @param {String} rowCriteria - Policy clause, or null when the alias is unrestricted.
+ * @param {String} criteria - Criteria sent by the caller, if any.
+ * @throws {RowPolicyError} If the caller's criteria could escape the policy clause.
+ */
+function withRowCriteria(rowCriteria, criteria) {
+  if (!rowCriteria) {
+    return criteria;
+  }
+  if (!criteria) {
+    return rowCriteria;
+  }
+  if (!isBalanced(criteria)) {
+    throw new RowPolicyError('criteria has unbalanced parentheses or quotes', 400);
+  }
+  return `(${rowCriteria}) and (${criteria})`;
+}
+
+/**
+ * Returns the column names a view's policy clause filters on (its double-quoted
+ * identifiers). Callers may not update these, or they could move rows to another customer.
+ * @param {Object} view - Entry from the view registry.
+ */
+function policyColumns(view) {
+  const columns = [];
+  String(view.rowCriteria || '').replace(/'(?:[^'\\]|\\.|'')*'|"((?:[^"]|"")*)"/g, (match, identifier) => {
+    if (identifier !== undefined) {
+      columns.push(identifier.replace(/""/g, '"'));
+    }
+    return match;
+  });
+  return columns;
+}
+
+/**
+ * Middleware applying the row policy of `req.view` for `operation`.
+ *
+ * Sets `req.rowCriteria` to the alias's `rowCriteria` bound to the caller's
+ * customer (null for unrestricted aliases), and `req.customer` to that customer.
+ * Requests against restricted aliases are refused when the caller has no
+ * customer identity or the operation cannot be filtered.
+ * @param {String} operation - Operation the route performs.
+ */
+function applyRowPolicy(operation) {
+  return (req, res, next) => {
+    try {
+      const { alias, rowCriteria } = req.view;
+      req.customer = customerOf(req);
+      req.rowCriteria = null;
+
+      if (rowCriteria && UNFILTERED_OPERATIONS.indexOf(operation) === -1) {
+        if (FILTERED_OPERATIONS.indexOf(operation) === -1) {
+          throw new RowPolicyError(`${operation} is not available on ${alias} because its rows are restricted per customer`);
+        }
+        if (!req.customer) {
+          throw new RowPolicyError(`A customer identity is required to access ${alias}`);
+        }
+        req.rowCriteria = fillPlaceholders(rowCriteria, { customer: quoteLiteral(req.customer) });
+      }
+      next();
+    } catch (error) {
+      if (!(error instanceof RowPolicyError)) {
+        return next(error);
+      }
+      logger.warn('Row policy refused request', { operation, alias: req.view.alias, reason: error.message });
+      sendError(res, errorCodeFor(error), error.message);
+    }
+  };
+}
+
+module.exports = {
+  RowPolicyError,
+  applyRowPolicy,
+  customerOf,
+  policyColumns,
+  withRowCriteria
+};
@@ -0,0 +1,82 @@
+// lib/sse.js
+
+// Streams currently open, so they can be ended when the server shuts down
+const openStreams = new Set();
+
+/**
+ * Turns a response into a Server-Sent Events stream.
+ *
+ * A comment line is written every `heartbeatMs` so idle streams survive
+ * Heroku's 55 second router timeout.
+ *
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @param {Object} options - { heartbeatMs, onClose }
+ * @returns {Object} { send(event, data), close(), closed() }
+ */
+function openEventStream(req, res, { heartbeatMs = 15000, onClose = () => {} } = {}) {
+  let isClosed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+
+  function cleanup() {
+    if (isClosed) {
+      return;
+    }
+    isClosed = true;
+    openStreams.delete(stream);
+    clearInterval(heartbeat);
+    onClose();
+  }
+
+  req.on('close', cleanup);
+
+  const stream = {
+    /**
+     * Sends one event; `data` is serialized as JSON.
+     */
+    send(event, data, id) {
+      if (isClosed) {
+        return;
+      }
+      let message = '';
+      if (id !== undefined) {
+        message += `id: ${id}\n`;
+      }
+      message += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+      res.write(message);
+    },
+    /**
+     * Ends the stream from the server side.
+     */
+    close() {
+      cleanup();
+      res.end();
+    },
+    closed: () => isClosed
+  };
+  openStreams.add(stream);
+  return stream;
+}
+
+/**
+ * Ends every open stream. Clients' EventSource reconnects on its own, to whichever
+ * instance is still running.
+ */
+function closeAllEventStreams() {
+  openStreams.forEach((stream) => stream.close());
+}
+
+module.exports = {
+  closeAllEventStreams,
+  openEventStream
+};
@@ -0,0 +1,157 @@
+// lib/subscriptions.js
+const crypto = require('crypto');
+
+/**
+ * Identifies a row: by its key columns when the alias declares them, otherwise by
+ * a hash of the whole row (so an edited row shows up as removed + added).
+ */
+function rowKey(row, keyColumns) {
+  const values = keyColumns && keyColumns.length
+    ? keyColumns.map((column) => row[column])
+    : Object.keys(row).sort().map((column) => [column, row[column]]);
+  return crypto.createHash('sha1').update(JSON.stringify(values)).digest('base64');
+}
+
+/**
+ * Builds a snapshot: a Map of row key to row. Rows sharing a key (identical rows,
+ * without keyColumns) are numbered in order so that each one keeps its own entry.
+ */
+function snapshotOf(rows, keyColumns) {
+  const snapshot = new Map();
+  const occurrences = new Map();
+  rows.forEach((row) => {
+    const key = rowKey(row, keyColumns);
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+    snapshot.set(`${key}#${occurrence}`, row);
+  });
+  return snapshot;
+}
+
+/**
+ * Compares two snapshots (Maps of row key to row).
+ * @returns {Object} { added, changed, removed } arrays of rows.
+ */
+function diffSnapshots(previous, current) {
+  const added = [];
+  const changed = [];
+  const removed = [];
+
+  current.forEach((row, key) => {
+    if (!previous.has(key)) {
+      added.push(row);
+    } else if (JSON.stringify(previous.get(key)) !== JSON.stringify(row)) {
+      changed.push(row);
+    }
+  });
+  previous.forEach((row, key) => {
+    if (!current.has(key)) {
+      removed.push(row);
+    }
+  });
+
+  return { added, changed, removed };
+}
+
+/**
+ * Creates the hub behind live view subscriptions.
+ *
+ * Every alias with at least one subscriber is polled once per interval, however
+ * many clients are listening, and subscribers are only sent the rows that changed
+ * since the previous poll. Subscribers restricted by a row policy share a poll with
+ * those under the same criteria. Polling stops when the last subscriber leaves.
+ *
+ * Listeners are called with (event, data) where event is:
+ *   'snapshot'    { alias, rows, at }                      - on subscribe, the current rows
+ *   'changes'     { alias, added, changed, removed, at }   - after a poll that found differences
+ *   'unavailable' { alias, error, at }                     - when a poll fails; polling continues
+ *
+ * @param {Object} options
+ * @param {Function} options.load - async (view, criteria) => array of row objects.
+ * @param {Number} options.intervalMs - Default delay between polls of one alias.
+ */
+function createSubscriptionHub({ load, intervalMs = 60000 }) {
+  const channels = new Map();
+
+  function broadcast(channel, event, data) {
+    channel.listeners.forEach((listener) => listener(event, data));
+  }
+
+  async function poll(channel) {
+    const { view } = channel;
+    try {
+      const rows = await load(view, channel.criteria);
+      const snapshot = snapshotOf(rows || [], view.keyColumns);
+      const at = new Date().toISOString();
+
+      if (!channel.snapshot) {
+        channel.snapshot = snapshot;
+        broadcast(channel, 'snapshot', { alias: view.alias, rows: Array.from(snapshot.values()), at });
+      } else {
+        const changes = diffSnapshots(channel.snapshot, snapshot);
+        channel.snapshot = snapshot;
+        if (changes.added.length || changes.changed.length || changes.removed.length) {
+          broadcast(channel, 'changes', Object.assign({ alias: view.alias }, changes, { at }));
+        }
+      }
+    } catch (error) {
+      broadcast(channel, 'unavailable', {
+        alias: view.alias,
+        error: error.errorMessage || error.message || 'Unable to load view data',
+        at: new Date().toISOString()
+      });
+    }
+
+    if (channel.listeners.size) {
+      const delay = view.pollInterval ? view.pollInterval * 1000 : intervalMs;
+      channel.timer = setTimeout(() => poll(channel), delay);
+    }
+  }
+
+  /**
+   * Adds a listener for an alias's changes.
+   * @param {Object} view - Entry from the view registry; `keyColumns` and `pollInterval` (seconds) are honoured.
+   * @param {Function} listener - Called with (event, data).
+   * @param {Object} options - { criteria } restricting the rows this subscriber sees.
+   * @returns {Function} unsubscribe()
+   */
+  function subscribe(view, listener, { criteria = null } = {}) {
+    const key = `${view.alias}\n${criteria || ''}`;
+    let channel = channels.get(key);
+    if (!channel) {
+      channel = { view, criteria, listeners: new Set(), snapshot: null, timer: null };
+      channels.set(key, channel);
+      channel.listeners.add(listener);
+      poll(channel);
+    } else {
+      channel.listeners.add(listener);
+      // Late joiners start from the last snapshot; the first poll sends one to everybody
+      if (channel.snapshot) {
+        listener('snapshot', { alias: view.alias, rows: Array.from(channel.snapshot.values()), at: new Date().toISOString() });
+      }
+    }
+
+    return function unsubscribe() {
+      channel.listeners.delete(listener);
+      if (!channel.listeners.size) {
+        clearTimeout(channel.timer);
+        if (channels.get(key) === channel) {
+          channels.delete(key);
+        }
+      }
+    };
+  }
+
+  return {
+    subscribe,
+    subscriberCount: (alias) => Array.from(channels.values())
+      .filter((channel) => channel.view.alias === alias)
+      .reduce((count, channel) => count + channel.listeners.size, 0)
+  };
+}
+
+module.exports = {
+  createSubscriptionHub,
+  diffSnapshots,
+  snapshotOf
+};
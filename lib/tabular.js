@@ -0,0 +1,129 @@
+// lib/tabular.js
+
+// Type of each column in tabular responses, by Zoho data type. `decimal` values are
+// strings holding an exact decimal ("1234.50") so currency never goes through a float.
+const COLUMN_TYPES = {
+  PLAIN: 'string',
+  MULTI_LINE: 'string',
+  EMAIL: 'string',
+  URL: 'string',
+  GEO: 'string',
+  NUMBER: 'integer',
+  POSITIVE_NUMBER: 'integer',
+  AUTO_NUMBER: 'integer',
+  DECIMAL_NUMBER: 'number',
+  PERCENT: 'number',
+  CURRENCY: 'decimal',
+  DATE: 'date',
+  BOOLEAN: 'boolean'
+};
+
+const SHAPES = ['raw', 'table'];
+
+// Zoho formats numbers for display ("$ 1,234.50", "12.5 %"); keep the sign, digits and point
+const numericText = (value) => String(value).replace(/[^0-9.-]/g, '');
+
+// The number in a cell, or NaN when it holds no digits (Number('') would be 0)
+const numberOf = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = numericText(value);
+  return /\d/.test(text) ? Number(text) : NaN;
+};
+
+const CONVERTERS = {
+  string: (value) => String(value),
+  integer: (value) => {
+    const number = numberOf(value);
+    return Number.isFinite(number) ? Math.trunc(number) : null;
+  },
+  number: (value) => {
+    const number = numberOf(value);
+    return Number.isFinite(number) ? number : null;
+  },
+  decimal: (value) => {
+    const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(numericText(value));
+    if (!match || !(match[2] || match[3])) {
+      return null;
+    }
+    return `${match[1]}${match[2] || '0'}${match[3] ? `.${match[3]}` : ''}`;
+  },
+  date: (value) => {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+  },
+  boolean: (value) => {
+    const text = String(value).trim().toLowerCase();
+    if (text === 'true' || text === 'yes') {
+      return true;
+    }
+    return text === 'false' || text === 'no' ? false : null;
+  }
+};
+
+/**
+ * Converts one cell to its column type. Blank cells, and values that cannot be
+ * read as the column's type, become null.
+ * @param {String} type - Column type, a value of COLUMN_TYPES.
+ * @param {*} value - Cell as exported by Zoho.
+ */
+function convertValue(type, value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return (CONVERTERS[type] || CONVERTERS.string)(value);
+}
+
+/**
+ * Returns the rows of a Zoho JSON export, which is either an array or `{ data: [...] }`.
+ */
+function rowsOf(data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  return data && Array.isArray(data.data) ? data.data : [];
+}
+
+/**
+ * Shapes exported rows into `{ columns: [{ name, type }], rows: [[...], ...] }`.
+ *
+ * Columns appear in projection order, or the order of the first row when there
+ * is no projection. Values in each row follow the column order.
+ *
+ * @param {Object[]} rows - Row objects keyed by Zoho column name.
+ * @param {Object} options
+ * @param {Map} options.columnTypes - Zoho column name to Zoho data type (see lib/view-columns.js).
+ * @param {String[]} options.columns - Projection: the Zoho columns to include, in order.
+ * @param {Object} options.rename - Zoho column name to the name used in the response.
+ */
+function toTable(rows, { columnTypes = new Map(), columns, rename = {} } = {}) {
+  let names = columns && columns.length ? columns : null;
+  if (!names) {
+    names = rows.length ? Object.keys(rows[0]) : Array.from(columnTypes.keys());
+  }
+  const types = names.map((name) => COLUMN_TYPES[columnTypes.get(name)] || 'string');
+
+  return {
+    columns: names.map((name, index) => ({ name: rename[name] || name, type: types[index] })),
+    rows: rows.map((row) => names.map((name, index) => convertValue(types[index], row[name])))
+  };
+}
+
+/**
+ * Returns a copy of an exported row keyed by the names the alias's `rename` gives its columns.
+ * @param {Object} row - Row object keyed by Zoho column name.
+ * @param {Object} rename - Zoho column name to the name used in the response.
+ */
+function renameColumns(row, rename = {}) {
+  return Object.keys(row).reduce((renamed, name) => Object.assign(renamed, { [rename[name] || name]: row[name] }), {});
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  SHAPES,
+  convertValue,
+  renameColumns,
+  rowsOf,
+  toTable
+};
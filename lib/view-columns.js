@@ -0,0 +1,105 @@
+// lib/view-columns.js
+
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+// ====================
+// Zoho Column Data Types
+// ====================
+// Each checker returns an error message, or null when the value is acceptable.
+const isNumeric = (value) => typeof value === 'number' ? Number.isFinite(value) : NUMERIC_PATTERN.test(String(value).trim());
+
+const TYPE_CHECKS = {
+  PLAIN: (value) => (typeof value === 'string' ? null : 'must be a string'),
+  MULTI_LINE: (value) => (typeof value === 'string' ? null : 'must be a string'),
+  GEO: (value) => (typeof value === 'string' ? null : 'must be a string'),
+  EMAIL: (value) => (EMAIL_PATTERN.test(String(value)) ? null : 'must be an email address'),
+  URL: (value) => (URL_PATTERN.test(String(value)) ? null : 'must be an http(s) URL'),
+  NUMBER: (value) => (isNumeric(value) && Number.isInteger(Number(value)) ? null : 'must be a whole number'),
+  POSITIVE_NUMBER: (value) => (isNumeric(value) && Number.isInteger(Number(value)) && Number(value) >= 0 ? null : 'must be a positive whole number'),
+  DECIMAL_NUMBER: (value) => (isNumeric(value) ? null : 'must be a number'),
+  CURRENCY: (value) => (isNumeric(value) ? null : 'must be a number'),
+  PERCENT: (value) => (isNumeric(value) ? null : 'must be a number'),
+  DATE: (value) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'must be a date string'),
+  BOOLEAN: (value) => (value === true || value === false || value === 'true' || value === 'false' ? null : 'must be true or false'),
+  AUTO_NUMBER: () => 'is generated by Zoho and cannot be written'
+};
+
+/**
+ * Checks a row's values against a view's columns.
+ * @param {Object} values - Column name to value, as sent by the caller.
+ * @param {Map} columns - Column name to Zoho data type, from loadColumns.
+ * @returns {String[]} Problems found; empty when the row is valid.
+ */
+function checkColumnValues(values, columns) {
+  const problems = [];
+
+  Object.keys(values).forEach((name) => {
+    if (!columns.has(name)) {
+      problems.push(`Unknown column: ${name}`);
+      return;
+    }
+
+    const value = values[name];
+    if (value === null || value === '') {
+      return; // Blank values clear the cell, whatever its type
+    }
+    if (typeof value === 'object') {
+      problems.push(`Column ${name} must be a scalar value`);
+      return;
+    }
+
+    const check = TYPE_CHECKS[columns.get(name)];
+    const problem = check ? check(value) : null;
+    if (problem) {
+      problems.push(`Column ${name} ${problem}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Creates a cache of view column metadata, shared between concurrent requests.
+ * @param {Object} options
+ * @param {Function} options.load - async (view) => columns array from getViewDetails(withInvolvedMetaInfo).
+ * @param {Number} options.ttl - Seconds column metadata is reused before being fetched again.
+ */
+function createColumnCatalog({ load, ttl = 300 }) {
+  const entries = new Map();
+
+  /**
+   * Returns a Map of column name to data type for a registered view.
+   * @param {Object} view - Entry from the view registry.
+   */
+  function loadColumns(view) {
+    const cached = entries.get(view.viewId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.columns;
+    }
+
+    const columns = Promise.resolve()
+      .then(() => load(view))
+      .then((list) => new Map((list || []).map((column) => [column.columnName, String(column.dataType).toUpperCase()])));
+    entries.set(view.viewId, { columns, expiresAt: Date.now() + ttl * 1000 });
+
+    // Never cache a failed lookup
+    columns.catch(() => {
+      if (entries.get(view.viewId) && entries.get(view.viewId).columns === columns) {
+        entries.delete(view.viewId);
+      }
+    });
+    return columns;
+  }
+
+  return {
+    loadColumns
+  };
+}
+
+module.exports = {
+  TYPE_CHECKS,
+  checkColumnValues,
+  createColumnCatalog
+};
@@ -0,0 +1,151 @@
+// lib/view-registry.js
+const { placeholdersIn } = require('./named-queries');
+const { errorCodeFor, sendError } = require('./errors');
+const { logger } = require('./logger');
+
+const OPERATIONS = ['report', 'dashboard', 'export', 'insert', 'update', 'delete', 'import', 'subscribe', 'embed'];
+const ALIAS_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Error raised when a request names an alias that is not registered,
+ * or asks for an operation the alias does not allow.
+ */
+class ViewAliasError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ViewAliasError';
+    this.status = status;
+  }
+}
+
+/**
+ * Builds the registry mapping friendly aliases to Zoho IDs.
+ *
+ * Each entry is either a view `{ orgId, workspaceId, viewId, operations, columns }`
+ * or a dashboard `{ orgId, dashboardId, operations }`. `columns`, when set, is the
+ * projection callers are limited to on data routes, and the default column list of
+ * tabular responses; `rename` maps Zoho column names to the names tabular responses
+ * use instead (see lib/tabular.js). `keyColumns` identify a row
+ * for subscriptions and `pollInterval` overrides their poll delay in seconds.
+ * `rowCriteria` restricts every caller to its own rows through a `:customer`
+ * placeholder (see lib/row-policy.js). `priority` names the quota class its
+ * requests belong to (see lib/quota-budget.js). `sqlTable` is the view's name in
+ * Zoho SQL; with it, paged exports are served by SQL queries (see lib/pagination.js).
+ *
+ * @param {Object} definitions - Map of alias to entry.
+ * @param {Object} options - { operations } extra operation names entries may use.
+ */
+function createViewRegistry(definitions = {}, { operations = [] } = {}) {
+  const knownOperations = OPERATIONS.concat(operations);
+  const views = {};
+
+  Object.keys(definitions).forEach((alias) => {
+    const definition = definitions[alias];
+    if (!ALIAS_PATTERN.test(alias)) {
+      throw new Error(`View alias "${alias}" must be lowercase letters, digits and dashes`);
+    }
+    if (!definition.dashboardId && !(definition.workspaceId && definition.viewId)) {
+      throw new Error(`View alias "${alias}" needs either dashboardId or workspaceId and viewId`);
+    }
+    if (!Array.isArray(definition.operations) || !definition.operations.length) {
+      throw new Error(`View alias "${alias}" needs a non-empty operations list`);
+    }
+    definition.operations.forEach((operation) => {
+      if (knownOperations.indexOf(operation) === -1) {
+        throw new Error(`View alias "${alias}" allows unknown operation "${operation}"`);
+      }
+      // Only dashboards can be fetched as dashboards; every other operation works on a view
+      const isUsable = operation === 'dashboard' ? definition.dashboardId : definition.viewId;
+      if (!isUsable) {
+        throw new Error(`View alias "${alias}" allows ${operation} but has no ${operation === 'dashboard' ? 'dashboardId' : 'viewId'}`);
+      }
+    });
+
+    if (definition.keyColumns !== undefined && (!Array.isArray(definition.keyColumns) || !definition.keyColumns.length)) {
+      throw new Error(`View alias "${alias}" keyColumns must be a non-empty list of column names`);
+    }
+    if (definition.pollInterval !== undefined && !(Number(definition.pollInterval) >= 1)) {
+      throw new Error(`View alias "${alias}" pollInterval must be at least 1 second`);
+    }
+    if (definition.rename !== undefined && (
+      !definition.rename || typeof definition.rename !== 'object' || Array.isArray(definition.rename)
+      || !Object.keys(definition.rename).every((column) => typeof definition.rename[column] === 'string' && definition.rename[column])
+    )) {
+      throw new Error(`View alias "${alias}" rename must map column names to new names`);
+    }
+    if (definition.sqlTable !== undefined && (typeof definition.sqlTable !== 'string' || !definition.sqlTable || !definition.viewId)) {
+      throw new Error(`View alias "${alias}" sqlTable must be the name of its view in Zoho SQL`);
+    }
+    if (definition.priority !== undefined && (typeof definition.priority !== 'string' || !definition.priority)) {
+      throw new Error(`View alias "${alias}" priority must be the name of a quota class`);
+    }
+    if (definition.rowCriteria !== undefined) {
+      if (typeof definition.rowCriteria !== 'string' || !placeholdersIn(definition.rowCriteria).has('customer')) {
+        throw new Error(`View alias "${alias}" rowCriteria must be a criteria string using the :customer placeholder`);
+      }
+      if (!definition.viewId) {
+        throw new Error(`View alias "${alias}" has rowCriteria but no viewId to apply it to`);
+      }
+    }
+
+    views[alias] = Object.freeze(Object.assign({}, definition, { alias }));
+  });
+
+  /**
+   * Returns the registered entry for an alias, or undefined.
+   */
+  function get(alias) {
+    return Object.prototype.hasOwnProperty.call(views, alias) ? views[alias] : undefined;
+  }
+
+  /**
+   * Returns the entry for an alias after checking it allows `operation`.
+   * @throws {ViewAliasError} 404 if the alias is unknown, 403 if the operation is not allowed.
+   */
+  function resolve(alias, operation) {
+    const view = get(alias);
+    if (!view) {
+      throw new ViewAliasError(`Unknown view alias: ${alias}`, 404);
+    }
+    if (view.operations.indexOf(operation) === -1) {
+      throw new ViewAliasError(`View alias ${alias} does not allow ${operation}`, 403);
+    }
+    return view;
+  }
+
+  /**
+   * Middleware resolving the alias of a request into `req.view`.
+   * @param {String} operation - Operation the route performs.
+   * @param {Function} aliasOf - Returns the alias named by a request.
+   */
+  function resolveViewAlias(operation, aliasOf) {
+    return (req, res, next) => {
+      const alias = aliasOf(req);
+      if (!alias) {
+        return sendError(res, 'BAD_REQUEST', 'alias is required');
+      }
+      try {
+        req.view = resolve(String(alias), operation);
+        next();
+      } catch (error) {
+        if (!(error instanceof ViewAliasError)) {
+          return next(error);
+        }
+        logger.warn('Rejected view alias', { alias, reason: error.message });
+        sendError(res, errorCodeFor(error), error.message);
+      }
+    };
+  }
+
+  return {
+    aliases: () => Object.keys(views),
+    get,
+    resolve,
+    resolveViewAlias
+  };
+}
+
+module.exports = {
+  ViewAliasError,
+  createViewRegistry
+};
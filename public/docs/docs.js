@@ -0,0 +1,287 @@
+// public/docs/docs.js
+// Renders /openapi.json as a list of operations, each with a form to try it.
+// Served from the proxy itself so the default Content-Security-Policy allows it.
+(function () {
+  'use strict';
+
+  var METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+  var specUrl = new URL('../openapi.json', window.location.href);
+
+  function el(tag, attributes, children) {
+    var node = document.createElement(tag);
+    Object.keys(attributes || {}).forEach(function (name) {
+      if (name === 'text') {
+        node.textContent = attributes[name];
+      } else {
+        node.setAttribute(name, attributes[name]);
+      }
+    });
+    (children || []).forEach(function (child) {
+      node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return node;
+  }
+
+  function resolve(spec, schema) {
+    while (schema && schema.$ref) {
+      schema = schema.$ref.replace(/^#\//, '').split('/').reduce(function (node, key) {
+        return node ? node[key] : undefined;
+      }, spec);
+    }
+    return schema || {};
+  }
+
+  // A compact, readable rendering of a schema: references are expanded one level deep
+  function describe(spec, schema, depth) {
+    var resolved = resolve(spec, schema);
+    if (depth > 2) {
+      return resolved.type || 'object';
+    }
+    if (resolved.oneOf || resolved.anyOf) {
+      return (resolved.oneOf || resolved.anyOf).map(function (alternative) {
+        return describe(spec, alternative, depth + 1);
+      }).join(' | ');
+    }
+    if (resolved.enum) {
+      return resolved.enum.map(function (value) { return JSON.stringify(value); }).join(' | ');
+    }
+    if (resolved.type === 'array') {
+      return describe(spec, resolved.items || {}, depth + 1) + '[]';
+    }
+    if (resolved.properties) {
+      var required = resolved.required || [];
+      var lines = Object.keys(resolved.properties).map(function (name) {
+        var optional = required.indexOf(name) === -1 ? '?' : '';
+        return '  '.repeat(depth + 1) + name + optional + ': ' + describe(spec, resolved.properties[name], depth + 1);
+      });
+      return '{\n' + lines.join('\n') + '\n' + '  '.repeat(depth) + '}';
+    }
+    return resolved.type || 'any';
+  }
+
+  function example(spec, schema) {
+    var resolved = resolve(spec, schema);
+    if (resolved.default !== undefined) {
+      return resolved.default;
+    }
+    if (resolved.enum) {
+      return resolved.enum[0];
+    }
+    if (resolved.oneOf || resolved.anyOf) {
+      return example(spec, (resolved.oneOf || resolved.anyOf)[0]);
+    }
+    switch (resolved.type) {
+      case 'object':
+        var value = {};
+        Object.keys(resolved.properties || {}).forEach(function (name) {
+          value[name] = example(spec, resolved.properties[name]);
+        });
+        return value;
+      case 'array':
+        return [example(spec, resolved.items || {})];
+      case 'integer':
+      case 'number':
+        return resolved.minimum || 0;
+      case 'boolean':
+        return true;
+      default:
+        return '';
+    }
+  }
+
+  function parameterTable(spec, parameters) {
+    var rows = parameters.map(function (parameter) {
+      return el('tr', {}, [
+        el('td', {}, [el('code', { text: parameter.name })]),
+        el('td', { text: parameter.in + (parameter.required ? ', required' : '') }),
+        el('td', {}, [el('code', { text: describe(spec, parameter.schema || {}, 0) })]),
+        el('td', { text: parameter.description || '' })
+      ]);
+    });
+    return el('table', {}, [el('tr', {}, [
+      el('th', { text: 'Name' }), el('th', { text: 'In' }), el('th', { text: 'Schema' }), el('th', { text: 'Description' })
+    ])].concat(rows));
+  }
+
+  function tryItForm(spec, method, path, parameters, operation) {
+    var form = el('form');
+    var inputs = parameters.map(function (parameter) {
+      var input = el('input', { name: parameter.name, placeholder: parameter.required ? 'required' : '' });
+      form.appendChild(el('label', {}, [parameter.name + ' (' + parameter.in + ')', input]));
+      return { parameter: parameter, input: input };
+    });
+
+    var content = operation.requestBody && operation.requestBody.content;
+    var jsonBody = content && content['application/json'];
+    var multipart = content && content['multipart/form-data'];
+    var bodyInput = null;
+    var formInputs = [];
+    if (jsonBody) {
+      bodyInput = el('textarea', { rows: 6 });
+      bodyInput.value = JSON.stringify(example(spec, jsonBody.schema), null, 2);
+      form.appendChild(el('label', {}, ['JSON body', bodyInput]));
+    } else if (multipart) {
+      var fields = resolve(spec, multipart.schema).properties || {};
+      formInputs = Object.keys(fields).map(function (name) {
+        var input = fields[name].format === 'binary' ? el('input', { type: 'file', name: name }) : el('input', { name: name });
+        form.appendChild(el('label', {}, [name, input]));
+        return input;
+      });
+    }
+
+    var output = el('pre', { text: '' });
+    form.appendChild(el('button', { type: 'submit', text: 'Send' }));
+    form.appendChild(output);
+
+    form.addEventListener('submit', function (event) {
+      event.preventDefault();
+      var query = new URLSearchParams();
+      var headers = {};
+      var token = document.getElementById('token').value;
+      if (token) {
+        headers.Authorization = 'Bearer ' + token;
+      }
+      var urlPath = path;
+      inputs.forEach(function (entry) {
+        var value = entry.input.value;
+        if (entry.parameter.in === 'path') {
+          urlPath = urlPath.replace('{' + entry.parameter.name + '}', encodeURIComponent(value));
+        } else if (entry.parameter.in === 'query' && value !== '') {
+          query.append(entry.parameter.name, value);
+        } else if (entry.parameter.in === 'header' && value !== '') {
+          headers[entry.parameter.name] = value;
+        }
+      });
+      var url = new URL(urlPath, specUrl);
+      url.search = query.toString();
+
+      var init = { method: method.toUpperCase(), headers: headers };
+      if (bodyInput) {
+        headers['Content-Type'] = 'application/json';
+        init.body = bodyInput.value;
+      } else if (multipart) {
+        init.body = new FormData();
+        formInputs.forEach(function (input) {
+          if (input.type === 'file' && input.files.length) {
+            init.body.append(input.name, input.files[0]);
+          } else if (input.type !== 'file' && input.value !== '') {
+            init.body.append(input.name, input.value);
+          }
+        });
+      }
+
+      output.textContent = 'Sending…';
+      fetch(url, init).then(function (response) {
+        return response.text().then(function (text) {
+          var shown = text;
+          try {
+            shown = JSON.stringify(JSON.parse(text), null, 2);
+          } catch (error) {
+            // Not JSON; show it as it is
+          }
+          output.textContent = response.status + ' ' + response.statusText + '\n\n' + shown;
+        });
+      }).catch(function (error) {
+        output.textContent = 'Request failed: ' + error.message;
+      });
+    });
+    return form;
+  }
+
+  function renderOperation(spec, path, method, pathItem) {
+    var operation = pathItem[method];
+    var parameters = (pathItem.parameters || []).concat(operation.parameters || []).map(function (parameter) {
+      return resolve(spec, parameter);
+    });
+    var body = [];
+    if (operation.description) {
+      body.push(el('p', { text: operation.description }));
+    }
+    var security = (operation.security || spec.security || []).map(function (requirement) {
+      return Object.keys(requirement).join(' + ') || 'none';
+    });
+    body.push(el('p', { text: 'Auth: ' + (security.length ? security.join(' or ') : 'none') }));
+    if (parameters.length) {
+      body.push(el('h4', { text: 'Parameters' }), parameterTable(spec, parameters));
+    }
+    var content = operation.requestBody && operation.requestBody.content;
+    Object.keys(content || {}).forEach(function (mediaType) {
+      body.push(el('h4', { text: 'Body (' + mediaType + ')' }), el('pre', { text: describe(spec, content[mediaType].schema, 0) }));
+    });
+    body.push(el('h4', { text: 'Responses' }));
+    body.push(el('table', {}, Object.keys(operation.responses || {}).map(function (status) {
+      var response = operation.responses[status];
+      var json = response.content && response.content['application/json'];
+      return el('tr', {}, [
+        el('td', {}, [el('code', { text: status })]),
+        el('td', { text: response.description || '' }),
+        el('td', {}, json ? [el('pre', { text: describe(spec, json.schema, 0) })] : [])
+      ]);
+    })));
+    body.push(el('h4', { text: 'Try it' }), tryItForm(spec, method, path, parameters, operation));
+
+    return el('details', {}, [
+      el('summary', {}, [el('span', { class: 'method ' + method, text: method }), ' ', el('code', { text: path }), ' — ' + (operation.summary || '')])
+    ].concat(body));
+  }
+
+  function render(spec) {
+    document.title = spec.info.title;
+    document.getElementById('title').textContent = spec.info.title + ' ' + spec.info.version;
+    document.getElementById('description').textContent = spec.info.description || '';
+
+    var byTag = {};
+    Object.keys(spec.paths).forEach(function (path) {
+      METHODS.forEach(function (method) {
+        var operation = spec.paths[path][method];
+        if (operation) {
+          var tag = (operation.tags || ['Other'])[0];
+          (byTag[tag] = byTag[tag] || []).push(renderOperation(spec, path, method, spec.paths[path]));
+        }
+      });
+    });
+
+    var container = document.getElementById('operations');
+    container.textContent = '';
+    Object.keys(byTag).forEach(function (tag) {
+      container.appendChild(el('h2', { text: tag }));
+      byTag[tag].forEach(function (node) {
+        container.appendChild(node);
+      });
+    });
+    renderErrorCodes(spec, container);
+  }
+
+  function renderErrorCodes(spec, container) {
+    var codes = spec['x-error-codes'] || [];
+    if (!codes.length) {
+      return;
+    }
+    var zohoCodes = {};
+    (spec['x-zoho-error-codes'] || []).forEach(function (entry) {
+      (zohoCodes[entry.code] = zohoCodes[entry.code] || []).push(entry.errorCode);
+    });
+    container.appendChild(el('h2', { text: 'Errors' }));
+    container.appendChild(el('p', { text: 'Every error response is { error: { code, message, status, retryable, requestId, details, upstream } }.' }));
+    container.appendChild(el('table', {}, [el('tr', {}, [
+      el('th', { text: 'Code' }), el('th', { text: 'Status' }), el('th', { text: 'Retryable' }), el('th', { text: 'Meaning' }), el('th', { text: 'Zoho codes' })
+    ])].concat(codes.map(function (entry) {
+      return el('tr', {}, [
+        el('td', {}, [el('code', { text: entry.code })]),
+        el('td', { text: String(entry.status) }),
+        el('td', { text: entry.retryable ? 'yes' : 'no' }),
+        el('td', { text: entry.description }),
+        el('td', { text: (zohoCodes[entry.code] || []).join(', ') })
+      ]);
+    }))));
+  }
+
+  fetch(specUrl).then(function (response) {
+    if (!response.ok) {
+      throw new Error('GET ' + specUrl + ' answered ' + response.status);
+    }
+    return response.json();
+  }).then(render).catch(function (error) {
+    document.getElementById('operations').textContent = 'Unable to load the API description: ' + error.message;
+  });
+}());
@@ -1,12 +1,53 @@
 // server.js
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const express = require('express');
 const fetch = require('node-fetch');
 const cors = require('cors');
-const morgan = require('morgan');
+const multer = require('multer');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
+const AnalyticsClient = require('./ZohoAnalyticsNodejsClient/AnalyticsClient');
+const TokenManager = require('./ZohoAnalyticsNodejsClient/TokenManager');
+const { getRegionHosts } = require('./ZohoAnalyticsNodejsClient/Regions');
+const { EXPORT_FORMATS, getExportFormat, contentDisposition } = require('./lib/export-formats');
+const { loadJsonConfig } = require('./lib/config');
+const { loadNamedQueries, bindNamedQuery } = require('./lib/named-queries');
+const { JOB_CODES, jobState, waitForExportJob } = require('./lib/bulk-jobs');
+const { createJobRegistry } = require('./lib/job-registry');
+const { watchJob } = require('./lib/job-watcher');
+const { closeAllEventStreams, openEventStream } = require('./lib/sse');
+const { createSubscriptionHub } = require('./lib/subscriptions');
+const { ResponseCache, createCacheStore, etagMatches } = require('./lib/response-cache');
+const { CorsError, createCorsPolicy } = require('./lib/cors-policy');
+const { createAccessTokens, bearerToken, secretsMatch } = require('./lib/access-tokens');
+const { createViewRegistry } = require('./lib/view-registry');
+const { checkColumnValues, createColumnCatalog } = require('./lib/view-columns');
+const { RowPolicyError, applyRowPolicy, customerOf, policyColumns, withRowCriteria } = require('./lib/row-policy');
+const { logger, requestLogger } = require('./lib/logger');
+const { Registry, routeLabels, serveMetrics } = require('./lib/metrics');
+const { installGracefulShutdown } = require('./lib/graceful-shutdown');
+const { createRetryPolicy } = require('./lib/retry');
+const { createRateLimits } = require('./lib/rate-limits');
+const { QuotaBudget, QuotaExhaustedError, apiUsageFrom } = require('./lib/quota-budget');
+const { PassthroughError, createPassthroughRoutes } = require('./lib/passthrough');
+const { buildOpenApiDocument, createRequestValidator } = require('./lib/openapi');
+const { CircuitOpenError, STATES: CIRCUIT_STATES, createCircuitBreakers } = require('./lib/circuit-breaker');
+const { errorCodeFor, sendError, sendZohoError } = require('./lib/errors');
+const { SHAPES, renameColumns, rowsOf, toTable } = require('./lib/tabular');
+const {
+  PageQueryError,
+  filterCriteria,
+  filterRows,
+  pageLinks,
+  pageSql,
+  parsePageQuery,
+  sortRows,
+  wantsPage
+} = require('./lib/pagination');
 require('dotenv').config(); // For local development
 
 const app = express();
@@ -22,275 +63,1969 @@ app.set('trust proxy', 1);
 const zohoRefreshToken = process.env.ZOHO_REFRESH_TOKEN;
 const clientId = process.env.ZOHO_CLIENT_ID;
 const clientSecret = process.env.ZOHO_CLIENT_SECRET;
+const zohoOrgId = process.env.ZOHO_ORG_ID; // Default ZANALYTICS-ORGID; required unless every alias and query sets orgId
+const proxyTokenSecret = process.env.PROXY_TOKEN_SECRET; // Signs the short-lived access tokens
+const proxySharedSecret = process.env.PROXY_SHARED_SECRET; // Lets our backend request access tokens
 
 // Ensure that environment variables are properly set
-if (!zohoRefreshToken || !clientId || !clientSecret) {
-  console.error('Missing one or more required environment variables: ZOHO_REFRESH_TOKEN, ZOHO_CLIENT_ID, ZOHO_CLIENT_SECRET');
+if (!zohoRefreshToken || !clientId || !clientSecret || !proxyTokenSecret || !proxySharedSecret) {
+  logger.error('Missing one or more required environment variables: ZOHO_REFRESH_TOKEN, ZOHO_CLIENT_ID, ZOHO_CLIENT_SECRET, PROXY_TOKEN_SECRET, PROXY_SHARED_SECRET');
   process.exit(1);
 }
 
-let zohoAccessToken = '';
+// ====================
+// Zoho Data Center
+// ====================
+// ZOHO_REGION selects the data center the account lives in: us (default), eu, in, au, jp, ca, sa or cn.
+let zohoHosts;
+try {
+  zohoHosts = getRegionHosts(process.env.ZOHO_REGION);
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+const zohoApiBaseUrl = `https://${zohoHosts.analyticsHost}/restapi/v2`;
+
+// ====================
+// Metrics
+// ====================
+// Exposed in the Prometheus text format on /metrics. Route labels use the
+// matched Express pattern and aliases come from the registry, so series stay bounded.
+const metricsRegistry = new Registry();
+const metrics = {
+  requestsInFlight: metricsRegistry.gauge({
+    name: 'zoho_proxy_requests_in_flight',
+    help: 'Requests currently being handled by the proxy'
+  }),
+  requestDuration: metricsRegistry.histogram({
+    name: 'zoho_proxy_request_duration_seconds',
+    help: 'Time taken to answer proxy requests',
+    labelNames: ['method', 'route', 'alias', 'status']
+  }),
+  upstreamDuration: metricsRegistry.histogram({
+    name: 'zoho_upstream_request_duration_seconds',
+    help: 'Time until Zoho Analytics answered a proxied API request (response headers)',
+    labelNames: ['method', 'route', 'alias', 'status']
+  }),
+  tokenRefreshes: metricsRegistry.counter({
+    name: 'zoho_token_refreshes_total',
+    help: 'Zoho OAuth access token refreshes by result',
+    labelNames: ['result']
+  }),
+  cacheLookups: metricsRegistry.counter({
+    name: 'zoho_proxy_cache_lookups_total',
+    help: 'Response cache lookups by result (HIT, STALE, MISS, BYPASS)',
+    labelNames: ['route', 'alias', 'result']
+  }),
+  rateLimited: metricsRegistry.counter({
+    name: 'zoho_proxy_rate_limited_total',
+    help: 'Requests rejected by a rate limiter',
+    labelNames: ['limiter']
+  }),
+  upstreamRetries: metricsRegistry.counter({
+    name: 'zoho_upstream_retries_total',
+    help: 'Zoho Analytics API requests retried, by reason (network or the HTTP status)',
+    labelNames: ['reason']
+  }),
+  circuitState: metricsRegistry.gauge({
+    name: 'zoho_upstream_circuit_state',
+    help: 'Circuit breaker state per Zoho host (0 closed, 1 half-open, 2 open)',
+    labelNames: ['host']
+  }),
+  quotaUsed: metricsRegistry.gauge({
+    name: 'zoho_api_quota_used',
+    help: 'Zoho API calls counted against today\'s quota'
+  }),
+  quotaLimit: metricsRegistry.gauge({
+    name: 'zoho_api_quota_limit',
+    help: 'Zoho API calls allowed per day (0 while unknown)'
+  }),
+  quotaDecisions: metricsRegistry.counter({
+    name: 'zoho_proxy_quota_decisions_total',
+    help: 'Requests shed or served from cache only to save Zoho API quota',
+    labelNames: ['priority', 'decision']
+  })
+};
+const metricsToken = process.env.METRICS_TOKEN; // Optional bearer token required to scrape /metrics
+
+// ====================
+// Upstream Retries and Circuit Breaker
+// ====================
+// Idempotent Zoho calls are retried on 429, 5xx and network errors with
+// jittered exponential backoff, waiting for Retry-After when Zoho sends one.
+// Consecutive 5xx/network failures open a per-host circuit so requests fail
+// fast with 503 until a half-open probe shows Zoho has recovered.
+const zohoRetries = parseInt(process.env.ZOHO_RETRIES, 10);
+const retryPolicy = createRetryPolicy({
+  retries: Number.isNaN(zohoRetries) ? 2 : zohoRetries,
+  baseDelayMs: parseInt(process.env.ZOHO_RETRY_BASE_DELAY_MS, 10) || 300,
+  maxDelayMs: parseInt(process.env.ZOHO_RETRY_MAX_DELAY_MS, 10) || 5000
+});
+const circuitStateValues = { [CIRCUIT_STATES.CLOSED]: 0, [CIRCUIT_STATES.HALF_OPEN]: 1, [CIRCUIT_STATES.OPEN]: 2 };
+const circuitBreakers = createCircuitBreakers({
+  failureThreshold: parseInt(process.env.ZOHO_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+  cooldownMs: parseInt(process.env.ZOHO_CIRCUIT_COOLDOWN_MS, 10) || 30000,
+  onStateChange: (host, state) => {
+    metrics.circuitState.set({ host }, circuitStateValues[state]);
+    logger[state === CIRCUIT_STATES.OPEN ? 'error' : 'info']('Zoho circuit breaker state changed', { host, state });
+  }
+});
+
+// ====================
+// Zoho API Quota Budget
+// ====================
+// Every call to Zoho (proxy or client library) counts against the plan's daily
+// API limit. As the remaining budget falls below each priority class's thresholds,
+// its requests are served from cache only and then shed. The quota policy comes
+// from ZOHO_QUOTA (inline JSON or a file path) or config/quota.json, see
+// config/quota.example.json; ZOHO_DAILY_API_LIMIT overrides the limit Zoho reports.
+const quotaConfig = loadJsonConfig('ZOHO_QUOTA', 'quota.json', {});
+const quotaBudget = new QuotaBudget({
+  dailyLimit: parseInt(process.env.ZOHO_DAILY_API_LIMIT, 10) || quotaConfig.dailyLimit,
+  classes: quotaConfig.classes
+});
+const defaultPriority = quotaConfig.defaultPriority || 'normal';
+const quotaRoutes = quotaConfig.routes || {}; // "<METHOD> <route path>" -> priority class
+
+function recordZohoCall() {
+  quotaBudget.record();
+  metrics.quotaUsed.set({}, quotaBudget.usage().used);
+}
+
+// ====================
+// Zoho Access Token Manager
+// ====================
+// One token manager is shared by the proxy routes and the client library so
+// refreshes are single-flight, happen before expiry and back off on failure.
+const tokenManager = new TokenManager(clientId, clientSecret, zohoRefreshToken, {
+  accountsHost: zohoHosts.accountsHost
+});
+
+tokenManager.on('token', (accessToken, expiresAt) => {
+  metrics.tokenRefreshes.inc({ result: 'success' });
+  logger.info('Zoho access token refreshed', { expiresAt: new Date(expiresAt).toISOString() });
+});
+tokenManager.on('refreshError', (error, retryAt) => {
+  metrics.tokenRefreshes.inc({ result: 'failure' });
+  logger.error('Error refreshing Zoho access token', { err: error, retryAt: new Date(retryAt).toISOString() });
+});
+
+// Client library instance used for bulk (asynchronous) Zoho operations
+const analyticsClient = new AnalyticsClient(clientId, clientSecret, zohoRefreshToken, {
+  region: zohoHosts.region,
+  tokenManager,
+  logger: logger.child({ component: 'zoho-client' }),
+  onRequest: recordZohoCall,
+  callUpstream: callZohoClient
+});
+
+// ====================
+// View Alias Registry
+// ====================
+// Browsers address views and dashboards by alias only; the Zoho IDs, allowed
+// operations and column projections live server-side. See config/views.example.json.
+const viewRegistry = createViewRegistry(loadJsonConfig('ZOHO_VIEWS', 'views.json', {}));
+const { resolveViewAlias } = viewRegistry;
+
+// ====================
+// Zoho API Passthrough Allowlist
+// ====================
+// Zoho Analytics v2 endpoints reachable through /zoho-analytics/api/*, from
+// ZOHO_PASSTHROUGH (inline JSON or a file path) or config/passthrough.json.
+// See config/passthrough.example.json; without one nothing is reachable. Access
+// tokens never reach views with a row policy this way, only through their aliases.
+const passthroughRoutes = createPassthroughRoutes(loadJsonConfig('ZOHO_PASSTHROUGH', 'passthrough.json', {}), {
+  restrictedIds: viewRegistry.aliases()
+    .map(viewRegistry.get)
+    .filter((view) => view.rowCriteria)
+    .map((view) => view.viewId)
+});
+
+// ====================
+// Request Priorities
+// ====================
+// An alias's or passthrough route's `priority` wins over its route's; everything else is defaultPriority.
+[defaultPriority]
+  .concat(Object.keys(quotaRoutes).map((route) => quotaRoutes[route]))
+  .concat(viewRegistry.aliases().map((alias) => viewRegistry.get(alias).priority).filter(Boolean))
+  .concat(passthroughRoutes.routes().map((route) => route.priority).filter(Boolean))
+  .forEach((priority) => {
+    if (!quotaBudget.hasClass(priority)) {
+      throw new Error(`Unknown quota priority class "${priority}"`);
+    }
+  });
+
+function priorityOf(req) {
+  const view = req.view || (req.job && viewRegistry.get(req.job.alias));
+  if (view && view.priority) {
+    return view.priority;
+  }
+  if (req.passthrough && req.passthrough.route.priority) {
+    return req.passthrough.route.priority;
+  }
+  return quotaRoutes[`${req.method} ${routeLabels(req).route}`] || defaultPriority;
+}
+
+const guardQuota = quotaBudget.guard({
+  priorityOf,
+  onDecision: (priority, decision) => {
+    metrics.quotaDecisions.inc({ priority, decision });
+    logger.warn('Saving Zoho API quota', Object.assign({ priority, decision }, quotaBudget.usage()));
+  }
+});
+
+// Adopts Zoho's own count, which includes calls made by other dynos and clients
+async function seedQuotaBudget() {
+  if (!zohoOrgId) {
+    logger.warn('ZOHO_ORG_ID is not set; the Zoho API quota is tracked from local counts only');
+    return;
+  }
+  try {
+    const org = analyticsClient.getOrgInstance(zohoOrgId);
+    const reported = apiUsageFrom(await org.getSubscriptionDetails(), await org.getResourceDetails());
+    if (reported.limit === undefined && !quotaBudget.limit) {
+      logger.warn('Zoho did not report the daily API limit; set ZOHO_DAILY_API_LIMIT to enforce the quota');
+    }
+    quotaBudget.seed(reported);
+    const usage = quotaBudget.usage();
+    metrics.quotaUsed.set({}, usage.used);
+    metrics.quotaLimit.set({}, usage.limit || 0);
+    logger.info('Zoho API quota synced', usage);
+  } catch (error) {
+    logger.error('Error fetching Zoho API quota', { err: error });
+  }
+}
+
+// Column names and data types of writable views, used to validate row writes
+const columnCatalog = createColumnCatalog({
+  load: (view) => analyticsClient
+    .getViewDetails(view.viewId, { withInvolvedMetaInfo: true })
+    .then((details) => details.columns),
+  ttl: parseInt(process.env.COLUMN_METADATA_TTL, 10) || 300
+});
+
+// ====================
+// Named SQL Queries
+// ====================
+// Vetted SQL lives server-side; callers can only pick a query by name and bind
+// its declared parameters. See config/queries.example.json for the format.
+const namedQueries = loadNamedQueries(loadJsonConfig('ZOHO_QUERIES', 'queries.json', {}));
+const queryJobTimeoutMs = parseInt(process.env.QUERY_JOB_TIMEOUT_MS, 10) || 120000;
+
+// ====================
+// Zoho Organization IDs
+// ====================
+// Every Zoho call names its organization in ZANALYTICS-ORGID: the alias's or named
+// query's orgId, else ZOHO_ORG_ID. Refuse to start if any of them would have none.
+const withoutOrgId = []
+  .concat(viewRegistry.aliases().filter((alias) => !viewRegistry.get(alias).orgId).map((alias) => `view alias "${alias}"`))
+  .concat(Object.keys(namedQueries).filter((name) => !namedQueries[name].orgId).map((name) => `named query "${name}"`));
+if (!zohoOrgId && withoutOrgId.length) {
+  logger.error(`ZOHO_ORG_ID is not set and these have no orgId: ${withoutOrgId.join(', ')}`);
+  process.exit(1);
+}
+
+// ====================
+// Paged Exports
+// ====================
+// Page size of /export when a caller pages without giving a limit, and the largest limit allowed
+const defaultPageSize = parseInt(process.env.EXPORT_PAGE_SIZE, 10) || 100;
+const maxPageSize = parseInt(process.env.EXPORT_MAX_PAGE_SIZE, 10) || 1000;
+// Largest export (in bytes) pages are cut from without SQL; it is held in the response cache
+const maxCachedExportBytes = parseInt(process.env.EXPORT_MAX_CACHED_BYTES, 10) || 10 * 1024 * 1024;
+
+// ====================
+// Bulk Imports
+// ====================
+// Uploaded files are staged on disk because BulkAPI imports read from a file path.
+const importUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE, 10) || 50 * 1024 * 1024, files: 1 }
+});
+const IMPORT_TYPES = ['APPEND', 'TRUNCATEADD', 'UPDATEADD'];
+const IMPORT_FILE_TYPES = ['csv', 'json'];
+
+// Bulk jobs started through the proxy, so /zoho-analytics/jobs/:id can find them again
+const jobRegistry = createJobRegistry();
+
+// ====================
+// Live View Subscriptions
+// ====================
+// One upstream poll per subscribed alias (and row policy clause), shared by every connected client.
+const subscriptionHub = createSubscriptionHub({
+  intervalMs: (parseInt(process.env.SUBSCRIPTION_INTERVAL, 10) || 60) * 1000,
+  load: async ({ alias, orgId, workspaceId, viewId, columns, priority }, criteria) => {
+    if (quotaBudget.decide(priority || defaultPriority) !== 'allow') {
+      throw new QuotaExhaustedError(priority || defaultPriority, quotaBudget.msUntilReset());
+    }
+    const config = { responseFormat: 'json' };
+    if (criteria) {
+      config.criteria = criteria;
+    }
+    if (columns) {
+      config.selectedColumns = columns;
+    }
+    const apiUrl = `${zohoApiBaseUrl}/workspaces/${encodeURIComponent(
+      workspaceId
+    )}/views/${encodeURIComponent(viewId)}/data?CONFIG=${encodeURIComponent(JSON.stringify(config))}`;
+
+    const { status, statusText, data } = await requestZohoApi(apiUrl, 'GET', null, {
+      orgId: orgId || zohoOrgId,
+      labels: { route: 'subscription', alias }
+    });
+    if (status !== 200) {
+      throw new Error(`Zoho API Error: ${(data && data.data && data.data.errorMessage) || statusText}`);
+    }
+    return Array.isArray(data) ? data : data.data;
+  }
+});
+
+// ====================
+// Response Cache
+// ====================
+// TTLs are in seconds; `ttls` overrides them per view/dashboard ID (0 disables
+// caching for that ID). See config/cache.example.json for the format.
+const cacheConfig = loadJsonConfig('ZOHO_CACHE', 'cache.json', {});
+const responseCache = new ResponseCache({
+  store: createCacheStore(Object.assign({ maxEntries: cacheConfig.maxEntries }, cacheConfig.store)),
+  defaultTtl: cacheConfig.defaultTtl,
+  staleTtl: cacheConfig.staleTtl,
+  ttls: cacheConfig.ttls,
+  onError: (error) => logger.error('Error refreshing cached Zoho response', error)
+});
+
+// ====================
+// Proxy Access Tokens
+// ====================
+// Browsers call the data routes with a short-lived token scoped to the
+// resources they may read; our storefront backend mints them via /zoho-analytics/token.
+const accessTokens = createAccessTokens({
+  secret: proxyTokenSecret,
+  defaultTtl: parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 300,
+  maxTtl: parseInt(process.env.ACCESS_TOKEN_MAX_TTL, 10) || 3600
+});
+const { requireAccessToken } = accessTokens;
 
 // ====================
 // CORS Configuration
 // ====================
-const allowedOrigins = ['https://www.sportdogfood.com']; // Add other trusted origins if necessary
+// The policy comes from CORS_POLICY (inline JSON or a file path) or config/cors.json,
+// see config/cors.example.json. CORS_ALLOWED_ORIGINS, a comma-separated list of
+// origins or wildcard patterns, overrides the global origin list. Origins matched by a
+// host wildcard (e.g. https://*.example.com) are allowed without credentials.
+const corsConfig = loadJsonConfig('CORS_POLICY', 'cors.json', {});
+const corsPolicy = createCorsPolicy({
+  origins: process.env.CORS_ALLOWED_ORIGINS || corsConfig.origins || ['https://www.sportdogfood.com'],
+  routes: corsConfig.routes
+});
 
 const corsOptions = {
-  origin: function (origin, callback) {
-    // Allow requests with no origin (like mobile apps or curl requests)
-    if (!origin) return callback(null, true);
-    if (allowedOrigins.indexOf(origin) === -1) {
-      const msg = 'The CORS policy for this site does not allow access from the specified Origin.';
-      return callback(new Error(msg), false);
-    }
-    return callback(null, true);
-  },
   methods: ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'fx-customer'], // Include all necessary headers
+  exposedHeaders: ['Link'], // Paged exports link to their next and previous pages
   credentials: true, // Set to true if frontend needs to send cookies or other credentials
   optionsSuccessStatus: 204 // Some legacy browsers choke on 204
 };
+const corsOptionsDelegate = corsPolicy.corsOptionsDelegate(corsOptions);
 
 // ====================
-// Apply Security Middlewares
+// OpenAPI Document
 // ====================
-app.use(helmet());
+// Served at /openapi.json and /docs, and used to validate incoming requests,
+// so the documentation and the behaviour come from the same description.
+const openApiDocument = buildOpenApiDocument({
+  version: require('./package.json').version,
+  exportFormats: Object.keys(EXPORT_FORMATS),
+  importTypes: IMPORT_TYPES,
+  importFileTypes: IMPORT_FILE_TYPES,
+  shapes: SHAPES,
+  maxPageSize,
+  passthroughRoutes: passthroughRoutes.routes()
+});
+const { validateRequest, validateFormFields } = createRequestValidator(openApiDocument);
 
 // ====================
-// Apply Rate Limiting
+// Apply Request Logging and Correlation IDs
 // ====================
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again after 15 minutes'
-});
-app.use(limiter);
+// Mounted first so every later log line carries the request's ID
+app.use(requestLogger(logger));
 
 // ====================
-// Apply Logging Middleware
+// Close Connections While Draining
 // ====================
-app.use(morgan('combined'));
+// During shutdown, responses ask clients not to reuse the connection
+app.use((req, res, next) => {
+  if (gracefulShutdown.isShuttingDown()) {
+    res.set('Connection', 'close');
+  }
+  next();
+});
 
 // ====================
-// Apply CORS Middleware
+// Request Metrics Middleware
 // ====================
-app.use(cors(corsOptions));
-app.options('*', cors(corsOptions)); // Handle preflight requests
+app.use((req, res, next) => {
+  const endTimer = metrics.requestDuration.startTimer({ method: req.method });
+  metrics.requestsInFlight.inc();
+
+  let done = false;
+  const finish = () => {
+    if (done) {
+      return;
+    }
+    done = true;
+    metrics.requestsInFlight.dec();
+    endTimer(Object.assign(routeLabels(req), { status: res.statusCode }));
+  };
+  // 'close' also covers SSE streams and downloads the client abandons
+  res.on('finish', finish);
+  res.on('close', finish);
+  next();
+});
 
 // ====================
-// Middleware to Parse JSON and URL-Encoded Data
+// Apply Security Middlewares
 // ====================
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(helmet());
 
 // ====================
-// Enhanced Logging Middleware (Optional)
+// Apply Rate Limiting
 // ====================
-app.use((req, res, next) => {
-  console.log(`Incoming Request: ${req.method} ${req.url}`);
-  console.log(`Origin: ${req.headers.origin || 'No Origin'}`);
-  console.log(`Access-Control-Request-Method: ${req.headers['access-control-request-method'] || 'N/A'}`);
-  console.log(`Access-Control-Request-Headers: ${req.headers['access-control-request-headers'] || 'N/A'}`);
-  next();
+// The global per-IP limit applies here; per-route, per-API-key and per-alias
+// limits are applied by limitRequests in each route. Limits and the counter
+// store come from RATE_LIMITS (inline JSON or a file path) or config/rate-limits.json,
+// see config/rate-limits.example.json. Without one, each IP gets 100 requests per 15 minutes.
+const { globalLimiter, limitRequests, limiter: createLimiter } = createRateLimits(loadJsonConfig('RATE_LIMITS', 'rate-limits.json', {}), {
+  onLimited: (limiter) => metrics.rateLimited.inc({ limiter }),
+  // Scrapers and health checks poll far more often than the limit allows
+  skip: (req) => ['/metrics', '/healthz', '/readyz'].indexOf(req.path) !== -1
 });
+app.use(globalLimiter);
 
 // ====================
-// Function to Refresh Zoho Access Token
+// Apply CORS Middleware
 // ====================
-async function refreshZohoToken() {
-  const refreshUrl = 'https://accounts.zoho.com/oauth/v2/token';
-
-  try {
-    console.log('Attempting to refresh Zoho access token...');
-    const response = await fetch(refreshUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        grant_type: 'refresh_token',
-        refresh_token: zohoRefreshToken,
-        client_id: clientId,
-        client_secret: clientSecret
-      })
-    });
+app.use(cors(corsOptionsDelegate));
+app.options('*', cors(corsOptionsDelegate)); // Handle preflight requests
 
-    console.log('Refresh token response status:', response.status);
-    const data = await response.json();
-    console.log('Response data:', data);
+// ====================
+// Middleware to Parse JSON and URL-Encoded Data
+// ====================
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
 
-    if (data.access_token) {
-      zohoAccessToken = data.access_token;
-      console.log('Zoho Access Token Refreshed:', zohoAccessToken);
-      return zohoAccessToken;
-    } else {
-      throw new Error('Failed to refresh Zoho token: ' + (data.error || 'Unknown error'));
-    }
-  } catch (error) {
-    console.error('Error refreshing Zoho access token:', error);
-    throw error;
+// ====================
+// Middleware to Require the Shared Secret
+// ====================
+// For our backend only; the secret is never accepted from the query string
+function requireSharedSecret(req, res, next) {
+  if (!secretsMatch(proxySharedSecret, bearerToken(req, { query: false }))) {
+    logger.warn('Rejected a request with an invalid shared secret', { path: req.path });
+    return sendError(res, 'UNAUTHENTICATED', 'Invalid shared secret');
   }
+  next();
 }
 
 // ====================
-// Middleware to Ensure Zoho Access Token is Refreshed
+// Middleware to Ensure a Zoho Access Token is Available
 // ====================
 async function ensureZohoAccessToken(req, res, next) {
   try {
-    if (!zohoAccessToken) {
-      console.log('No access token found, attempting to refresh...');
-      await refreshZohoToken();
-    }
+    await tokenManager.getAccessToken();
     next();
   } catch (error) {
-    res.status(500).json({ error: 'Unable to refresh Zoho access token' });
+    sendError(res, 'ZOHO_AUTH_FAILED', 'Unable to refresh Zoho access token');
   }
 }
 
 // ====================
-// Helper Function to Handle Zoho Analytics API Requests and Token Refresh
+// Helper Functions to Call Zoho Analytics Through the Retry Policy and Circuit Breaker
 // ====================
-async function handleZohoApiRequest(apiUrl, res, method = 'GET', body = null) {
+// callUpstream runs the attempts of one call: `send` makes an attempt and resolves to a
+// response with `status` and `headers`, or rejects when Zoho could not be reached.
+// Throws CircuitOpenError while the host's circuit is open.
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const NO_HEADERS = { get: () => null };
+
+async function callUpstream(host, method, url, send, { discard = () => {} } = {}) {
+  const breaker = circuitBreakers.forHost(host);
+
+  for (let attempt = 0; ; attempt += 1) {
+    breaker.acquire();
+    let response;
+    let error;
     try {
-      const methodUpper = method.toUpperCase();
-  
-      const options = {
-        method: methodUpper,
-        headers: {
-          'Authorization': `Zoho-oauthtoken ${zohoAccessToken}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json' // Added 'Accept' header to specify response format
-        }
-      };
-  
-      // Only include body if method allows it (e.g., POST, PUT, PATCH)
-      if (body && ['POST', 'PUT', 'PATCH'].includes(methodUpper)) {
-        options.body = JSON.stringify(body);
-      }
-  
-      console.log(`Sending Zoho API request to URL: ${apiUrl}`);
-      console.log('Request options:', options);
-  
-      let response = await fetch(apiUrl, options);
-  
-      // Log response status
-      console.log('Initial response status:', response.status);
-  
-      // If the token is expired (401), refresh it and retry the request
-      if (response.status === 401) {
-        console.log('Access token expired, refreshing...');
-        await refreshZohoToken();
-  
-        // Retry the Zoho API request with the new token
-        options.headers.Authorization = `Zoho-oauthtoken ${zohoAccessToken}`;
-        console.log('Retrying Zoho API request with refreshed token...');
-        response = await fetch(apiUrl, options);
-  
-        // Log response status after retrying
-        console.log('Retry response status:', response.status);
-      }
-  
-      // If response is still not OK, handle the error
-      if (!response.ok) {
-        let errorResponse;
-        try {
-          errorResponse = await response.json();
-        } catch (e) {
-          errorResponse = await response.text();
-        }
-  
-        console.error(`Zoho API Error: ${response.statusText}`, {
-          status: response.status,
-          headers: response.headers.raw(),
-          body: errorResponse
-        });
-        
-        return res.status(response.status).json({
-          error: `Zoho API Error: ${response.statusText}`,
-          status: response.status,
-          response: errorResponse
-        });
+      response = await send();
+    } catch (sendError) {
+      error = sendError;
+    }
+
+    if (error || response.status >= 500) {
+      breaker.recordFailure();
+    } else {
+      breaker.recordSuccess();
+    }
+
+    // Once the circuit opens there is no point waiting to try again
+    const delayMs = breaker.state === CIRCUIT_STATES.OPEN
+      ? null
+      : retryPolicy.retryDelay({ method, attempt, response, error });
+    if (delayMs === null) {
+      if (error) {
+        throw error;
       }
-  
-      const data = await response.json();
-      console.log('Zoho API request successful, response data:', data);
-      res.json(data);
+      return response;
+    }
+
+    const reason = error ? 'network' : String(response.status);
+    if (response) {
+      discard(response);
+    }
+    metrics.upstreamRetries.inc({ reason });
+    logger.warn('Retrying Zoho API request', {
+      method,
+      url,
+      reason,
+      attempt: attempt + 1,
+      delayMs,
+      err: error && error.message
+    });
+    await sleep(delayMs);
+  }
+}
+
+// Wraps fetch, recording the upstream latency and status of every attempt under
+// the caller's route and alias
+function fetchZoho(apiUrl, options, labels = {}) {
+  return callUpstream(new URL(apiUrl).host, options.method, apiUrl, async () => {
+    recordZohoCall();
+    const endTimer = metrics.upstreamDuration.startTimer(Object.assign({ method: options.method }, labels));
+    try {
+      const response = await fetch(apiUrl, options);
+      endTimer({ status: response.status });
+      return response;
+    } catch (error) {
+      endTimer({ status: 'error' });
+      throw error;
+    }
+  }, {
+    discard: (response) => response.body.resume() // Discard the error body so the socket can be reused
+  });
+}
+
+// Wraps each client library request (see callUpstream in AnalyticsClient). The library
+// rejects with Zoho's error payload carrying `httpStatus`; those become responses here
+// so 429s and 5xx are retried and counted by the breaker like fetchZoho's.
+async function callZohoClient(method, uriPath, send) {
+  const response = await callUpstream(zohoHosts.analyticsHost, method, uriPath, async () => {
+    try {
+      return { status: 200, headers: NO_HEADERS, result: await send() };
     } catch (error) {
-      console.error("Error fetching Zoho data:", error);
-      res.status(500).json({ error: 'Error fetching Zoho data' });
+      if (error && error.httpStatus) {
+        return { status: error.httpStatus, headers: NO_HEADERS, error };
+      }
+      throw error;
     }
+  });
+  if (response.error) {
+    throw response.error;
   }
-  
-  
+  return response.result;
+}
+
+// Answers 503 with Retry-After while Zoho's circuit is open or its quota is being saved
+function sendUnavailableError(res, error) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(error.retryAfterMs / 1000))));
+  sendError(res, error.code, error.message);
+}
+
 // ====================
-// Routes
+// Readiness Check
 // ====================
+// Confirms a Zoho token can be obtained. Zoho's API itself is not called, since every
+// call counts against the daily quota; the analytics host's circuit state is reported
+// instead. Results are reused for READINESS_TTL seconds (default 300).
+const readinessTtlMs = (parseInt(process.env.READINESS_TTL, 10) || 300) * 1000;
+let readinessCheck = null;
 
-/**
- * @route   POST /zoho-analytics/report
- * @desc    Fetch data from a Zoho Analytics report
- * @access  Public (CORS controlled)
- */
-app.post(
-  '/zoho-analytics/report',
-  ensureZohoAccessToken,
-  [
-    body('workspaceId').notEmpty().withMessage('workspaceId is required'),
-    body('viewId').notEmpty().withMessage('viewId is required')
-  ],
-  async (req, res) => {
-    // Validate incoming data
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      console.error('Validation errors:', errors.array());
-      return res.status(400).json({ errors: errors.array() });
+function checkReadiness() {
+  if (readinessCheck && Date.now() - readinessCheck.checkedAt < readinessTtlMs) {
+    return readinessCheck.result;
+  }
+
+  const result = (async () => {
+    const checks = { token: 'ok' };
+    try {
+      await tokenManager.getAccessToken();
+    } catch (error) {
+      checks.token = `failed: ${error.errorMessage || error.message}`;
     }
+    checks.analytics = `circuit ${circuitBreakers.forHost(zohoHosts.analyticsHost).state}`;
+    return { ready: checks.token === 'ok', checks };
+  })();
 
-    const { workspaceId, viewId } = req.body; // Destructure for clarity
+  readinessCheck = { checkedAt: Date.now(), result };
+  return result;
+}
 
-    // Construct the correct API URL
-    const apiUrl = `https://analyticsapi.zoho.com/restapi/v2/workspaces/${encodeURIComponent(
-      workspaceId
-    )}/views/${encodeURIComponent(viewId)}`;
+// ====================
+// Helper Function to Call the Zoho Analytics API with Token Refresh
+// ====================
+// Resolves to { status, statusText, data } where data is the parsed JSON body
+// (or raw text if Zoho did not answer with JSON).
+async function requestZohoApi(apiUrl, method = 'GET', body = null, { orgId, labels, maxBytes } = {}) {
+  const accessToken = await tokenManager.getAccessToken();
+  const options = {
+    method,
+    headers: {
+      'Authorization': `Zoho-oauthtoken ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json' // Added 'Accept' header to specify response format
+    }
+  };
+  if (orgId) {
+    options.headers['ZANALYTICS-ORGID'] = orgId;
+  }
+  if (maxBytes) {
+    options.size = maxBytes; // node-fetch rejects larger bodies with a 'max-size' FetchError
+  }
 
-    await handleZohoApiRequest(apiUrl, res, 'GET');
+  // Only include body if method allows it (e.g., POST, PUT, PATCH)
+  if (body && ['POST', 'PUT', 'PATCH'].includes(method)) {
+    options.body = JSON.stringify(body);
   }
-);
 
-/**
- * @route   GET /zoho-analytics/dashboard
- * @desc    Fetch dashboard data from Zoho Analytics
- * @access  Public (CORS controlled)
- */
-app.get(
-  '/zoho-analytics/dashboard',
-  ensureZohoAccessToken,
-  async (req, res) => {
-    const dashboardId = req.query.dashboardId; // Provide the dashboard ID as a query param
+  logger.debug('Sending Zoho API request', { method, url: apiUrl, orgId });
 
-    if (!dashboardId) {
-      console.error('Missing dashboardId in request.');
-      return res.status(400).json({ error: 'Missing dashboardId in request.' });
-    }
+  let response = await fetchZoho(apiUrl, options, labels);
 
-    const apiUrl = `https://analyticsapi.zoho.com/restapi/v2/dashboards/${encodeURIComponent(
-      dashboardId
-    )}`;
-    await handleZohoApiRequest(apiUrl, res, 'GET');
+  // If the token is expired (401), refresh it and retry the request
+  if (response.status === 401) {
+    logger.info('Zoho access token rejected, refreshing and retrying', { url: apiUrl });
+    const refreshedToken = await tokenManager.refresh(accessToken);
+
+    // Retry the Zoho API request with the new token
+    options.headers.Authorization = `Zoho-oauthtoken ${refreshedToken}`;
+    response = await fetchZoho(apiUrl, options, labels);
   }
-);
+
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    data = text;
+  }
+
+  // Response bodies are never logged; they hold customer data
+  if (!response.ok) {
+    logger.error('Zoho API error', {
+      method,
+      url: apiUrl,
+      status: response.status,
+      statusText: response.statusText,
+      errorCode: data && data.data && data.data.errorCode
+    });
+  } else {
+    logger.debug('Zoho API request succeeded', { method, url: apiUrl, status: response.status, bytes: text.length });
+  }
+
+  return { status: response.status, statusText: response.statusText, data };
+}
 
 // ====================
-// Error Handling Middleware
+// Helper Function to Handle Zoho Analytics API Requests, Caching and Token Refresh
 // ====================
-app.use((err, req, res, next) => {
-  console.error('Unhandled Error:', err.stack);
-  res.status(500).json({ error: 'Internal Server Error' });
-});
+// Pass { cacheKey, ttl } to serve a GET from the response cache: fresh entries
+// are answered directly, stale ones are served while they refresh, and
+// If-None-Match is honoured with a 304.
+async function handleZohoApiRequest(apiUrl, res, method = 'GET', body = null, { cacheKey, ttl, orgId } = {}) {
+  try {
+    const methodUpper = method.toUpperCase();
+    const labels = routeLabels(res.req);
+    const load = () => requestZohoApi(apiUrl, methodUpper, body, { orgId, labels });
+
+    let result;
+    if (cacheKey && methodUpper === 'GET') {
+      const cacheOnly = Boolean(res.req.quotaCacheOnly);
+      const { entry, cacheStatus } = await responseCache.fetch(cacheKey, load, { ttl, cacheOnly });
+      metrics.cacheLookups.inc(Object.assign({ result: cacheStatus }, labels));
+      if (!entry) {
+        return sendUnavailableError(res, new QuotaExhaustedError(priorityOf(res.req), quotaBudget.msUntilReset()));
+      }
+      res.set('X-Cache', cacheStatus);
+      result = entry;
+    } else {
+      result = responseCache.toEntry(await load());
+    }
+
+    // If response is not OK, map Zoho's error onto a proxy error
+    if (result.status !== 200) {
+      if (result.status >= 200 && result.status < 300) {
+        return res.status(result.status).json(result.data);
+      }
+      return sendZohoError(res, result.status, result.data);
+    }
+
+    res.set('ETag', result.etag);
+    res.set('Cache-Control', 'private, no-cache');
+    if (etagMatches(res.req.headers['if-none-match'], result.etag)) {
+      return res.status(304).end();
+    }
+    res.type('application/json').send(result.body);
+  } catch (error) {
+    if (error instanceof CircuitOpenError) {
+      return sendUnavailableError(res, error);
+    }
+    logger.error('Error fetching Zoho data', error);
+    sendError(res, 'ZOHO_UNAVAILABLE', 'Error fetching Zoho data');
+  }
+}
 
 // ====================
-// Start the Server
+// Helper Function to Stream Zoho Analytics API Responses to the Client
 // ====================
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Zoho Analytics Server is running on port ${PORT}`);
+// Unlike handleZohoApiRequest, the upstream body is piped straight to the
+// client so large exports are never held in memory.
+async function streamZohoApiRequest(apiUrl, req, res, { orgId, contentType, disposition } = {}) {
+  try {
+    const accessToken = await tokenManager.getAccessToken();
+    const options = {
+      method: 'GET',
+      headers: {
+        'Authorization': `Zoho-oauthtoken ${accessToken}`
+      }
+    };
+    if (orgId) {
+      options.headers['ZANALYTICS-ORGID'] = orgId;
+    }
+
+    logger.debug('Streaming Zoho API request', { url: apiUrl, orgId });
+
+    const labels = routeLabels(req);
+    let response = await fetchZoho(apiUrl, options, labels);
+
+    // If the token is expired (401), refresh it and retry the request
+    if (response.status === 401) {
+      logger.info('Zoho access token rejected, refreshing and retrying', { url: apiUrl });
+      const refreshedToken = await tokenManager.refresh(accessToken);
+
+      options.headers.Authorization = `Zoho-oauthtoken ${refreshedToken}`;
+      response = await fetchZoho(apiUrl, options, labels);
+    }
+
+    if (!response.ok) {
+      let errorResponse;
+      const errorText = await response.text();
+      try {
+        errorResponse = JSON.parse(errorText);
+      } catch (e) {
+        errorResponse = errorText;
+      }
+
+      logger.error('Zoho API error', {
+        url: apiUrl,
+        status: response.status,
+        statusText: response.statusText,
+        errorCode: errorResponse && errorResponse.data && errorResponse.data.errorCode
+      });
+
+      return sendZohoError(res, response.status, errorResponse);
+    }
+
+    res.status(200);
+    res.set('Content-Type', response.headers.get('content-type') || contentType);
+    if (disposition) {
+      res.set('Content-Disposition', disposition);
+    }
+    const contentLength = response.headers.get('content-length');
+    if (contentLength) {
+      res.set('Content-Length', contentLength);
+    }
+
+    // Stop reading from Zoho if the client goes away mid-download
+    req.on('close', () => {
+      if (!res.writableFinished) {
+        response.body.destroy();
+      }
+    });
+
+    response.body.on('error', (error) => {
+      logger.error('Error while streaming Zoho data', error);
+      res.destroy(error);
+    });
+    response.body.pipe(res);
+  } catch (error) {
+    if (error instanceof CircuitOpenError && !res.headersSent) {
+      return sendUnavailableError(res, error);
+    }
+    logger.error('Error streaming Zoho data', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    sendError(res, 'ZOHO_UNAVAILABLE', 'Error fetching Zoho data');
+  }
+}
+
+// ====================
+// Helper Function to Report Client Library Errors
+// ====================
+// The client library rejects with Zoho's { errorCode, errorMessage, httpStatus } payload
+// rather than an Error, so those are mapped like any other Zoho error.
+function sendClientLibraryError(res, error, fallbackMessage) {
+  if (error instanceof CircuitOpenError) {
+    return sendUnavailableError(res, error);
+  }
+  if (error && (error.errorCode || error.httpStatus)) {
+    return sendZohoError(res, error.httpStatus, error);
+  }
+  sendError(res, errorCodeFor(error), (error && error.message) || fallbackMessage);
+}
+
+// ====================
+// Helper Function to Send Tabular Responses
+// ====================
+// Answers ?shape=table requests: a Zoho JSON export becomes { columns, rows } typed
+// by the view's column metadata, in projection order and with the alias's renames.
+async function sendTable(res, view, data, columns) {
+  const columnTypes = await columnCatalog.loadColumns(view);
+  res.json(toTable(rowsOf(data), { columnTypes, columns, rename: view.rename }));
+}
+
+// ====================
+// Middleware to Load the Columns of the Requested View
+// ====================
+async function loadViewColumns(req, res, next) {
+  try {
+    req.viewColumns = await columnCatalog.loadColumns(req.view);
+    next();
+  } catch (error) {
+    logger.error('Error loading column metadata', { alias: req.view.alias, err: error });
+    sendClientLibraryError(res, error, 'Unable to load view columns');
+  }
+}
+
+// Validates req.body.columns against the view's live column metadata
+const validRowColumns = (required) => body('columns')
+  .custom((columns, { req }) => {
+    if (columns === undefined && !required) {
+      return true;
+    }
+    if (columns === null || typeof columns !== 'object' || Array.isArray(columns) || !Object.keys(columns).length) {
+      throw new Error('columns must be a non-empty object of column name to value');
+    }
+    const problems = checkColumnValues(columns, req.viewColumns);
+    if (problems.length) {
+      throw new Error(problems.join('; '));
+    }
+    return true;
+  });
+
+// ====================
+// Middleware to Accept a Single Uploaded Import File
+// ====================
+function uploadImportFile(req, res, next) {
+  importUpload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      logger.warn('Rejected import upload', { reason: error.message });
+      return sendError(res, error.code === 'LIMIT_FILE_SIZE' ? 'PAYLOAD_TOO_LARGE' : 'BAD_REQUEST', error.message);
+    }
+    if (!error && !req.file) {
+      return sendError(res, 'BAD_REQUEST', 'A file field named "file" is required');
+    }
+    if (req.file) {
+      // Also removes uploads rejected before the import starts; batch uploads remove their own
+      res.on('finish', () => {
+        if (!req.file.retained) {
+          fs.unlink(req.file.path, () => {});
+        }
+      });
+    }
+    next(error);
+  });
+}
+
+// ====================
+// Helper Function to Build Export Configs
+// ====================
+/**
+ * Builds the CONFIG parameter for exporting a view, the same way BulkAPI.exportData does.
+ * Aliases with a column projection never expose columns outside of it, and the
+ * row policy clause is always part of the criteria.
+ * @param {Object} req - Request that passed resolveViewAlias and applyRowPolicy.
+ * @param {Object} params - { criteria, selectedColumns } as sent by the caller.
+ * @param {Object} format - Entry from EXPORT_FORMATS.
+ * @returns {Object} { config, hidden } where `hidden` lists requested columns outside the projection.
+ * @throws {RowPolicyError} If the caller's criteria cannot be combined with the row policy.
+ */
+function buildExportConfig(req, { criteria, selectedColumns }, format) {
+  const { view } = req;
+  const config = { responseFormat: format.zohoFormat };
+  const combinedCriteria = withRowCriteria(req.rowCriteria, criteria);
+  if (combinedCriteria) {
+    config.criteria = combinedCriteria;
+  }
+  if (selectedColumns) {
+    // Accept either ?selectedColumns=a,b or ?selectedColumns=a&selectedColumns=b
+    config.selectedColumns = []
+      .concat(selectedColumns)
+      .reduce((requested, value) => requested.concat(String(value).split(',')), [])
+      .map((column) => column.trim())
+      .filter(Boolean);
+  }
+
+  let hidden = [];
+  if (view.columns) {
+    hidden = (config.selectedColumns || []).filter((column) => view.columns.indexOf(column) === -1);
+    if (!config.selectedColumns || !config.selectedColumns.length) {
+      config.selectedColumns = view.columns;
+    }
+  }
+  return { config, hidden };
+}
+
+// ====================
+// Helper Functions to Answer Paged Requests
+// ====================
+// Pages come from a SQL export when the alias names its sqlTable and the caller sent
+// no raw criteria (SQL would not confine those to the view). Otherwise the filtered
+// export is fetched once, kept in the response cache, and sorted and sliced here;
+// exports over EXPORT_MAX_CACHED_BYTES are refused rather than held in memory.
+// Export job results are filtered, sorted and sliced here too.
+
+// Runs a SQL query as a bulk export job and returns its rows
+async function exportSqlRows(view, sql) {
+  const bulk = analyticsClient.getBulkInstance(view.orgId || zohoOrgId, view.workspaceId);
+  const jobId = await bulk.initiateBulkExportUsingSQL(sql, 'json');
+  await waitForExportJob(bulk, jobId, { timeoutMs: queryJobTimeoutMs });
+
+  const filePath = path.join(os.tmpdir(), `zoho-page-${jobId}.json`);
+  try {
+    await bulk.exportBulkData(jobId, filePath);
+    return rowsOf(JSON.parse(await fs.promises.readFile(filePath, 'utf8')));
+  } finally {
+    fs.unlink(filePath, () => {});
+  }
+}
+
+// Reads the paging parameters of a request against the columns of a view
+function readPageQuery(req, view, columnTypes) {
+  return parsePageQuery(req.query, {
+    columnTypes,
+    columns: view.columns,
+    rename: view.rename,
+    defaultLimit: defaultPageSize,
+    maxLimit: maxPageSize
+  });
+}
+
+// Answers with one page as { data, page }, or as a table with its page for shape=table
+function sendPage(req, res, view, { rows, columnTypes, columns, limit, offset, hasMore, total }) {
+  const { page, link } = pageLinks(req.path, new URLSearchParams(req.originalUrl.split('?')[1] || ''), {
+    limit,
+    offset,
+    count: rows.length,
+    hasMore,
+    total
+  });
+  res.set('Link', link);
+  const body = req.query.shape === 'table'
+    ? toTable(rows, { columnTypes, columns, rename: view.rename })
+    : { data: rows.map((row) => renameColumns(row, view.rename)) };
+  res.json(Object.assign(body, { page }));
+}
+
+// Filters, sorts and slices rows already fetched in full
+function sliceRows(allRows, { limit, offset, sort, filters }, columnTypes) {
+  const rows = sortRows(filterRows(allRows, filters, columnTypes), sort, columnTypes);
+  return {
+    rows: rows.slice(offset, offset + limit),
+    hasMore: offset + limit < rows.length,
+    total: rows.length
+  };
+}
+
+async function sendExportPage(req, res, config) {
+  const { view } = req;
+  try {
+    const columnTypes = await columnCatalog.loadColumns(view);
+    const { limit, offset, sort, filters } = readPageQuery(req, view, columnTypes);
+    const criteria = [config.criteria, filterCriteria(filters, columnTypes)]
+      .filter(Boolean)
+      .map((clause) => `(${clause})`)
+      .join(' and ');
+
+    let rows;
+    let hasMore;
+    let total = null;
+    if (view.sqlTable && !req.query.criteria) {
+      // One extra row tells whether there is a next page without counting them all
+      const sql = pageSql({
+        table: view.sqlTable,
+        columns: config.selectedColumns,
+        criteria,
+        sort,
+        keyColumns: view.keyColumns || config.selectedColumns || Array.from(columnTypes.keys()),
+        limit: limit + 1,
+        offset
+      });
+      rows = await exportSqlRows(view, sql);
+      hasMore = rows.length > limit;
+      rows = rows.slice(0, limit);
+    } else {
+      const exportConfig = Object.assign({}, config, { criteria: criteria || undefined });
+      const apiUrl = `${zohoApiBaseUrl}/workspaces/${encodeURIComponent(
+        view.workspaceId
+      )}/views/${encodeURIComponent(view.viewId)}/data?CONFIG=${encodeURIComponent(JSON.stringify(exportConfig))}`;
+      const labels = routeLabels(req);
+
+      const { entry, cacheStatus } = await responseCache.fetch(
+        `export:${view.workspaceId}:${view.viewId}:${JSON.stringify(exportConfig)}`,
+        () => requestZohoApi(apiUrl, 'GET', null, { orgId: view.orgId || zohoOrgId, labels, maxBytes: maxCachedExportBytes }),
+        { ttl: responseCache.ttlFor(view.viewId), cacheOnly: Boolean(req.quotaCacheOnly) }
+      );
+      metrics.cacheLookups.inc(Object.assign({ result: cacheStatus }, labels));
+      if (!entry) {
+        return sendUnavailableError(res, new QuotaExhaustedError(priorityOf(req), quotaBudget.msUntilReset()));
+      }
+      if (entry.status !== 200) {
+        return sendZohoError(res, entry.status, entry.data);
+      }
+      res.set('X-Cache', cacheStatus);
+
+      // Zoho has already applied the filters as criteria
+      const pageQuery = { limit, offset, sort, filters: [] };
+      ({ rows, hasMore, total } = sliceRows(rowsOf(JSON.parse(entry.body)), pageQuery, columnTypes));
+    }
+
+    sendPage(req, res, view, { rows, columnTypes, columns: config.selectedColumns, limit, offset, hasMore, total });
+  } catch (error) {
+    if (error instanceof PageQueryError) {
+      return sendError(res, 'BAD_REQUEST', error.message);
+    }
+    if (error instanceof CircuitOpenError) {
+      return sendUnavailableError(res, error);
+    }
+    if (error && error.type === 'max-size') {
+      return sendError(res, 'BAD_REQUEST', `${view.alias} is too large to page without SQL; narrow it with `
+        + 'filter or criteria, give the alias a sqlTable, or page a bulk export job instead');
+    }
+    logger.error('Error fetching a page of Zoho data', { alias: view.alias, err: error });
+    sendClientLibraryError(res, error, 'Error fetching Zoho data');
+  }
+}
+
+// ====================
+// Middleware to Load a Registered Bulk Job
+// ====================
+// Sets req.job, then checks the access token grants the job's operation on its alias
+// and, for jobs started under a row policy, that it was issued for the same customer.
+const loadJob = [
+  (req, res, next) => {
+    req.job = jobRegistry.get(req.params.id);
+    if (!req.job) {
+      return sendError(res, 'NOT_FOUND', `Unknown job: ${req.params.id}`);
+    }
+    next();
+  },
+  (req, res, next) => requireAccessToken(req.job.type, () => req.job.alias)(req, res, next),
+  (req, res, next) => {
+    // Jobs started for a customer are only visible to that customer
+    try {
+      if (req.job.customer && customerOf(req) !== req.job.customer) {
+        throw new RowPolicyError(`Job ${req.job.id} belongs to another customer`);
+      }
+      next();
+    } catch (error) {
+      sendError(res, errorCodeFor(error), error.message);
+    }
+  }
+];
+
+// Fetches the Zoho details of a registered job. Batch imports are known by a proxy
+// ID until their batches are uploaded; until then their state comes from the upload.
+async function fetchJobDetails(job) {
+  const bulk = analyticsClient.getBulkInstance(job.orgId, job.workspaceId);
+  if (job.upload) {
+    if (job.upload.state === 'uploading') {
+      return { jobCode: JOB_CODES.IN_PROGRESS, jobStatus: 'UPLOADING BATCHES' };
+    }
+    if (job.upload.state === 'failed') {
+      return { jobCode: JOB_CODES.FAILED, jobStatus: 'BATCH UPLOAD FAILED', error: job.upload.error };
+    }
+    return bulk.getImportJobDetails(job.upload.zohoJobId);
+  }
+  return job.type === 'import' ? bulk.getImportJobDetails(job.id) : bulk.getExportJobDetails(job.id);
+}
+
+// Uploads a CSV file in batches after the request has been answered; importBulkDataAsBatches
+// only returns Zoho's job ID once every batch is sent, which can take minutes
+function uploadImportBatches(job, bulk, { viewId, importType, autoIdentify, filePath, batchSize, config }) {
+  bulk.importBulkDataAsBatches(viewId, importType, autoIdentify, filePath, batchSize, config)
+    .then((zohoJobId) => {
+      jobRegistry.update(job.id, { upload: { state: 'uploaded', zohoJobId } });
+      logger.info('Uploaded import batches', { alias: job.alias, jobId: job.id, zohoJobId });
+    })
+    .catch((error) => {
+      const message = (error && (error.errorMessage || error.message)) || 'unknown error';
+      jobRegistry.update(job.id, { upload: { state: 'failed', error: message } });
+      logger.error('Error uploading import batches', { alias: job.alias, jobId: job.id, err: error });
+    })
+    .finally(() => fs.unlink(filePath, () => {}));
+}
+
+// Links returned alongside a job's status
+function jobLinks(job, state) {
+  const base = `/zoho-analytics/jobs/${encodeURIComponent(job.id)}`;
+  const links = { statusUrl: base, eventsUrl: `${base}/events` };
+  if (job.type === 'export' && state === 'completed') {
+    links.downloadUrl = `${base}/data`;
+  }
+  return links;
+}
+
+// ====================
+// Routes
+// ====================
+
+/**
+ * @route   POST /zoho-analytics/token
+ * @desc    Issue a short-lived access token scoped to the given operations and resources
+ * @access  Private (PROXY_SHARED_SECRET as a Bearer token)
+ */
+app.post(
+  '/zoho-analytics/token',
+  limitRequests,
+  requireSharedSecret,
+  validateRequest,
+  (req, res) => {
+    try {
+      const { scopes, subject, ttl, customer } = req.body;
+      // A customer claim binds the token to the fx-customer it may act as
+      const claims = customer ? { customer: customer.trim() } : {};
+      res.status(201).json(accessTokens.issue({ scopes, subject, ttl, claims }));
+    } catch (error) {
+      sendError(res, errorCodeFor(error), error.message);
+    }
+  }
+);
+
+/**
+ * @route   POST /zoho-analytics/report
+ * @desc    Fetch data from a Zoho Analytics report
+ * @access  Access token with report:<alias> scope
+ */
+app.post(
+  '/zoho-analytics/report',
+  requireAccessToken('report', (req) => req.body.alias),
+  validateRequest,
+  resolveViewAlias('report', (req) => req.body.alias),
+  applyRowPolicy('report'),
+  limitRequests,
+  guardQuota({ cacheable: true }),
+  ensureZohoAccessToken,
+  async (req, res) => {
+    const { orgId, workspaceId, viewId } = req.view;
+
+    // Construct the correct API URL
+    const apiUrl = `${zohoApiBaseUrl}/workspaces/${encodeURIComponent(
+      workspaceId
+    )}/views/${encodeURIComponent(viewId)}`;
+
+    await handleZohoApiRequest(apiUrl, res, 'GET', null, {
+      cacheKey: `report:${workspaceId}:${viewId}`,
+      ttl: responseCache.ttlFor(viewId),
+      orgId: orgId || zohoOrgId
+    });
+  }
+);
+
+/**
+ * @route   GET /zoho-analytics/dashboard
+ * @desc    Fetch dashboard data from Zoho Analytics
+ * @access  Access token with dashboard:<alias> scope
+ */
+app.get(
+  '/zoho-analytics/dashboard',
+  requireAccessToken('dashboard', (req) => req.query.alias),
+  validateRequest,
+  resolveViewAlias('dashboard', (req) => req.query.alias), // Provide the dashboard alias as a query param
+  applyRowPolicy('dashboard'),
+  limitRequests,
+  guardQuota({ cacheable: true }),
+  ensureZohoAccessToken,
+  async (req, res) => {
+    const { orgId, dashboardId } = req.view;
+
+    const apiUrl = `${zohoApiBaseUrl}/dashboards/${encodeURIComponent(
+      dashboardId
+    )}`;
+    await handleZohoApiRequest(apiUrl, res, 'GET', null, {
+      cacheKey: `dashboard:${dashboardId}`,
+      ttl: responseCache.ttlFor(dashboardId),
+      orgId: orgId || zohoOrgId
+    });
+  }
+);
+
+/**
+ * @route   GET /zoho-analytics/export
+ * @desc    Stream the rows of a Zoho Analytics view as CSV, JSON, XLSX or PDF, or return a typed or paged JSON slice
+ * @access  Access token with export:<alias> scope
+ */
+app.get(
+  '/zoho-analytics/export',
+  requireAccessToken('export', (req) => req.query.alias),
+  validateRequest,
+  resolveViewAlias('export', (req) => req.query.alias),
+  applyRowPolicy('export'),
+  limitRequests,
+  guardQuota(),
+  ensureZohoAccessToken,
+  async (req, res) => {
+    const { alias, orgId, workspaceId, viewId } = req.view;
+    const table = req.query.shape === 'table';
+    const paged = wantsPage(req.query);
+    const format = getExportFormat(req.query.responseFormat || (table || paged ? 'json' : 'csv'));
+    if (table && format.zohoFormat !== 'json') {
+      return sendError(res, 'BAD_REQUEST', 'shape=table is only available for JSON exports');
+    }
+    if (paged && format.zohoFormat !== 'json') {
+      return sendError(res, 'BAD_REQUEST', 'limit, offset, cursor, sort and filter are only available for JSON exports');
+    }
+    let exportConfig;
+    try {
+      exportConfig = buildExportConfig(req, req.query, format);
+    } catch (error) {
+      return sendError(res, errorCodeFor(error), error.message);
+    }
+    const { config, hidden } = exportConfig;
+    if (hidden.length) {
+      return sendError(res, 'BAD_REQUEST', `Column(s) not available on ${alias}: ${hidden.join(', ')}`);
+    }
+    if (paged) {
+      return sendExportPage(req, res, config);
+    }
+
+    const apiUrl = `${zohoApiBaseUrl}/workspaces/${encodeURIComponent(
+      workspaceId
+    )}/views/${encodeURIComponent(viewId)}/data?CONFIG=${encodeURIComponent(JSON.stringify(config))}`;
+
+    if (table) {
+      // Shaping needs the whole export, so it is buffered rather than streamed
+      try {
+        const { status, data } = await requestZohoApi(apiUrl, 'GET', null, { orgId: orgId || zohoOrgId, labels: routeLabels(req) });
+        if (status !== 200) {
+          return sendZohoError(res, status, data);
+        }
+        return await sendTable(res, req.view, data, config.selectedColumns);
+      } catch (error) {
+        if (error instanceof CircuitOpenError) {
+          return sendUnavailableError(res, error);
+        }
+        logger.error('Error fetching Zoho data', { alias, err: error });
+        return sendClientLibraryError(res, error, 'Error fetching Zoho data');
+      }
+    }
+
+    await streamZohoApiRequest(apiUrl, req, res, {
+      orgId: orgId || zohoOrgId,
+      contentType: format.contentType,
+      disposition: contentDisposition(alias, format)
+    });
+  }
+);
+
+/**
+ * @route   POST /zoho-analytics/queries/:name
+ * @desc    Run a named, server-side SQL query as a Zoho bulk export job and return the result
+ * @access  Access token with query:<name> scope
+ */
+app.post(
+  '/zoho-analytics/queries/:name',
+  requireAccessToken('query', (req) => req.params.name),
+  validateRequest,
+  limitRequests,
+  guardQuota(),
+  async (req, res) => {
+    const namedQuery = namedQueries[req.params.name];
+    if (!namedQuery) {
+      return sendError(res, 'NOT_FOUND', `Unknown query: ${req.params.name}`);
+    }
+
+    let sqlQuery;
+    try {
+      const customer = customerOf(req);
+      if (namedQuery.restricted && !customer) {
+        throw new RowPolicyError(`A customer identity is required to run ${namedQuery.name}`);
+      }
+      // Unconfined SQL could read any customer's rows, whatever the views' row policies say
+      if (customer && !namedQuery.restricted && !namedQuery.shared) {
+        throw new RowPolicyError(`${namedQuery.name} is not limited to one customer's rows, so customer tokens cannot run it`);
+      }
+      sqlQuery = bindNamedQuery(namedQuery, req.body.params || {}, customer);
+    } catch (error) {
+      return sendError(res, error.status ? errorCodeFor(error) : 'BAD_REQUEST', error.message);
+    }
+
+    const { format } = namedQuery;
+    const bulk = analyticsClient.getBulkInstance(namedQuery.orgId || zohoOrgId, namedQuery.workspaceId);
+    let filePath;
+
+    try {
+      logger.info('Starting bulk export for named query', { query: namedQuery.name });
+      const jobId = await bulk.initiateBulkExportUsingSQL(sqlQuery, format.zohoFormat);
+      await waitForExportJob(bulk, jobId, { timeoutMs: queryJobTimeoutMs });
+
+      // exportBulkData can only write to disk, so stage the result in a temp file
+      filePath = path.join(os.tmpdir(), `zoho-query-${jobId}.${format.extension}`);
+      await bulk.exportBulkData(jobId, filePath);
+    } catch (error) {
+      logger.error('Error running named query', { query: namedQuery.name, err: error });
+      if (filePath) {
+        fs.unlink(filePath, () => {});
+      }
+      return sendClientLibraryError(res, error, 'Error running query');
+    }
+
+    res.set('Content-Type', format.contentType);
+    res.set('Content-Disposition', contentDisposition(namedQuery.name, format));
+    fs.createReadStream(filePath)
+      .on('error', (error) => {
+        logger.error('Error streaming query result', error);
+        res.destroy(error);
+      })
+      .on('close', () => fs.unlink(filePath, () => {}))
+      .pipe(res);
+  }
+);
+
+/**
+ * @route   POST /zoho-analytics/views/:alias/rows
+ * @desc    Add a row to a Zoho Analytics table
+ * @access  Access token with insert:<alias> scope
+ */
+app.post(
+  '/zoho-analytics/views/:alias/rows',
+  requireAccessToken('insert', (req) => req.params.alias),
+  validateRequest,
+  resolveViewAlias('insert', (req) => req.params.alias),
+  applyRowPolicy('insert'),
+  limitRequests,
+  guardQuota(),
+  loadViewColumns,
+  [
+    validRowColumns(true)
+  ],
+  async (req, res) => {
+    // Validate incoming data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validation errors', { errors: errors.array() });
+      return sendError(res, 'VALIDATION_FAILED', 'The request is invalid', { details: errors.array() });
+    }
+
+    const { alias, orgId, workspaceId, viewId } = req.view;
+    try {
+      const view = analyticsClient.getViewInstance(orgId || zohoOrgId, workspaceId, viewId);
+      const result = await view.addRow(req.body.columns);
+      logger.info('Added row', { alias });
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error('Error adding row', { alias, err: error });
+      sendClientLibraryError(res, error, 'Error adding row');
+    }
+  }
+);
+
+/**
+ * @route   PUT /zoho-analytics/views/:alias/rows
+ * @desc    Update the rows of a Zoho Analytics table matching a criteria
+ * @access  Access token with update:<alias> scope
+ */
+app.put(
+  '/zoho-analytics/views/:alias/rows',
+  requireAccessToken('update', (req) => req.params.alias),
+  validateRequest,
+  resolveViewAlias('update', (req) => req.params.alias),
+  applyRowPolicy('update'),
+  limitRequests,
+  guardQuota(),
+  loadViewColumns,
+  [
+    validRowColumns(true)
+  ],
+  async (req, res) => {
+    // Validate incoming data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validation errors', { errors: errors.array() });
+      return sendError(res, 'VALIDATION_FAILED', 'The request is invalid', { details: errors.array() });
+    }
+
+    const { alias, orgId, workspaceId, viewId } = req.view;
+    const locked = policyColumns(req.view).filter((column) => Object.prototype.hasOwnProperty.call(req.body.columns, column));
+    if (locked.length) {
+      return sendError(res, 'FORBIDDEN', `Column(s) used by the row policy of ${alias} cannot be updated: ${locked.join(', ')}`);
+    }
+
+    try {
+      const view = analyticsClient.getViewInstance(orgId || zohoOrgId, workspaceId, viewId);
+      const result = await view.updateRow(req.body.columns, withRowCriteria(req.rowCriteria, req.body.criteria));
+      logger.info('Updated rows', { alias });
+      res.json(result);
+    } catch (error) {
+      logger.error('Error updating rows', { alias, err: error });
+      sendClientLibraryError(res, error, 'Error updating rows');
+    }
+  }
+);
+
+/**
+ * @route   DELETE /zoho-analytics/views/:alias/rows
+ * @desc    Delete the rows of a Zoho Analytics table matching a criteria
+ * @access  Access token with delete:<alias> scope
+ */
+app.delete(
+  '/zoho-analytics/views/:alias/rows',
+  requireAccessToken('delete', (req) => req.params.alias),
+  validateRequest,
+  resolveViewAlias('delete', (req) => req.params.alias),
+  applyRowPolicy('delete'),
+  limitRequests,
+  guardQuota(),
+  async (req, res) => {
+    const { alias, orgId, workspaceId, viewId } = req.view;
+    try {
+      const view = analyticsClient.getViewInstance(orgId || zohoOrgId, workspaceId, viewId);
+      const deletedRows = await view.deleteRow(withRowCriteria(req.rowCriteria, req.body.criteria));
+      logger.info('Deleted rows', { alias, deletedRows });
+      res.json({ deletedRows });
+    } catch (error) {
+      logger.error('Error deleting rows', { alias, err: error });
+      sendClientLibraryError(res, error, 'Error deleting rows');
+    }
+  }
+);
+
+/**
+ * @route   POST /zoho-analytics/views/:alias/imports
+ * @desc    Upload a CSV or JSON file and import it into a Zoho Analytics table as a bulk job
+ * @access  Access token with import:<alias> scope
+ */
+app.post(
+  '/zoho-analytics/views/:alias/imports',
+  requireAccessToken('import', (req) => req.params.alias),
+  validateRequest,
+  resolveViewAlias('import', (req) => req.params.alias),
+  applyRowPolicy('import'),
+  limitRequests,
+  guardQuota(),
+  uploadImportFile,
+  // validateFormFields checks the fields; these only normalise case and require
+  // matchingColumns for UPDATEADD, which the schema cannot express
+  [
+    body('importType').optional().customSanitizer((value) => String(value).toUpperCase()),
+    body('fileType').optional().customSanitizer((value) => String(value).toLowerCase()),
+    body('matchingColumns')
+      .if(body('importType').equals('UPDATEADD'))
+      .notEmpty()
+      .withMessage('matchingColumns is required for UPDATEADD imports')
+  ],
+  validateFormFields,
+  async (req, res) => {
+    const filePath = req.file.path;
+    const removeUpload = () => fs.unlink(filePath, () => {});
+
+    // Validate incoming data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validation errors', { errors: errors.array() });
+      removeUpload();
+      return sendError(res, 'VALIDATION_FAILED', 'The request is invalid', { details: errors.array() });
+    }
+
+    const { alias, orgId, workspaceId, viewId } = req.view;
+    const importType = req.body.importType || 'APPEND';
+    const fileType = req.body.fileType || (/\.json$/i.test(req.file.originalname) ? 'json' : 'csv');
+    const autoIdentify = req.body.autoIdentify === undefined ? 'true' : String(req.body.autoIdentify);
+    const batchSize = req.body.batchSize === undefined ? undefined : parseInt(req.body.batchSize, 10);
+
+    if (batchSize && fileType !== 'csv') {
+      removeUpload();
+      return sendError(res, 'BAD_REQUEST', 'batchSize is only supported for CSV imports');
+    }
+
+    const config = {};
+    if (req.body.matchingColumns) {
+      config.matchingColumns = String(req.body.matchingColumns).split(',').map((column) => column.trim()).filter(Boolean);
+    }
+
+    const bulk = analyticsClient.getBulkInstance(orgId || zohoOrgId, workspaceId);
+    const zohoImportType = importType.toLowerCase();
+    const jobDefaults = { type: 'import', alias, orgId: orgId || zohoOrgId, workspaceId, customer: req.customer };
+
+    if (batchSize) {
+      // Answered before the batches go up; the job routes follow the upload and then Zoho's job
+      req.file.retained = true;
+      const job = jobRegistry.register(Object.assign({
+        id: `batch-${crypto.randomUUID()}`,
+        upload: { state: 'uploading' }
+      }, jobDefaults));
+      uploadImportBatches(job, bulk, { viewId, importType: zohoImportType, autoIdentify, filePath, batchSize, config });
+      logger.info('Started batch import job', { alias, jobId: job.id, importType, batchSize });
+      return res.status(202).json(Object.assign({ jobId: job.id }, jobLinks(job, 'queued')));
+    }
+
+    try {
+      const jobId = await bulk.importBulkData(viewId, zohoImportType, fileType, autoIdentify, filePath, config);
+      const job = jobRegistry.register(Object.assign({ id: jobId }, jobDefaults));
+      logger.info('Started import job', { alias, jobId, importType });
+      res.status(202).json(Object.assign({ jobId }, jobLinks(job, 'queued')));
+    } catch (error) {
+      logger.error('Error importing data', { alias, err: error });
+      sendClientLibraryError(res, error, 'Error importing data');
+    } finally {
+      removeUpload();
+    }
+  }
+);
+
+/**
+ * @route   POST /zoho-analytics/views/:alias/exports
+ * @desc    Start a bulk export job for a Zoho Analytics view; follow it with the job routes
+ * @access  Access token with export:<alias> scope
+ */
+app.post(
+  '/zoho-analytics/views/:alias/exports',
+  requireAccessToken('export', (req) => req.params.alias),
+  validateRequest,
+  resolveViewAlias('export', (req) => req.params.alias),
+  applyRowPolicy('export'),
+  limitRequests,
+  guardQuota(),
+  async (req, res) => {
+    const { alias, orgId, workspaceId, viewId } = req.view;
+    const format = getExportFormat(req.body.responseFormat || 'csv');
+    let exportConfig;
+    try {
+      exportConfig = buildExportConfig(req, req.body, format);
+    } catch (error) {
+      return sendError(res, errorCodeFor(error), error.message);
+    }
+    const { config, hidden } = exportConfig;
+    if (hidden.length) {
+      return sendError(res, 'BAD_REQUEST', `Column(s) not available on ${alias}: ${hidden.join(', ')}`);
+    }
+
+    try {
+      const bulk = analyticsClient.getBulkInstance(orgId || zohoOrgId, workspaceId);
+      const jobId = await bulk.initiateBulkExport(viewId, format.zohoFormat, config);
+
+      const job = jobRegistry.register({
+        id: jobId,
+        type: 'export',
+        alias,
+        orgId: orgId || zohoOrgId,
+        workspaceId,
+        customer: req.customer,
+        format: req.body.responseFormat || 'csv',
+        columns: config.selectedColumns
+      });
+      logger.info('Started export job', { alias, jobId });
+      res.status(202).json(Object.assign({ jobId }, jobLinks(job, 'queued')));
+    } catch (error) {
+      logger.error('Error exporting data', { alias, err: error });
+      sendClientLibraryError(res, error, 'Error exporting data');
+    }
+  }
+);
+
+/**
+ * @route   GET /zoho-analytics/jobs/:id
+ * @desc    Report the status of a bulk job started through the proxy
+ * @access  Access token with the job's operation scope on its alias (e.g. import:<alias>)
+ */
+app.get('/zoho-analytics/jobs/:id', loadJob, validateRequest, limitRequests, guardQuota(), async (req, res) => {
+  const { job } = req;
+  try {
+    const details = await fetchJobDetails(job);
+    const state = jobState(details);
+
+    res.json(Object.assign({
+      jobId: job.id,
+      type: job.type,
+      alias: job.alias,
+      createdAt: job.createdAt,
+      state,
+      details
+    }, jobLinks(job, state)));
+  } catch (error) {
+    logger.error('Error fetching job status', { jobId: job.id, err: error });
+    sendClientLibraryError(res, error, 'Error fetching job status');
+  }
+});
+
+/**
+ * @route   GET /zoho-analytics/jobs/:id/events
+ * @desc    Stream a bulk job's progress as Server-Sent Events until it completes or fails
+ * @access  Access token with the job's operation scope on its alias; may be sent as ?access_token=
+ */
+app.get('/zoho-analytics/jobs/:id/events', loadJob, validateRequest, limitRequests, guardQuota(), (req, res) => {
+  const { job } = req;
+  let stopWatching = () => {};
+  const stream = openEventStream(req, res, { onClose: () => stopWatching() });
+
+  // Events are named after the job state: queued, in-progress, completed or failed
+  stopWatching = watchJob({
+    fetchDetails: () => fetchJobDetails(job),
+    onUpdate: (state, details) => {
+      const event = state === 'not-found' ? 'failed' : state;
+      stream.send(event, Object.assign({ jobId: job.id, state, details }, jobLinks(job, state)));
+      if (event === 'completed' || event === 'failed') {
+        stream.close();
+      }
+    },
+    onError: (error) => {
+      logger.error('Error polling job', { jobId: job.id, err: error });
+      stream.send('failed', {
+        jobId: job.id,
+        state: 'unknown',
+        error: `Unable to fetch job status: ${error.errorMessage || error.message || error.errorCode}`
+      });
+      stream.close();
+    }
+  });
+});
+
+/**
+ * @route   GET /zoho-analytics/jobs/:id/data
+ * @desc    Download the result of a completed bulk export job, or a typed or paged JSON slice of it
+ * @access  Access token with export:<alias> scope; may be sent as ?access_token=
+ */
+app.get('/zoho-analytics/jobs/:id/data', loadJob, validateRequest, limitRequests, guardQuota(), async (req, res) => {
+  const { job } = req;
+  if (job.type !== 'export') {
+    return sendError(res, 'BAD_REQUEST', `Job ${job.id} is not an export job`);
+  }
+
+  const format = getExportFormat(job.format);
+  const table = req.query.shape === 'table';
+  if (table && format.zohoFormat !== 'json') {
+    return sendError(res, 'BAD_REQUEST', 'shape=table is only available for JSON exports');
+  }
+  const paged = wantsPage(req.query);
+  if (paged && format.zohoFormat !== 'json') {
+    return sendError(res, 'BAD_REQUEST', 'limit, offset, cursor, sort and filter are only available for JSON exports');
+  }
+  const bulk = analyticsClient.getBulkInstance(job.orgId, job.workspaceId);
+  let filePath;
+
+  try {
+    const details = await bulk.getExportJobDetails(job.id);
+    const state = jobState(details);
+    if (state !== 'completed') {
+      return sendError(res, 'CONFLICT', `Job ${job.id} is ${state}`, { details: { state } });
+    }
+
+    // exportBulkData can only write to disk, so stage the result in a temp file
+    filePath = path.join(os.tmpdir(), `zoho-export-${job.id}.${format.extension}`);
+    await bulk.exportBulkData(job.id, filePath);
+  } catch (error) {
+    logger.error('Error downloading export job', { jobId: job.id, err: error });
+    if (filePath) {
+      fs.unlink(filePath, () => {});
+    }
+    return sendClientLibraryError(res, error, 'Error downloading export');
+  }
+
+  if (paged) {
+    try {
+      const view = viewRegistry.get(job.alias);
+      const columnTypes = await columnCatalog.loadColumns(view);
+      const pageQuery = readPageQuery(req, view, columnTypes);
+      const allRows = rowsOf(JSON.parse(await fs.promises.readFile(filePath, 'utf8')));
+      const { rows, hasMore, total } = sliceRows(allRows, pageQuery, columnTypes);
+      return sendPage(req, res, view, {
+        rows,
+        columnTypes,
+        columns: job.columns,
+        limit: pageQuery.limit,
+        offset: pageQuery.offset,
+        hasMore,
+        total
+      });
+    } catch (error) {
+      if (error instanceof PageQueryError) {
+        return sendError(res, 'BAD_REQUEST', error.message);
+      }
+      logger.error('Error paging export result', { jobId: job.id, err: error });
+      return sendClientLibraryError(res, error, 'Error paging export result');
+    } finally {
+      fs.unlink(filePath, () => {});
+    }
+  }
+
+  if (table) {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      return await sendTable(res, viewRegistry.get(job.alias), data, job.columns);
+    } catch (error) {
+      logger.error('Error shaping export result', { jobId: job.id, err: error });
+      return sendClientLibraryError(res, error, 'Error shaping export result');
+    } finally {
+      fs.unlink(filePath, () => {});
+    }
+  }
+
+  res.set('Content-Type', format.contentType);
+  res.set('Content-Disposition', contentDisposition(job.alias, format));
+  fs.createReadStream(filePath)
+    .on('error', (error) => {
+      logger.error('Error streaming export result', error);
+      res.destroy(error);
+    })
+    .on('close', () => fs.unlink(filePath, () => {}))
+    .pipe(res);
+});
+
+/**
+ * @route   GET /zoho-analytics/embed/:alias
+ * @desc    Return a fresh embed URL for a view, filtered by the alias's row policy
+ * @access  Access token with embed:<alias> scope; restricted aliases need a customer-bound token
+ */
+app.get(
+  '/zoho-analytics/embed/:alias',
+  requireAccessToken('embed', (req) => req.params.alias),
+  validateRequest,
+  resolveViewAlias('embed', (req) => req.params.alias),
+  applyRowPolicy('embed'),
+  limitRequests,
+  guardQuota(),
+  async (req, res) => {
+    const { alias, orgId, workspaceId, viewId } = req.view;
+    const { customer } = req;
+
+    // Restricted aliases embed only the caller's rows (see applyRowPolicy)
+    const config = {};
+    if (req.rowCriteria) {
+      config.criteria = req.rowCriteria;
+    }
+
+    try {
+      const view = analyticsClient.getViewInstance(orgId || zohoOrgId, workspaceId, viewId);
+      const embedUrl = await view.getEmbedUrl(config);
+      logger.info('Issued embed URL', { alias, customer });
+      res.set('Cache-Control', 'no-store');
+      res.json({ embedUrl });
+    } catch (error) {
+      logger.error('Error fetching embed URL', { alias, err: error });
+      sendClientLibraryError(res, error, 'Error fetching embed URL');
+    }
+  }
+);
+
+/**
+ * @route   GET /zoho-analytics/subscriptions/:alias
+ * @desc    Stream a view's rows as Server-Sent Events: a snapshot, then only the rows that change
+ * @access  Access token with subscribe:<alias> scope; may be sent as ?access_token=
+ */
+app.get(
+  '/zoho-analytics/subscriptions/:alias',
+  requireAccessToken('subscribe', (req) => req.params.alias),
+  validateRequest,
+  resolveViewAlias('subscribe', (req) => req.params.alias),
+  applyRowPolicy('subscribe'),
+  limitRequests,
+  guardQuota(),
+  (req, res) => {
+    const { alias } = req.view;
+    let unsubscribe = () => {};
+    const stream = openEventStream(req, res, {
+      onClose: () => {
+        unsubscribe();
+        logger.info('Subscriber left', { alias, subscribers: subscriptionHub.subscriberCount(alias) });
+      }
+    });
+
+    unsubscribe = subscriptionHub.subscribe(req.view, (event, data) => stream.send(event, data), {
+      criteria: req.rowCriteria
+    });
+    logger.info('Subscriber joined', { alias, subscribers: subscriptionHub.subscriberCount(alias) });
+  }
+);
+
+// ====================
+// Zoho API Passthrough Middleware
+// ====================
+// Each allowlisted route brings its own auth and, optionally, its own rate limit
+const passthroughLimiters = {};
+passthroughRoutes.routes().forEach((route) => {
+  if (route.rateLimit) {
+    passthroughLimiters[route.name] = createLimiter(`api:${route.name}`, route.rateLimit);
+  }
+});
+const requireApiToken = requireAccessToken('api', (req) => req.passthrough.route.name);
+const guardQuotaCacheable = guardQuota({ cacheable: true });
+const guardQuotaUncached = guardQuota();
+
+const passthroughMiddleware = [
+  (req, res, next) => {
+    try {
+      req.passthrough = passthroughRoutes.match(req.method, req.path.slice('/zoho-analytics/api'.length));
+      next();
+    } catch (error) {
+      if (!(error instanceof PassthroughError)) {
+        return next(error);
+      }
+      logger.warn('Rejected Zoho API passthrough request', { method: req.method, path: req.path, reason: error.message });
+      if (error.allowedMethods.length) {
+        res.set('Allow', error.allowedMethods.join(', '));
+      }
+      sendError(res, errorCodeFor(error), error.message);
+    }
+  },
+  (req, res, next) => (req.passthrough.route.auth === 'token' ? requireApiToken : requireSharedSecret)(req, res, next),
+  validateRequest,
+  (req, res, next) => {
+    const routeLimiter = passthroughLimiters[req.passthrough.route.name];
+    return routeLimiter ? routeLimiter(req, res, next) : next();
+  },
+  limitRequests,
+  (req, res, next) => (req.passthrough.route.cacheTtl ? guardQuotaCacheable : guardQuotaUncached)(req, res, next),
+  ensureZohoAccessToken
+];
+
+// Builds the CONFIG parameter the way the client library does: JSON, URL-encoded.
+// Callers pass it as ?CONFIG=<json>, as plain query parameters or, for writes, as a JSON body.
+function passthroughConfig(req) {
+  let config;
+  if (typeof req.query.CONFIG === 'string') {
+    config = JSON.parse(req.query.CONFIG);
+  } else {
+    config = Object.assign({}, req.query);
+    delete config.access_token;
+  }
+  if (req.method !== 'GET' && req.body && typeof req.body === 'object' && !Array.isArray(req.body)) {
+    config = Object.assign(config, req.body);
+  }
+  return config;
+}
+
+/**
+ * @route   ALL /zoho-analytics/api/*
+ * @desc    Forward an allowlisted request to the Zoho Analytics v2 REST API (/restapi/v2/*)
+ * @access  Per route: access token with api:<route name> scope, or the shared secret as a Bearer header
+ */
+app.all('/zoho-analytics/api/*', passthroughMiddleware, async (req, res) => {
+  const { route, zohoPath } = req.passthrough;
+
+  let config;
+  try {
+    config = passthroughConfig(req);
+  } catch (error) {
+    return sendError(res, 'BAD_REQUEST', `CONFIG must be JSON: ${error.message}`);
+  }
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return sendError(res, 'BAD_REQUEST', 'CONFIG must be a JSON object');
+  }
+
+  const query = Object.keys(config).length ? `?CONFIG=${encodeURIComponent(JSON.stringify(config))}` : '';
+  const apiUrl = `${zohoApiBaseUrl}${zohoPath}${query}`;
+  logger.info('Forwarding Zoho API passthrough request', { route: route.name, method: req.method, path: zohoPath });
+
+  await handleZohoApiRequest(apiUrl, res, req.method, null, {
+    cacheKey: route.cacheTtl ? `api:${zohoPath}${query}` : undefined,
+    ttl: Number(route.cacheTtl),
+    orgId: route.orgId || zohoOrgId
+  });
+});
+
+/**
+ * @route   GET /openapi.json
+ * @desc    OpenAPI 3 document describing every route, its parameters, error shapes and auth
+ * @access  Public
+ */
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+/**
+ * @route   GET /docs
+ * @desc    API documentation rendered from /openapi.json, with a form to try each route
+ * @access  Public
+ */
+app.use('/docs', express.static(path.join(__dirname, 'public', 'docs')));
+
+/**
+ * @route   GET /healthz
+ * @desc    Liveness check; answers as long as the process is serving requests
+ * @access  Public
+ */
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+/**
+ * @route   GET /readyz
+ * @desc    Readiness check; a Zoho token can be obtained (cached, and never spends Zoho API quota)
+ * @access  Public
+ */
+app.get('/readyz', async (req, res) => {
+  if (gracefulShutdown.isShuttingDown()) {
+    return res.status(503).json({ status: 'shutting down' });
+  }
+
+  const { ready, checks } = await checkReadiness();
+  if (!ready) {
+    logger.warn('Readiness check failed', { checks });
+  }
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+});
+
+/**
+ * @route   GET /metrics
+ * @desc    Proxy and upstream metrics in the Prometheus text format
+ * @access  Public, or METRICS_TOKEN as a Bearer header when set
+ */
+app.get('/metrics', serveMetrics(metricsRegistry, { token: metricsToken }));
+
+// ====================
+// Error Handling Middleware
+// ====================
+app.use((err, req, res, next) => {
+  if (err instanceof CorsError) {
+    logger.warn('Rejected CORS request', { origin: err.origin });
+    return sendError(res, 'FORBIDDEN', err.message);
+  }
+  // Errors body-parser and friends raise for malformed requests, e.g. invalid JSON
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    logger.warn('Rejected malformed request', { reason: err.message });
+    return sendError(res, errorCodeFor(err), err.message);
+  }
+
+  logger.error('Unhandled error', err);
+  sendError(res, 'INTERNAL_ERROR', 'Internal Server Error');
+});
+
+// ====================
+// Start the Server
+// ====================
+const PORT = process.env.PORT || 3000;
+const server = app.listen(PORT, () => {
+  logger.info('Zoho Analytics Server is running', { port: PORT });
+});
+
+// Zoho's usage figures are re-read periodically (refreshInterval, in seconds) to correct local counts
+seedQuotaBudget();
+setInterval(seedQuotaBudget, (parseInt(quotaConfig.refreshInterval, 10) || 900) * 1000).unref();
+
+// Heroku sends SIGTERM and allows 30 seconds before SIGKILL
+const gracefulShutdown = installGracefulShutdown(server, {
+  timeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000,
+  onShutdown: () => {
+    // Event streams never finish on their own; EventSource reconnects to a live instance
+    closeAllEventStreams();
+    tokenManager.stop();
+  }
 });
@@ -0,0 +1,3 @@
+// test/setup.js
+// Refused requests are logged as warnings; keep them out of the test report.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,138 @@
+// test/test-access-tokens.js
+const assert = require('assert');
+const express = require('express');
+const lolex = require('lolex');
+const request = require('supertest');
+const { AccessTokenError, bearerToken, createAccessTokens } = require('../lib/access-tokens');
+
+describe('access tokens', () => {
+  const tokens = createAccessTokens({ secret: 'test-secret', defaultTtl: 60, maxTtl: 600 });
+
+  describe('issue and verify', () => {
+    it('round-trips scopes, subject and extra claims', () => {
+      const { token, expiresAt } = tokens.issue({ scopes: ['report:sales'], subject: 'web', claims: { customer: 'c1' } });
+      const claims = tokens.verify(token);
+      assert.deepEqual(claims.scope, ['report:sales']);
+      assert.equal(claims.sub, 'web');
+      assert.equal(claims.customer, 'c1');
+      assert.equal(new Date(claims.exp * 1000).toISOString(), expiresAt);
+    });
+
+    it('refuses malformed scopes', () => {
+      assert.throws(() => tokens.issue({ scopes: [] }), AccessTokenError);
+      assert.throws(() => tokens.issue({ scopes: ['report'] }), /scopes must be/);
+      assert.throws(() => tokens.issue({ scopes: ['report:a b'] }), /scopes must be/);
+    });
+
+    it('refuses tokens signed with another secret', () => {
+      const { token } = createAccessTokens({ secret: 'other' }).issue({ scopes: ['report:sales'] });
+      assert.throws(() => tokens.verify(token), /Invalid access token signature/);
+    });
+
+    it('refuses tokens whose claims were changed', () => {
+      const { token } = tokens.issue({ scopes: ['report:sales'] });
+      const [header, payload, signature] = token.split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+      claims.scope = ['report:*'];
+      const forged = Buffer.from(JSON.stringify(claims)).toString('base64').replace(/=+$/, '');
+      assert.throws(() => tokens.verify(`${header}.${forged}.${signature}`), /Invalid access token signature/);
+    });
+
+    it('refuses malformed tokens', () => {
+      assert.throws(() => tokens.verify('not-a-token'), /Malformed access token/);
+      assert.throws(() => tokens.verify(undefined), /Malformed access token/);
+    });
+  });
+
+  describe('expiry', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = lolex.install(Date.now(), ['Date']);
+    });
+
+    afterEach(() => {
+      clock.uninstall();
+    });
+
+    it('uses the default lifetime when none is asked for', () => {
+      const { token } = tokens.issue({ scopes: ['report:sales'] });
+      clock.tick(59 * 1000);
+      assert.ok(tokens.verify(token));
+      clock.tick(1000);
+      assert.throws(() => tokens.verify(token), /Access token has expired/);
+    });
+
+    it('caps the lifetime at maxTtl', () => {
+      const { token } = tokens.issue({ scopes: ['report:sales'], ttl: 86400 });
+      clock.tick(600 * 1000);
+      assert.throws(() => tokens.verify(token), /Access token has expired/);
+    });
+  });
+
+  describe('scope matching', () => {
+    const claims = { scope: ['report:sales', 'export:*'] };
+
+    it('allows an exact operation and resource', () => {
+      assert.equal(tokens.allows(claims, 'report', 'sales'), true);
+      assert.equal(tokens.allows(claims, 'report', 'orders'), false);
+    });
+
+    it('allows any resource with a wildcard', () => {
+      assert.equal(tokens.allows(claims, 'export', 'orders'), true);
+    });
+
+    it('does not let one operation stand for another', () => {
+      assert.equal(tokens.allows(claims, 'delete', 'sales'), false);
+      assert.equal(tokens.allows({}, 'report', 'sales'), false);
+    });
+  });
+
+  describe('bearerToken', () => {
+    const req = (method, authorization, query = {}) => ({ method, headers: { authorization }, query });
+
+    it('reads the Authorization header', () => {
+      assert.equal(bearerToken(req('POST', 'Bearer abc')), 'abc');
+      assert.equal(bearerToken(req('POST', 'Basic abc')), null);
+    });
+
+    it('falls back to ?access_token= on GET only', () => {
+      assert.equal(bearerToken(req('GET', undefined, { access_token: 'abc' })), 'abc');
+      assert.equal(bearerToken(req('POST', undefined, { access_token: 'abc' })), null);
+    });
+
+    it('ignores the query string for shared secrets', () => {
+      assert.equal(bearerToken(req('GET', undefined, { access_token: 'abc' }), { query: false }), null);
+      assert.equal(bearerToken(req('GET', 'Bearer abc'), { query: false }), 'abc');
+    });
+  });
+
+  describe('requireAccessToken', () => {
+    const app = express();
+    app.get('/reports/:alias', tokens.requireAccessToken('report', (req) => req.params.alias), (req, res) => {
+      res.json({ sub: req.accessToken.sub });
+    });
+
+    it('answers 401 without a token', () => request(app)
+      .get('/reports/sales')
+      .expect(401)
+      .expect('WWW-Authenticate', /invalid_token/)
+      .then((res) => assert.equal(res.body.error.code, 'UNAUTHENTICATED')));
+
+    it('answers 403 when the token lacks the scope', () => {
+      const { token } = tokens.issue({ scopes: ['report:orders'] });
+      return request(app)
+        .get('/reports/sales')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403)
+        .then((res) => assert.equal(res.body.error.code, 'FORBIDDEN'));
+    });
+
+    it('exposes the claims of a valid token', () => {
+      const { token } = tokens.issue({ scopes: ['report:sales'], subject: 'web' });
+      return request(app)
+        .get(`/reports/sales?access_token=${token}`)
+        .expect(200, { sub: 'web' });
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// test/test-bulk-jobs.js
+const assert = require('assert');
+const { errorCodeFor } = require('../lib/errors');
+const { jobState, waitForExportJob } = require('../lib/bulk-jobs');
+
+// A BulkAPI stand-in answering getExportJobDetails with each of `codes` in turn
+const bulkAnswering = (...codes) => ({
+  calls: 0,
+  getExportJobDetails() {
+    const jobCode = codes[Math.min(this.calls, codes.length - 1)];
+    this.calls += 1;
+    return Promise.resolve({ jobCode, jobStatus: `code ${jobCode}` });
+  }
+});
+
+const rejection = (promise) => promise.then(() => {
+  throw new Error('the job did not fail');
+}, (error) => error);
+
+describe('bulk jobs', () => {
+  it('maps Zoho job codes to proxy states', () => {
+    assert.equal(jobState({ jobCode: 1004 }), 'completed');
+    assert.equal(jobState({ jobCode: '1003' }), 'failed');
+    assert.equal(jobState({}), 'in-progress');
+  });
+
+  it('polls until the export job completes', () => {
+    const bulk = bulkAnswering('1001', '1002', '1004');
+    return waitForExportJob(bulk, 'J1', { intervalMs: 1 }).then((details) => {
+      assert.equal(details.jobCode, '1004');
+      assert.equal(bulk.calls, 3);
+    });
+  });
+
+  it('fails a failed or missing job as ZOHO_UNAVAILABLE', () => Promise.all([
+    rejection(waitForExportJob(bulkAnswering('1003'), 'J1')),
+    rejection(waitForExportJob(bulkAnswering('1005'), 'J2'))
+  ]).then((errors) => errors.forEach((error) => {
+    assert.equal(error.status, 502);
+    assert.equal(errorCodeFor(error), 'ZOHO_UNAVAILABLE');
+  })));
+
+  it('fails a job that outlives the timeout as ZOHO_TIMEOUT', () => rejection(waitForExportJob(bulkAnswering('1002'), 'J1', {
+    intervalMs: 5,
+    timeoutMs: 12
+  })).then((error) => {
+    assert.equal(error.status, 504);
+    assert.equal(errorCodeFor(error), 'ZOHO_TIMEOUT');
+    assert.ok(/did not complete within 12ms/.test(error.message));
+  }));
+});
@@ -0,0 +1,91 @@
+// test/test-circuit-breaker.js
+const assert = require('assert');
+const lolex = require('lolex');
+const { CircuitBreaker, CircuitOpenError, STATES, createCircuitBreakers } = require('../lib/circuit-breaker');
+
+describe('circuit breaker', () => {
+  let clock;
+  let breaker;
+  let changes;
+
+  beforeEach(() => {
+    clock = lolex.install(Date.now(), ['Date']);
+    changes = [];
+    breaker = new CircuitBreaker('zoho', {
+      failureThreshold: 2,
+      cooldownMs: 1000,
+      onStateChange: (host, state) => changes.push(state)
+    });
+  });
+
+  afterEach(() => {
+    clock.uninstall();
+  });
+
+  const fail = () => {
+    breaker.acquire();
+    breaker.recordFailure();
+  };
+
+  it('opens after consecutive failures and fails fast while cooling down', () => {
+    fail();
+    assert.equal(breaker.state, STATES.CLOSED);
+    fail();
+    assert.equal(breaker.state, STATES.OPEN);
+
+    clock.tick(400);
+    assert.throws(() => breaker.acquire(), (error) => (
+      error instanceof CircuitOpenError && error.status === 503 && error.code === 'UPSTREAM_UNAVAILABLE' && error.retryAfterMs === 600
+    ));
+  });
+
+  it('counts only consecutive failures', () => {
+    fail();
+    breaker.acquire();
+    breaker.recordSuccess();
+    fail();
+    assert.equal(breaker.state, STATES.CLOSED);
+  });
+
+  it('lets one probe through after the cooldown and closes on its success', () => {
+    fail();
+    fail();
+    clock.tick(1000);
+    breaker.acquire();
+    assert.equal(breaker.state, STATES.HALF_OPEN);
+    assert.throws(() => breaker.acquire(), CircuitOpenError);
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, STATES.CLOSED);
+    assert.deepEqual(changes, [STATES.OPEN, STATES.HALF_OPEN, STATES.CLOSED]);
+    breaker.acquire();
+  });
+
+  it('opens again for another cooldown when the probe fails', () => {
+    fail();
+    fail();
+    clock.tick(1000);
+    fail();
+    assert.equal(breaker.state, STATES.OPEN);
+    clock.tick(999);
+    assert.throws(() => breaker.acquire(), CircuitOpenError);
+    clock.tick(1);
+    breaker.acquire();
+    assert.equal(breaker.state, STATES.HALF_OPEN);
+  });
+
+  it('stays open when a request sent before it opened succeeds', () => {
+    breaker.acquire();
+    fail();
+    fail();
+    breaker.recordSuccess();
+    assert.equal(breaker.state, STATES.OPEN);
+  });
+
+  it('keeps one breaker per host', () => {
+    const breakers = createCircuitBreakers({ failureThreshold: 1 });
+    breakers.forHost('a').recordFailure();
+    assert.equal(breakers.forHost('a').state, STATES.OPEN);
+    assert.equal(breakers.forHost('b').state, STATES.CLOSED);
+  });
+});
@@ -0,0 +1,94 @@
+// test/test-cors-policy.js
+const assert = require('assert');
+const cors = require('cors');
+const express = require('express');
+const request = require('supertest');
+const { CorsError, createCorsPolicy } = require('../lib/cors-policy');
+
+const policy = createCorsPolicy({
+  origins: 'https://www.example.com, https://*.example.com, http://localhost:*, *.partner.test',
+  routes: [{ path: '/views/*', methods: ['post', 'DELETE'], origins: ['https://admin.example.com'] }]
+});
+
+function appFor(corsPolicy) {
+  const app = express();
+  const delegate = corsPolicy.corsOptionsDelegate({ methods: ['GET', 'POST'], credentials: true, optionsSuccessStatus: 204 });
+  app.use(cors(delegate));
+  app.options('*', cors(delegate));
+  app.all('*', (req, res) => res.json({ ok: true }));
+  app.use((error, req, res, next) => res.status(error.status || 500).json({ error: error.name }));
+  return app;
+}
+
+describe('CORS policy', () => {
+  describe('isOriginAllowed', () => {
+    it('matches exact origins, subdomain wildcards and port wildcards', () => {
+      assert.equal(policy.isOriginAllowed('https://www.example.com', 'GET', '/export'), true);
+      assert.equal(policy.isOriginAllowed('https://a.b.example.com', 'GET', '/export'), true);
+      assert.equal(policy.isOriginAllowed('http://localhost:8080', 'GET', '/export'), true);
+      assert.equal(policy.isOriginAllowed('https://shop.partner.test', 'GET', '/export'), true);
+      assert.equal(policy.isOriginAllowed('HTTPS://WWW.EXAMPLE.COM', 'GET', '/export'), true);
+    });
+
+    it('refuses look-alike hosts, other schemes and named ports', () => {
+      assert.equal(policy.isOriginAllowed('https://example.com', 'GET', '/export'), false);
+      assert.equal(policy.isOriginAllowed('https://evilexample.com', 'GET', '/export'), false);
+      assert.equal(policy.isOriginAllowed('https://www.example.com.evil.test', 'GET', '/export'), false);
+      assert.equal(policy.isOriginAllowed('http://www.example.com', 'GET', '/export'), false);
+      assert.equal(policy.isOriginAllowed('http://localhost:evil', 'GET', '/export'), false);
+    });
+
+    it('lets a matching route rule replace the global list', () => {
+      assert.equal(policy.isOriginAllowed('https://www.example.com', 'POST', '/views/sales/rows'), false);
+      assert.equal(policy.isOriginAllowed('https://admin.example.com', 'POST', '/views/sales/rows'), true);
+      assert.equal(policy.isOriginAllowed('https://www.example.com', 'GET', '/views/sales/rows'), true);
+    });
+
+    it('requires a path and origins for each route rule', () => {
+      assert.throws(() => createCorsPolicy({ routes: [{ path: '/views/*' }] }), /needs a path and an origins list/);
+    });
+  });
+
+  describe('corsOptionsDelegate', () => {
+    const app = appFor(policy);
+
+    it('allows credentials for origins listed without a host wildcard', () => request(app)
+      .get('/export')
+      .set('Origin', 'https://www.example.com')
+      .expect('Access-Control-Allow-Origin', 'https://www.example.com')
+      .expect('Access-Control-Allow-Credentials', 'true')
+      .expect(200));
+
+    it('allows wildcard-host origins without credentials', () => request(app)
+      .get('/export')
+      .set('Origin', 'https://shop.example.com')
+      .expect('Access-Control-Allow-Origin', 'https://shop.example.com')
+      .expect(200)
+      .then((res) => assert.equal(res.headers['access-control-allow-credentials'], undefined)));
+
+    it('checks preflights against the method that will follow', () => request(app)
+      .options('/views/sales/rows')
+      .set('Origin', 'https://www.example.com')
+      .set('Access-Control-Request-Method', 'DELETE')
+      .expect(403, { error: 'CorsError' })
+      .then(() => request(app)
+        .options('/views/sales/rows')
+        .set('Origin', 'https://admin.example.com')
+        .set('Access-Control-Request-Method', 'DELETE')
+        .expect('Access-Control-Allow-Origin', 'https://admin.example.com')
+        .expect(204)));
+
+    it('passes requests without an Origin', () => request(app).get('/export').expect(200));
+
+    it('refuses other origins with a CorsError', () => {
+      const delegate = policy.corsOptionsDelegate({});
+      let refusal;
+      delegate({ method: 'GET', path: '/export', headers: { origin: 'https://evil.test' } }, (error) => {
+        refusal = error;
+      });
+      assert.ok(refusal instanceof CorsError);
+      assert.equal(refusal.status, 403);
+      assert.equal(refusal.origin, 'https://evil.test');
+    });
+  });
+});
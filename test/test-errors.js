@@ -0,0 +1,51 @@
+// test/test-errors.js
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+const { ERROR_CODES, errorCodeFor, sendError, zohoError } = require('../lib/errors');
+
+const withStatus = (status, code) => Object.assign(new Error('failed'), { status, code });
+
+describe('errors', () => {
+  describe('errorCodeFor', () => {
+    it('keeps an error\'s own proxy code', () => {
+      assert.equal(errorCodeFor(withStatus(502, 'ZOHO_AUTH_FAILED')), 'ZOHO_AUTH_FAILED');
+    });
+
+    it('maps upstream failures and timeouts to retryable codes', () => {
+      assert.equal(errorCodeFor(withStatus(502)), 'ZOHO_UNAVAILABLE');
+      assert.equal(errorCodeFor(withStatus(504)), 'ZOHO_TIMEOUT');
+      assert.equal(ERROR_CODES.ZOHO_UNAVAILABLE.retryable, true);
+      assert.equal(ERROR_CODES.ZOHO_TIMEOUT.status, 504);
+      assert.equal(ERROR_CODES.ZOHO_TIMEOUT.retryable, true);
+    });
+
+    it('falls back to INTERNAL_ERROR for unknown codes and statuses', () => {
+      assert.equal(errorCodeFor(withStatus(undefined, 'ECONNRESET')), 'INTERNAL_ERROR');
+      assert.equal(errorCodeFor(withStatus(418)), 'INTERNAL_ERROR');
+      assert.equal(errorCodeFor(undefined), 'INTERNAL_ERROR');
+    });
+  });
+
+  describe('sendError', () => {
+    it('answers a timed-out job with a retryable 504', () => {
+      const app = express();
+      app.get('/', (req, res) => sendError(res, errorCodeFor(withStatus(504)), 'Export job J1 did not complete within 1500ms'));
+      return request(app)
+        .get('/')
+        .expect(504)
+        .then((res) => {
+          assert.equal(res.body.error.code, 'ZOHO_TIMEOUT');
+          assert.equal(res.body.error.retryable, true);
+        });
+    });
+  });
+
+  describe('zohoError', () => {
+    it('maps known Zoho error codes before HTTP statuses', () => {
+      assert.equal(zohoError(400, { data: { errorCode: 7138, errorMessage: 'View not found' } }).code, 'ZOHO_NOT_FOUND');
+      assert.equal(zohoError(503, { data: {} }).code, 'ZOHO_UNAVAILABLE');
+      assert.equal(zohoError(418, {}).code, 'ZOHO_ERROR');
+    });
+  });
+});
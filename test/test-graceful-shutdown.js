@@ -0,0 +1,130 @@
+// test/test-graceful-shutdown.js
+const assert = require('assert');
+const express = require('express');
+const http = require('http');
+const request = require('supertest');
+const { installGracefulShutdown } = require('../lib/graceful-shutdown');
+const { logger } = require('../lib/logger');
+const { closeAllEventStreams, openEventStream } = require('../lib/sse');
+
+const SIGNAL = 'SIGUSR2';
+
+describe('graceful shutdown', () => {
+  let exit;
+  let logError;
+  let exitCode;
+  let exited;
+  let server;
+  let shutdown;
+  let listeners;
+
+  // Serves a slow route, an event stream and /readyz wired as in server.js
+  function start(options) {
+    const app = express();
+    app.get('/slow', (req, res) => setTimeout(() => res.json({ done: true }), 100));
+    app.get('/events', (req, res) => openEventStream(req, res).send('ready', {}));
+    app.get('/readyz', (req, res) => {
+      if (shutdown.isShuttingDown()) {
+        return res.status(503).json({ status: 'shutting down' });
+      }
+      res.json({ status: 'ready' });
+    });
+
+    listeners = process.listeners(SIGNAL);
+    server = http.createServer(app);
+    shutdown = installGracefulShutdown(server, Object.assign({ signals: [SIGNAL] }, options));
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(app)));
+  }
+
+  // Resolves with the response to a GET once its headers arrive
+  const get = (path) => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path }, resolve).on('error', reject);
+  });
+
+  // Resolves with the body received by the time the connection ends or is cut
+  const body = (res) => new Promise((resolve) => {
+    let data = '';
+    res.on('data', (chunk) => {
+      data += chunk;
+    });
+    res.on('close', () => resolve(data));
+  });
+
+  beforeEach(() => {
+    // The deadline is logged as an error; it is expected here
+    logError = logger.error;
+    logger.error = () => {};
+    exit = process.exit;
+    exitCode = undefined;
+    exited = new Promise((resolve) => {
+      process.exit = (code) => {
+        exitCode = code;
+        resolve(code);
+      };
+    });
+  });
+
+  afterEach(() => {
+    logger.error = logError;
+    process.exit = exit;
+    process.listeners(SIGNAL).filter((listener) => listeners.indexOf(listener) === -1)
+      .forEach((listener) => process.removeListener(SIGNAL, listener));
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('reports not ready once shutdown starts', () => start().then((app) => request(app)
+    .get('/readyz')
+    .expect(200)
+    .then(() => {
+      process.emit(SIGNAL);
+      assert.equal(shutdown.isShuttingDown(), true);
+      return request(app).get('/readyz').expect(503, { status: 'shutting down' });
+    })));
+
+  it('lets in-flight requests finish before exiting with 0', () => {
+    let onShutdownCalls = 0;
+    return start({ onShutdown: () => { onShutdownCalls += 1; } })
+      .then(() => {
+        const slow = get('/slow');
+        setTimeout(() => {
+          process.emit(SIGNAL);
+          process.emit(SIGNAL);
+        }, 20);
+        return slow;
+      })
+      .then((res) => {
+        assert.equal(exitCode, undefined);
+        return body(res);
+      })
+      .then((data) => {
+        assert.deepEqual(JSON.parse(data), { done: true });
+        return exited;
+      })
+      .then((code) => {
+        assert.equal(code, 0);
+        assert.equal(onShutdownCalls, 1);
+      });
+  });
+
+  it('ends event streams through onShutdown so the server can drain', () => start({ onShutdown: closeAllEventStreams })
+    .then(() => get('/events'))
+    .then((res) => {
+      const ended = body(res);
+      process.emit(SIGNAL);
+      return Promise.all([ended, exited]);
+    })
+    .then(([data, code]) => {
+      assert.ok(data.indexOf('event: ready') !== -1);
+      assert.equal(code, 0);
+    }));
+
+  it('cuts connections still open at the deadline and exits with 1', () => start({ timeoutMs: 100 })
+    .then(() => get('/events'))
+    .then((res) => {
+      const ended = body(res);
+      process.emit(SIGNAL);
+      return Promise.all([ended, exited]);
+    })
+    .then(([, code]) => assert.equal(code, 1)));
+});
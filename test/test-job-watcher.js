@@ -0,0 +1,126 @@
+// test/test-job-watcher.js
+const assert = require('assert');
+const lolex = require('lolex');
+const { watchJob } = require('../lib/job-watcher');
+
+// Lets pending promise callbacks run; setImmediate is not faked
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('job watcher', () => {
+  let clock;
+  let updates;
+  let errors;
+  let polls;
+
+  beforeEach(() => {
+    clock = lolex.install(Date.now(), ['setTimeout', 'clearTimeout', 'Date']);
+    updates = [];
+    errors = [];
+    polls = 0;
+  });
+
+  afterEach(() => {
+    clock.uninstall();
+  });
+
+  // Watches a job whose polls answer with each of `answers` in turn; Errors are thrown
+  const watch = (answers, options = {}) => watchJob(Object.assign({
+    fetchDetails: () => {
+      const answer = answers[Math.min(polls, answers.length - 1)];
+      polls += 1;
+      return answer instanceof Error ? Promise.reject(answer) : Promise.resolve({ jobCode: answer });
+    },
+    onUpdate: (state) => updates.push(state),
+    onError: (error) => errors.push(error.message),
+    minIntervalMs: 1000,
+    maxIntervalMs: 2000,
+    factor: 1.5
+  }, options));
+
+  it('reports the first state and each change until the job finishes', () => {
+    watch(['1001', '1002', '1002', '1004']);
+    return flush()
+      .then(() => {
+        assert.deepEqual(updates, ['queued']);
+        clock.tick(1000);
+        return flush();
+      })
+      .then(() => {
+        clock.tick(1500);
+        return flush();
+      })
+      .then(() => {
+        assert.deepEqual(updates, ['queued', 'in-progress']);
+        assert.equal(polls, 3);
+        clock.tick(2000);
+        return flush();
+      })
+      .then(() => {
+        assert.deepEqual(updates, ['queued', 'in-progress', 'completed']);
+        clock.tick(60000);
+        assert.equal(polls, 4);
+      });
+  });
+
+  it('backs off between polls up to the maximum interval', () => {
+    watch(['1002']);
+    return flush()
+      .then(() => {
+        clock.tick(999);
+        assert.equal(polls, 1);
+        clock.tick(1);
+        return flush();
+      })
+      .then(() => {
+        clock.tick(1499);
+        assert.equal(polls, 2);
+        clock.tick(1);
+        return flush();
+      })
+      .then(() => {
+        assert.equal(polls, 3);
+        clock.tick(2000);
+        return flush();
+      })
+      .then(() => assert.equal(polls, 4));
+  });
+
+  it('gives up after consecutive failed polls and reports the last error', () => {
+    watch([new Error('e1'), new Error('e2')], { maxErrors: 2 });
+    return flush()
+      .then(() => {
+        assert.deepEqual(errors, []);
+        clock.tick(1000);
+        return flush();
+      })
+      .then(() => {
+        assert.deepEqual(errors, ['e2']);
+        clock.tick(60000);
+        assert.equal(polls, 2);
+      });
+  });
+
+  it('forgives failed polls once one succeeds', () => {
+    watch([new Error('e1'), '1002', new Error('e2'), '1004'], { maxErrors: 2 });
+    let chain = flush();
+    [1000, 1500, 2000].forEach((ms) => {
+      chain = chain.then(() => {
+        clock.tick(ms);
+        return flush();
+      });
+    });
+    return chain.then(() => {
+      assert.deepEqual(errors, []);
+      assert.deepEqual(updates, ['in-progress', 'completed']);
+    });
+  });
+
+  it('stops polling when stopped', () => {
+    const stop = watch(['1002']);
+    return flush().then(() => {
+      stop();
+      clock.tick(60000);
+      assert.equal(polls, 1);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// test/test-metrics.js
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+const { Registry, routeLabels, serveMetrics } = require('../lib/metrics');
+
+describe('metrics', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new Registry();
+  });
+
+  describe('Prometheus output', () => {
+    it('renders counters with escaped labels in the declared order', () => {
+      const counter = registry.counter({ name: 'hits_total', help: 'Hits', labelNames: ['route', 'alias'] });
+      counter.inc({ alias: 'sales', route: '/a' });
+      counter.inc({ route: '/a', alias: 'sales' }, 2);
+      counter.inc({ route: 'say "hi"\n', extra: 'dropped' });
+      assert.equal(registry.render(), [
+        '# HELP hits_total Hits',
+        '# TYPE hits_total counter',
+        'hits_total{route="/a",alias="sales"} 3',
+        'hits_total{route="say \\"hi\\"\\n",alias=""} 1',
+        ''
+      ].join('\n'));
+    });
+
+    it('renders unlabelled gauges as 0 until they are set', () => {
+      const gauge = registry.gauge({ name: 'in_flight', help: 'In flight' });
+      assert.ok(registry.render().indexOf('\nin_flight 0\n') !== -1);
+      gauge.inc();
+      gauge.inc();
+      gauge.dec();
+      assert.ok(registry.render().indexOf('\nin_flight 1\n') !== -1);
+    });
+
+    it('renders histograms as cumulative buckets with a sum and count', () => {
+      const histogram = registry.histogram({ name: 'duration_seconds', help: 'Duration', labelNames: ['status'], buckets: [1, 0.1] });
+      histogram.observe({ status: 200 }, 0.05);
+      histogram.observe({ status: 200 }, 0.5);
+      histogram.observe({ status: 200 }, 2);
+      assert.deepEqual(registry.render().split('\n').slice(2, 7), [
+        'duration_seconds_bucket{status="200",le="0.1"} 1',
+        'duration_seconds_bucket{status="200",le="1"} 2',
+        'duration_seconds_bucket{status="200",le="+Inf"} 3',
+        'duration_seconds_sum{status="200"} 2.55',
+        'duration_seconds_count{status="200"} 3'
+      ]);
+    });
+
+    it('labels requests by the matched route pattern, never the raw URL', () => {
+      assert.deepEqual(routeLabels({ baseUrl: '/zoho-analytics', route: { path: '/jobs/:id' }, job: { alias: 'sales' } }), {
+        route: '/zoho-analytics/jobs/:id',
+        alias: 'sales'
+      });
+      assert.deepEqual(routeLabels({ url: '/jobs/123' }), { route: 'unmatched', alias: '' });
+    });
+  });
+
+  describe('serveMetrics', () => {
+    const appFor = (token) => {
+      registry.counter({ name: 'hits_total', help: 'Hits' }).inc();
+      const app = express();
+      app.get('/metrics', serveMetrics(registry, { token }));
+      return app;
+    };
+
+    it('serves the registry in the Prometheus text format', () => request(appFor())
+      .get('/metrics')
+      .expect('Content-Type', /^text\/plain; .*version=0.0.4/)
+      .expect(200)
+      .then((res) => assert.ok(res.text.indexOf('hits_total 1') !== -1)));
+
+    it('requires the bearer token when one is configured', () => {
+      const app = appFor('scrape-secret');
+      return request(app)
+        .get('/metrics')
+        .expect(401)
+        .then((res) => {
+          assert.equal(res.body.error.code, 'UNAUTHENTICATED');
+          return request(app).get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+        })
+        .then(() => request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret').expect(200));
+    });
+
+    it('never reads the token from the query string', () => request(appFor('scrape-secret'))
+      .get('/metrics?access_token=scrape-secret')
+      .expect(401));
+  });
+});
@@ -0,0 +1,97 @@
+// test/test-named-queries.js
+const assert = require('assert');
+const { QueryParameterError, bindNamedQuery, loadNamedQueries } = require('../lib/named-queries');
+
+describe('named queries', () => {
+  const queries = loadNamedQueries({
+    'top-skus': {
+      workspaceId: 'w1',
+      sql: 'SELECT "SKU" FROM "Sales" WHERE "Region" = :region AND "Units" > :minUnits AND "Note" = \':region\' LIMIT :top',
+      params: {
+        region: { type: 'string', maxLength: 10 },
+        minUnits: { type: 'number', default: 0 },
+        top: { type: 'integer', required: false }
+      },
+      shared: true
+    },
+    'by-day': {
+      workspaceId: 'w1',
+      sql: 'SELECT * FROM "Sales" WHERE "Day" = :day AND "Open" = :open',
+      params: { day: { type: 'date' }, open: { type: 'boolean' } }
+    },
+    'my-orders': {
+      workspaceId: 'w1',
+      sql: 'SELECT * FROM "Orders" WHERE "Customer Id" = :customer'
+    }
+  });
+
+  describe('loadNamedQueries', () => {
+    it('marks queries using :customer as restricted', () => {
+      assert.equal(queries['my-orders'].restricted, true);
+      assert.equal(queries['top-skus'].restricted, false);
+      assert.equal(queries['top-skus'].shared, true);
+      assert.equal(queries['by-day'].shared, false);
+    });
+
+    it('refuses undeclared placeholders', () => {
+      assert.throws(() => loadNamedQueries({ q: { workspaceId: 'w1', sql: 'SELECT * FROM "T" WHERE "A" = :a' } }), /undeclared parameter ":a"/);
+    });
+
+    it('refuses a declared :customer parameter', () => {
+      assert.throws(() => loadNamedQueries({
+        q: { workspaceId: 'w1', sql: 'SELECT * FROM "T" WHERE "A" = :customer', params: { customer: {} } }
+      }), /bound from the caller's identity/);
+    });
+
+    it('refuses shared queries that read per-customer rows', () => {
+      assert.throws(() => loadNamedQueries({
+        q: { workspaceId: 'w1', sql: 'SELECT * FROM "T" WHERE "A" = :customer', shared: true }
+      }), /cannot be shared/);
+    });
+  });
+
+  describe('bindNamedQuery', () => {
+    it('substitutes typed literals and leaves quoted text alone', () => {
+      assert.equal(
+        bindNamedQuery(queries['top-skus'], { region: 'East', minUnits: '5', top: 10 }),
+        'SELECT "SKU" FROM "Sales" WHERE "Region" = \'East\' AND "Units" > 5 AND "Note" = \':region\' LIMIT 10'
+      );
+    });
+
+    it('uses defaults and NULL for optional parameters', () => {
+      assert.equal(
+        bindNamedQuery(queries['top-skus'], { region: 'East' }),
+        'SELECT "SKU" FROM "Sales" WHERE "Region" = \'East\' AND "Units" > 0 AND "Note" = \':region\' LIMIT NULL'
+      );
+    });
+
+    it('quotes string values so they cannot inject SQL', () => {
+      const sql = bindNamedQuery(queries['top-skus'], { region: 'x\' OR 1=1' });
+      assert.ok(sql.indexOf('"Region" = \'x\'\' OR 1=1\' AND') !== -1);
+    });
+
+    it('checks types, lengths and required parameters', () => {
+      assert.throws(() => bindNamedQuery(queries['top-skus'], { region: 'East', minUnits: 'many' }), /must be a number/);
+      assert.throws(() => bindNamedQuery(queries['top-skus'], { region: 'East', top: 1.5 }), /must be an integer/);
+      assert.throws(() => bindNamedQuery(queries['top-skus'], { region: 'a-very-long-region' }), /at most 10 characters/);
+      assert.throws(() => bindNamedQuery(queries['top-skus'], {}), /Missing required parameter "region"/);
+      assert.throws(() => bindNamedQuery(queries['by-day'], { day: 'today', open: true }), /YYYY-MM-DD/);
+      assert.throws(() => bindNamedQuery(queries['by-day'], { day: '2024-01-31', open: 'yes' }), /must be a boolean/);
+    });
+
+    it('refuses unknown and non-scalar parameters', () => {
+      assert.throws(() => bindNamedQuery(queries['top-skus'], { region: 'East', sku: 'A1' }), QueryParameterError);
+      assert.throws(() => bindNamedQuery(queries['top-skus'], { region: ['East'] }), /must be a scalar value/);
+      assert.throws(() => bindNamedQuery(queries['top-skus'], 'region=East'), /params must be an object/);
+    });
+
+    it('binds :customer from the caller\'s identity only', () => {
+      assert.equal(
+        bindNamedQuery(queries['my-orders'], {}, 'c\'1'),
+        'SELECT * FROM "Orders" WHERE "Customer Id" = \'c\'\'1\''
+      );
+      assert.throws(() => bindNamedQuery(queries['my-orders'], {}), /needs a customer identity/);
+      assert.throws(() => bindNamedQuery(queries['my-orders'], { customer: 'c2' }, 'c1'), /Unknown parameter/);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// test/test-pagination.js
+const assert = require('assert');
+const {
+  PageQueryError,
+  filterCriteria,
+  filterRows,
+  pageLinks,
+  pageSql,
+  parsePageQuery,
+  sortRows,
+  wantsPage
+} = require('../lib/pagination');
+
+const columnTypes = new Map([['SKU', 'PLAIN'], ['Units', 'NUMBER'], ['Revenue', 'CURRENCY'], ['Secret', 'PLAIN']]);
+const options = { columnTypes, columns: ['SKU', 'Units', 'Revenue'], rename: { Units: 'units' }, defaultLimit: 2, maxLimit: 10 };
+const cursorOf = (link, rel) => new RegExp(`cursor=([^&>]+)>; rel="${rel}"`).exec(link)[1];
+
+describe('pagination', () => {
+  describe('cursors', () => {
+    it('lead from one page to the next', () => {
+      const { page, link } = pageLinks('/zoho-analytics/export', new URLSearchParams('alias=sales&limit=2'), {
+        limit: 2,
+        offset: 0,
+        count: 2,
+        hasMore: true,
+        total: 5
+      });
+      assert.equal(page.nextCursor, cursorOf(link, 'next'));
+      assert.equal(parsePageQuery({ cursor: page.nextCursor }, options).offset, 2);
+      assert.equal(parsePageQuery({ cursor: cursorOf(link, 'last') }, options).offset, 4);
+    });
+
+    it('link back to the previous page and drop the offset and access token', () => {
+      const { page, link } = pageLinks('/zoho-analytics/export', new URLSearchParams('alias=sales&offset=4&access_token=t'), {
+        limit: 2,
+        offset: 4,
+        count: 1,
+        hasMore: false,
+        total: 5
+      });
+      assert.equal(page.nextCursor, null);
+      assert.ok(link.indexOf('</zoho-analytics/export?alias=sales>; rel="first"') !== -1);
+      assert.equal(parsePageQuery({ cursor: cursorOf(link, 'prev') }, options).offset, 2);
+      assert.equal(/access_token|offset=|rel="next"/.test(link), false);
+    });
+
+    it('omit the last link when the total is unknown', () => {
+      const { link } = pageLinks('/p', new URLSearchParams(), { limit: 2, offset: 0, count: 2, hasMore: true, total: null });
+      assert.equal(/rel="last"/.test(link), false);
+    });
+
+    it('refuse tampered cursors', () => {
+      const forged = Buffer.from(JSON.stringify({ offset: -1 })).toString('base64url');
+      assert.throws(() => parsePageQuery({ cursor: forged }, options), /cursor is invalid/);
+      assert.throws(() => parsePageQuery({ cursor: 'not base64 json' }, options), PageQueryError);
+      assert.throws(() => parsePageQuery({ cursor: forged, offset: '2' }, options), /either offset or cursor/);
+    });
+  });
+
+  describe('parsePageQuery', () => {
+    it('reads limits, renamed sort columns and filters', () => {
+      assert.deepEqual(parsePageQuery({ sort: '-units,SKU', filter: { units: { gt: '3' }, SKU: 'A1' } }, options), {
+        limit: 2,
+        offset: 0,
+        sort: [{ column: 'Units', descending: true }, { column: 'SKU', descending: false }],
+        filters: [{ column: 'Units', operator: 'gt', value: '3' }, { column: 'SKU', operator: 'eq', value: 'A1' }]
+      });
+    });
+
+    it('refuses columns outside the projection and bad limits', () => {
+      assert.throws(() => parsePageQuery({ sort: 'Secret' }, options), /Unknown column: Secret/);
+      assert.throws(() => parsePageQuery({ limit: '11' }, options), /limit must be between 1 and 10/);
+      assert.throws(() => parsePageQuery({ filter: { SKU: { like: 'A' } } }, options), /Unknown filter operator/);
+    });
+
+    it('tells page requests apart from whole exports', () => {
+      assert.equal(wantsPage({ alias: 'sales' }), false);
+      assert.equal(wantsPage({ alias: 'sales', cursor: 'x' }), true);
+    });
+  });
+
+  describe('filters and sorting', () => {
+    const rows = [
+      { SKU: 'b', Units: '3', Revenue: '$ 1.50' },
+      { SKU: 'a', Units: '10', Revenue: '' },
+      { SKU: 'c', Units: '', Revenue: '$ 20.00' }
+    ];
+
+    it('quote filter values as criteria', () => {
+      assert.equal(
+        filterCriteria([{ column: 'SKU', operator: 'eq', value: 'x\'y' }, { column: 'Units', operator: 'gte', value: '2' }], columnTypes),
+        '"SKU" = \'x\'\'y\' and "Units" >= 2'
+      );
+      assert.throws(() => filterCriteria([{ column: 'Units', operator: 'eq', value: '1 or 1=1' }], columnTypes), /must be a number/);
+    });
+
+    it('match LIKE wildcards in contains filters literally', () => {
+      const contains = (value) => [{ column: 'SKU', operator: 'contains', value }];
+      // Backslashes are doubled once more by quoteLiteral
+      assert.equal(filterCriteria(contains('%'), columnTypes), String.raw`"SKU" like '%\\%%'`);
+      assert.equal(filterCriteria(contains('a_b'), columnTypes), String.raw`"SKU" like '%a\\_b%'`);
+      const rows = [{ SKU: '50%' }, { SKU: 'a_b' }, { SKU: 'axb' }];
+      assert.deepEqual(filterRows(rows, contains('%'), columnTypes), [rows[0]]);
+      assert.deepEqual(filterRows(rows, contains('a_b'), columnTypes), [rows[1]]);
+    });
+
+    it('compare numbers as numbers and keep blanks last', () => {
+      const sorted = sortRows(rows, [{ column: 'Units', descending: true }], columnTypes);
+      assert.deepEqual(sorted.map((row) => row.SKU), ['a', 'b', 'c']);
+      assert.deepEqual(filterRows(rows, [{ column: 'Units', operator: 'lt', value: '5' }], columnTypes).map((row) => row.SKU), ['b']);
+    });
+  });
+
+  describe('pageSql', () => {
+    it('orders by the key columns after the requested sort', () => {
+      assert.equal(
+        pageSql({
+          table: 'Sales',
+          columns: ['SKU', 'Units'],
+          criteria: '"Units" > 2',
+          sort: [{ column: 'Units', descending: true }],
+          keyColumns: ['SKU', 'Units'],
+          limit: 3,
+          offset: 6
+        }),
+        'SELECT "SKU", "Units" FROM "Sales" WHERE "Units" > 2 ORDER BY "Units" DESC, "SKU" ASC LIMIT 3 OFFSET 6'
+      );
+    });
+
+    it('orders by the key columns when no sort is asked for', () => {
+      assert.equal(
+        pageSql({ table: 'Sales', keyColumns: ['SKU'], limit: 3 }),
+        'SELECT * FROM "Sales" ORDER BY "SKU" ASC LIMIT 3 OFFSET 0'
+      );
+    });
+  });
+});
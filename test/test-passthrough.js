@@ -0,0 +1,99 @@
+// test/test-passthrough.js
+const assert = require('assert');
+const { PassthroughError, createPassthroughRoutes } = require('../lib/passthrough');
+
+describe('passthrough allowlist', () => {
+  const passthrough = createPassthroughRoutes({
+    routes: [
+      { name: 'workspace-views', method: 'GET', path: '/workspaces/:workspaceId/views', allow: { workspaceId: ['w1'] } },
+      { name: 'view-details', method: 'GET', path: '/views/:viewId', allow: { viewId: ['v1', 'v 2'] } },
+      { name: 'rename-view', method: 'PUT', path: '/workspaces/:workspaceId/views/:viewId', auth: 'secret' },
+      { name: 'orgs', method: 'GET', path: '/orgs', auth: 'secret' }
+    ]
+  }, { restrictedIds: ['v9'] });
+
+  const refusal = (method, path) => {
+    try {
+      passthrough.match(method, path);
+    } catch (error) {
+      assert.ok(error instanceof PassthroughError);
+      return error;
+    }
+    throw new Error(`${method} ${path} was allowed`);
+  };
+
+  describe('match', () => {
+    it('matches listed values and returns the Zoho path', () => {
+      const { route, params, zohoPath } = passthrough.match('get', '/workspaces/w1/views/');
+      assert.equal(route.name, 'workspace-views');
+      assert.deepEqual(params, { workspaceId: 'w1' });
+      assert.equal(zohoPath, '/workspaces/w1/views');
+    });
+
+    it('decodes params and encodes them again for Zoho', () => {
+      const { params, zohoPath } = passthrough.match('GET', '/views/v%202');
+      assert.deepEqual(params, { viewId: 'v 2' });
+      assert.equal(zohoPath, '/views/v%202');
+    });
+
+    it('accepts any value for params without an allow list on secret routes', () => {
+      assert.equal(passthrough.match('PUT', '/workspaces/w2/views/v9').route.name, 'rename-view');
+    });
+
+    it('refuses values missing from the allow list', () => {
+      assert.equal(refusal('GET', '/workspaces/w2/views').status, 404);
+      assert.equal(refusal('GET', '/views/v3').status, 404);
+    });
+
+    it('refuses dot segments and malformed escapes', () => {
+      assert.equal(refusal('PUT', '/workspaces/w1/views/..').status, 404);
+      assert.equal(refusal('PUT', '/workspaces/w1/views/%2e%2e').status, 404);
+      assert.equal(refusal('GET', '/views/%E0%A4%A').status, 404);
+    });
+
+    it('refuses unlisted paths', () => {
+      assert.equal(refusal('GET', '/orgs/extra').status, 404);
+      assert.equal(refusal('GET', '/').status, 404);
+    });
+
+    it('answers 405 with the allowed methods for another method', () => {
+      const error = refusal('DELETE', '/orgs');
+      assert.equal(error.status, 405);
+      assert.deepEqual(error.allowedMethods, ['GET']);
+    });
+  });
+
+  describe('configuration', () => {
+    const compile = (route, options) => () => createPassthroughRoutes({ routes: [route] }, options);
+
+    it('requires an allow list for every :param of token routes', () => {
+      assert.throws(compile({ name: 'v', method: 'GET', path: '/views/:viewId' }), /allow\.viewId must list its values/);
+      assert.throws(compile({
+        name: 'v',
+        method: 'GET',
+        path: '/workspaces/:workspaceId/views/:viewId',
+        allow: { workspaceId: ['w1'] }
+      }), /allow\.viewId must list its values/);
+    });
+
+    it('keeps token routes off views with a row policy', () => {
+      const options = { restrictedIds: ['v9'] };
+      assert.throws(compile({ name: 'v', method: 'GET', path: '/views/:viewId', allow: { viewId: ['v1', 'v9'] } }, options), /restricted per customer/);
+      assert.throws(compile({ name: 'v', method: 'GET', path: '/views/v9' }, options), /restricted per customer/);
+    });
+
+    it('refuses allow lists for unknown params', () => {
+      assert.throws(compile({ name: 'o', method: 'GET', path: '/orgs', allow: { orgId: ['1'] } }), /allow\.orgId/);
+    });
+
+    it('refuses bad names, methods, paths and duplicate names', () => {
+      assert.throws(compile({ name: 'Bad Name', method: 'GET', path: '/orgs' }), /needs a name/);
+      assert.throws(compile({ name: 'o', method: 'TRACE', path: '/orgs' }), /unsupported method/);
+      assert.throws(compile({ name: 'o', method: 'GET', path: 'orgs' }), /starting with "\/"/);
+      assert.throws(compile({ name: 'o', method: 'GET', path: '/orgs/*' }), /must be a literal or a :param/);
+      assert.throws(() => createPassthroughRoutes({
+        routes: [{ name: 'o', method: 'GET', path: '/orgs', auth: 'secret' }, { name: 'o', method: 'GET', path: '/users', auth: 'secret' }]
+      }), /used twice/);
+    });
+  });
+});
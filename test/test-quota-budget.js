@@ -0,0 +1,128 @@
+// test/test-quota-budget.js
+const assert = require('assert');
+const express = require('express');
+const lolex = require('lolex');
+const request = require('supertest');
+const { QuotaBudget, apiUsageFrom } = require('../lib/quota-budget');
+
+describe('quota budget', () => {
+  let clock;
+  let budget;
+
+  beforeEach(() => {
+    clock = lolex.install(Date.parse('2024-05-01T22:00:00Z'), ['Date']);
+    budget = new QuotaBudget({ dailyLimit: 100 });
+  });
+
+  afterEach(() => {
+    clock.uninstall();
+  });
+
+  describe('decide', () => {
+    it('allows every class while plenty of quota is left', () => {
+      budget.record(60);
+      ['critical', 'high', 'normal', 'low'].forEach((priority) => assert.equal(budget.decide(priority), 'allow'));
+    });
+
+    it('serves lower classes from the cache, then sheds them, as quota runs out', () => {
+      budget.record(75);
+      assert.equal(budget.decide('low'), 'cache-only');
+      assert.equal(budget.decide('normal'), 'allow');
+      budget.record(17);
+      assert.equal(budget.decide('low'), 'shed');
+      assert.equal(budget.decide('normal'), 'cache-only');
+      budget.record(7);
+      assert.equal(budget.decide('normal'), 'shed');
+      assert.equal(budget.decide('high'), 'shed');
+      assert.equal(budget.decide('critical'), 'allow');
+    });
+
+    it('allows everything while the limit is unknown', () => {
+      const unknown = new QuotaBudget();
+      unknown.record(1000);
+      assert.equal(unknown.decide('low'), 'allow');
+      assert.equal(unknown.usage().remaining, null);
+    });
+
+    it('starts counting again on the next UTC day', () => {
+      budget.record(99);
+      clock.tick(2 * 60 * 60 * 1000);
+      assert.deepEqual(budget.usage(), { day: '2024-05-02', used: 0, limit: 100, remaining: 100, remainingRatio: 1 });
+    });
+
+    it('refuses thresholds outside 0..1', () => {
+      assert.throws(() => new QuotaBudget({ classes: { low: { shedBelow: 2 } } }), /fractions between 0 and 1/);
+    });
+  });
+
+  describe('seeding from Zoho', () => {
+    it('reads the allowance and today\'s usage', () => {
+      assert.deepEqual(apiUsageFrom({ apiUnitsAllowed: 500 }, { apiUnits: { used: '91', allowed: 100 } }), { limit: 100, used: 91 });
+      assert.deepEqual(apiUsageFrom({ apiUnitsAllowed: '500' }, { apiUnits: { used: 3 } }), { limit: 500, used: 3 });
+      assert.deepEqual(apiUsageFrom(null, { apiUnits: { used: '', allowed: 'n/a' } }), { limit: undefined, used: undefined });
+    });
+
+    it('replaces the local count with Zoho\'s and keeps the configured limit', () => {
+      budget.record(5);
+      budget.seed({ limit: 1000, used: 91 });
+      assert.equal(budget.usage().used, 91);
+      assert.equal(budget.limit, 100);
+      assert.equal(budget.decide('normal'), 'cache-only');
+    });
+
+    it('adopts the reported limit when none is configured and ignores missing fields', () => {
+      const seeded = new QuotaBudget();
+      seeded.record(4);
+      seeded.seed({ limit: 200, used: undefined });
+      assert.deepEqual(seeded.usage(), { day: '2024-05-01', used: 4, limit: 200, remaining: 196, remainingRatio: 0.98 });
+    });
+  });
+
+  describe('guard', () => {
+    const decisions = [];
+    const appFor = (options) => {
+      const guardQuota = budget.guard({
+        priorityOf: (req) => req.get('x-priority') || 'normal',
+        onDecision: (priority, decision) => decisions.push(`${priority}:${decision}`)
+      });
+      const app = express();
+      app.get('/', guardQuota(options), (req, res) => res.json({ cacheOnly: Boolean(req.quotaCacheOnly) }));
+      return app;
+    };
+
+    beforeEach(() => {
+      decisions.length = 0;
+    });
+
+    it('lets allowed requests through untouched', () => request(appFor({ cacheable: true }))
+      .get('/')
+      .expect(200, { cacheOnly: false })
+      .then(() => assert.deepEqual(decisions, [])));
+
+    it('marks cache-only requests on cacheable routes', () => {
+      budget.record(92);
+      return request(appFor({ cacheable: true }))
+        .get('/')
+        .expect(200, { cacheOnly: true })
+        .then(() => assert.deepEqual(decisions, ['normal:cache-only']));
+    });
+
+    it('sheds cache-only requests on other routes with Retry-After until midnight UTC', () => {
+      budget.record(92);
+      return request(appFor())
+        .get('/')
+        .expect(503)
+        .expect('Retry-After', String(2 * 60 * 60))
+        .then((res) => {
+          assert.equal(res.body.error.code, 'QUOTA_EXHAUSTED');
+          assert.equal(res.body.error.retryable, true);
+          assert.deepEqual(decisions, ['normal:shed']);
+        });
+    });
+
+    it('serves critical requests however low the quota', () => {
+      budget.record(100);
+      return request(appFor()).get('/').set('x-priority', 'critical').expect(200);
+    });
+  });
+});
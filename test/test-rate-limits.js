@@ -0,0 +1,130 @@
+// test/test-rate-limits.js
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+const { callerOf, createRateLimits } = require('../lib/rate-limits');
+
+const minute = 60 * 1000;
+
+// Builds an app mounting the limiters the way server.js does; the x-test-sub
+// header stands in for requireAccessToken and x-test-alias for the alias lookup
+function appFor(config, { routeLimit } = {}) {
+  const limited = [];
+  const { globalLimiter, limitRequests, limiter } = createRateLimits(config, { onLimited: (name) => limited.push(name) });
+  const routeLimiter = routeLimit ? limiter('api:route', routeLimit) : (req, res, next) => next();
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(globalLimiter);
+  app.get('/views/:alias', (req, res, next) => {
+    if (req.get('x-test-sub')) {
+      req.accessToken = { sub: req.get('x-test-sub') };
+    }
+    req.view = { alias: req.params.alias };
+    next();
+  }, routeLimiter, limitRequests, (req, res) => res.json({ ok: true }));
+  app.limited = limited;
+  return app;
+}
+
+// Sends `count` requests one after another and resolves with the last response
+function send(app, count, prepare = (test) => test) {
+  let chain = Promise.resolve();
+  for (let i = 0; i < count; i += 1) {
+    chain = chain.then(() => prepare(request(app).get('/views/sales')));
+  }
+  return chain;
+}
+
+describe('rate limits', () => {
+  it('count callers by token subject, falling back to the IP', () => {
+    assert.equal(callerOf({ accessToken: { sub: 'shop' }, ip: '10.0.0.1' }), 'key:shop');
+    assert.equal(callerOf({ ip: '10.0.0.1' }), 'ip:10.0.0.1');
+  });
+
+  it('refuse limits without a window or maximum and unknown counting', () => {
+    assert.throws(() => createRateLimits({ routes: { 'GET /x': { windowMs: 10, max: 1 } } }), /windowMs \(at least 1000\)/);
+    assert.throws(() => createRateLimits({ keys: { default: { windowMs: minute } } }), /max \(at least 1\)/);
+    assert.throws(() => createRateLimits({ aliases: { sales: { windowMs: minute, max: 1, by: 'region' } } }), /unknown "region"/);
+  });
+
+  it('apply route limits by Express route path', () => {
+    const app = appFor({ routes: { 'GET /views/:alias': { windowMs: minute, max: 2 } } });
+    return send(app, 3)
+      .then((res) => {
+        assert.equal(res.status, 429);
+        assert.equal(res.body.error.code, 'RATE_LIMITED');
+        assert.deepEqual(app.limited, ['route:GET /views/:alias']);
+      });
+  });
+
+  it('give each API key its own budget, with a default for the rest', () => {
+    const app = appFor({ keys: { default: { windowMs: minute, max: 1 }, storefront: { windowMs: minute, max: 3 } } });
+    return send(app, 3, (test) => test.set('x-test-sub', 'storefront'))
+      .then((res) => {
+        assert.equal(res.status, 200);
+        return send(app, 1, (test) => test.set('x-test-sub', 'other'));
+      })
+      .then((res) => {
+        assert.equal(res.status, 200);
+        return send(app, 1, (test) => test.set('x-test-sub', 'other'));
+      })
+      .then((res) => {
+        assert.equal(res.status, 429);
+        assert.deepEqual(app.limited, ['key:default']);
+      });
+  });
+
+  it('share an alias budget between callers when counting by all', () => {
+    const app = appFor({ aliases: { sales: { windowMs: minute, max: 2, by: 'all' } } });
+    return send(app, 1, (test) => test.set('x-forwarded-for', '10.0.0.1'))
+      .then(() => send(app, 1, (test) => test.set('x-forwarded-for', '10.0.0.2')))
+      .then(() => send(app, 1, (test) => test.set('x-forwarded-for', '10.0.0.3')))
+      .then((res) => {
+        assert.equal(res.status, 429);
+        assert.deepEqual(app.limited, ['alias:sales']);
+      });
+  });
+
+  describe('headers', () => {
+    it('report the limit with the fewest requests left', () => {
+      const app = appFor({
+        global: { windowMs: 15 * minute, max: 100 },
+        keys: { default: { windowMs: minute, max: 5 } },
+        aliases: { sales: { windowMs: 2 * minute, max: 10 } }
+      });
+      return send(app, 2).then((res) => {
+        assert.equal(res.headers['ratelimit-policy'], '5;w=60');
+        assert.equal(res.headers['ratelimit-limit'], '5');
+        assert.equal(res.headers['ratelimit-remaining'], '3');
+        assert.ok(Number(res.headers['ratelimit-reset']) <= 60);
+      });
+    });
+
+    it('report the global limit with its own window when it is the tightest', () => {
+      const app = appFor({
+        global: { windowMs: 15 * minute, max: 3 },
+        keys: { default: { windowMs: minute, max: 5 } }
+      });
+      return send(app, 2).then((res) => {
+        assert.equal(res.headers['ratelimit-policy'], '3;w=900');
+        assert.equal(res.headers['ratelimit-remaining'], '1');
+      });
+    });
+
+    it('label a limiter that runs before limitRequests with its own window', () => {
+      const app = appFor({ global: { windowMs: 15 * minute, max: 100 } }, { routeLimit: { windowMs: minute, max: 30 } });
+      return send(app, 1).then((res) => {
+        assert.equal(res.headers['ratelimit-policy'], '30;w=60');
+        assert.equal(res.headers['ratelimit-remaining'], '29');
+      });
+    });
+
+    it('keep the global counts when another limiter runs before limitRequests', () => {
+      const app = appFor({ global: { windowMs: 15 * minute, max: 2 } }, { routeLimit: { windowMs: minute, max: 30 } });
+      return send(app, 1).then((res) => {
+        assert.equal(res.headers['ratelimit-policy'], '2;w=900');
+        assert.equal(res.headers['ratelimit-remaining'], '1');
+      });
+    });
+  });
+});
@@ -0,0 +1,38 @@
+// test/test-regions.js
+const assert = require('assert');
+const { getRegionHosts, regions } = require('../ZohoAnalyticsNodejsClient/Regions');
+
+describe('Zoho regions', () => {
+  it('defaults to the US data center', () => {
+    assert.deepEqual(getRegionHosts(), { region: 'us', analyticsHost: 'analyticsapi.zoho.com', accountsHost: 'accounts.zoho.com' });
+    assert.equal(getRegionHosts('').region, 'us');
+  });
+
+  it('resolves short codes case-insensitively', () => {
+    assert.deepEqual(getRegionHosts(' EU '), { region: 'eu', analyticsHost: 'analyticsapi.zoho.eu', accountsHost: 'accounts.zoho.eu' });
+    assert.equal(getRegionHosts('ca').analyticsHost, 'analyticsapi.zohocloud.ca');
+  });
+
+  it('resolves domain suffixes, with or without a leading dot', () => {
+    assert.equal(getRegionHosts('com').region, 'us');
+    assert.equal(getRegionHosts('.com.au').region, 'au');
+    assert.equal(getRegionHosts('com.cn').accountsHost, 'accounts.zoho.com.cn');
+    assert.equal(getRegionHosts('zohocloud').region, 'ca');
+  });
+
+  it('serves the APIs and accounts of each region from the same domain', () => {
+    Object.keys(regions).forEach((code) => {
+      const { analyticsHost, accountsHost } = getRegionHosts(code);
+      assert.equal(analyticsHost.replace(/^analyticsapi\./, ''), accountsHost.replace(/^accounts\./, ''));
+    });
+  });
+
+  it('refuses unknown regions', () => {
+    assert.throws(() => getRegionHosts('mars'), /Unknown Zoho region 'mars'\. Expected one of: us, eu, in, au, jp, ca, sa, cn/);
+  });
+
+  it('returns a copy the caller may change', () => {
+    getRegionHosts('us').analyticsHost = 'example.test';
+    assert.equal(getRegionHosts('us').analyticsHost, 'analyticsapi.zoho.com');
+  });
+});
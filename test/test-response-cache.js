@@ -0,0 +1,138 @@
+// test/test-response-cache.js
+const assert = require('assert');
+const lolex = require('lolex');
+const { MemoryStore, ResponseCache, computeETag, etagMatches } = require('../lib/response-cache');
+
+describe('response cache', () => {
+  let clock;
+  let cache;
+  let calls;
+  const loader = (data) => () => {
+    calls += 1;
+    return Promise.resolve({ status: 200, data });
+  };
+
+  beforeEach(() => {
+    clock = lolex.install(Date.now(), ['Date']);
+    cache = new ResponseCache({ defaultTtl: 60, staleTtl: 120 });
+    calls = 0;
+  });
+
+  afterEach(() => {
+    clock.uninstall();
+  });
+
+  describe('ETags', () => {
+    it('are strong, stable and tied to the body', () => {
+      assert.ok(/^"[^"]+"$/.test(computeETag('{"a":1}')));
+      assert.equal(computeETag('{"a":1}'), computeETag('{"a":1}'));
+      assert.notEqual(computeETag('{"a":1}'), computeETag('{"a":2}'));
+    });
+
+    it('match If-None-Match lists, weak tags and *', () => {
+      const etag = computeETag('body');
+      assert.equal(etagMatches(`"other", ${etag}`, etag), true);
+      assert.equal(etagMatches(`W/${etag}`, etag), true);
+      assert.equal(etagMatches('*', etag), true);
+      assert.equal(etagMatches('"other"', etag), false);
+      assert.equal(etagMatches(undefined, etag), false);
+    });
+
+    it('are stored with each cached body', () => cache.fetch('k', loader({ a: 1 })).then(({ entry }) => {
+      assert.equal(entry.body, '{"a":1}');
+      assert.equal(entry.etag, computeETag(entry.body));
+    }));
+  });
+
+  describe('freshness', () => {
+    it('answers a miss from the loader, then hits from the store', () => cache.fetch('k', loader({ a: 1 }))
+      .then(({ cacheStatus }) => {
+        assert.equal(cacheStatus, 'MISS');
+        clock.tick(59 * 1000);
+        return cache.fetch('k', loader({ a: 2 }));
+      })
+      .then(({ entry, cacheStatus }) => {
+        assert.equal(cacheStatus, 'HIT');
+        assert.equal(entry.body, '{"a":1}');
+        assert.equal(calls, 1);
+      }));
+
+    it('serves stale entries while refreshing them in the background', () => cache.fetch('k', loader({ a: 1 }))
+      .then(() => {
+        clock.tick(61 * 1000);
+        return cache.fetch('k', loader({ a: 2 }));
+      })
+      .then(({ entry, cacheStatus }) => {
+        assert.equal(cacheStatus, 'STALE');
+        assert.equal(entry.body, '{"a":1}');
+        return cache.inflight.get('k');
+      })
+      .then(() => cache.fetch('k', loader({ a: 3 })))
+      .then(({ entry, cacheStatus }) => {
+        assert.equal(cacheStatus, 'HIT');
+        assert.equal(entry.body, '{"a":2}');
+        assert.equal(calls, 2);
+      }));
+
+    it('loads again once the stale window has passed', () => cache.fetch('k', loader({ a: 1 }))
+      .then(() => {
+        clock.tick(181 * 1000);
+        return cache.fetch('k', loader({ a: 2 }));
+      })
+      .then(({ entry, cacheStatus }) => {
+        assert.equal(cacheStatus, 'MISS');
+        assert.equal(entry.body, '{"a":2}');
+      }));
+
+    it('shares one loader call between concurrent misses', () => Promise.all([
+      cache.fetch('k', loader({ a: 1 })),
+      cache.fetch('k', loader({ a: 1 }))
+    ]).then(() => assert.equal(calls, 1)));
+
+    it('does not store failed responses', () => cache.fetch('k', () => Promise.resolve({ status: 503, data: 'down' }))
+      .then(({ entry }) => {
+        assert.deepEqual(entry, { status: 503, data: 'down' });
+        return cache.fetch('k', loader({ a: 1 }));
+      })
+      .then(({ cacheStatus }) => assert.equal(cacheStatus, 'MISS')));
+
+    it('bypasses the store when the TTL is 0', () => cache.fetch('k', loader({ a: 1 }), { ttl: 0 })
+      .then(({ cacheStatus }) => {
+        assert.equal(cacheStatus, 'BYPASS');
+        return cache.fetch('k', loader({ a: 1 }), { ttl: 0 });
+      })
+      .then(() => assert.equal(calls, 2)));
+  });
+
+  describe('cache-only lookups', () => {
+    it('never call the loader', () => cache.fetch('k', loader({ a: 1 }), { cacheOnly: true })
+      .then(({ entry, cacheStatus }) => {
+        assert.equal(entry, null);
+        assert.equal(cacheStatus, 'MISS');
+        assert.equal(calls, 0);
+      }));
+
+    it('serve stale entries without refreshing them', () => cache.fetch('k', loader({ a: 1 }))
+      .then(() => {
+        clock.tick(61 * 1000);
+        return cache.fetch('k', loader({ a: 2 }), { cacheOnly: true });
+      })
+      .then(({ entry, cacheStatus }) => {
+        assert.equal(cacheStatus, 'STALE');
+        assert.equal(entry.body, '{"a":1}');
+        assert.equal(calls, 1);
+      }));
+  });
+
+  describe('MemoryStore', () => {
+    it('evicts the least recently used entry', () => {
+      const store = new MemoryStore({ maxEntries: 2 });
+      return store.set('a', 1, 1000)
+        .then(() => store.set('b', 2, 1000))
+        .then(() => store.get('a'))
+        .then(() => store.set('c', 3, 1000))
+        .then(() => Promise.all(['a', 'b', 'c'].map((key) => store.get(key))))
+        .then((values) => assert.deepEqual(values, [1, undefined, 3]));
+    });
+  });
+});
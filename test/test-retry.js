@@ -0,0 +1,76 @@
+// test/test-retry.js
+const assert = require('assert');
+const lolex = require('lolex');
+const { createRetryPolicy, parseRetryAfter } = require('../lib/retry');
+
+// A node-fetch-like response with the given status and headers
+const responseOf = (status, headers = {}) => ({ status, headers: { get: (name) => headers[name] || null } });
+
+describe('retry policy', () => {
+  const policy = createRetryPolicy({ retries: 2, baseDelayMs: 300, maxDelayMs: 5000 });
+
+  describe('parseRetryAfter', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = lolex.install(Date.parse('2024-05-01T12:00:00Z'), ['Date']);
+    });
+
+    afterEach(() => {
+      clock.uninstall();
+    });
+
+    it('reads delta seconds and HTTP dates', () => {
+      assert.equal(parseRetryAfter('3'), 3000);
+      assert.equal(parseRetryAfter(' 0 '), 0);
+      assert.equal(parseRetryAfter('Wed, 01 May 2024 12:00:04 GMT'), 4000);
+      assert.equal(parseRetryAfter('Wed, 01 May 2024 11:00:00 GMT'), 0);
+    });
+
+    it('ignores missing and invalid values', () => {
+      assert.equal(parseRetryAfter(null), null);
+      assert.equal(parseRetryAfter('soon'), null);
+    });
+  });
+
+  describe('retryDelay', () => {
+    it('waits as long as Retry-After asks, within the maximum', () => {
+      assert.equal(policy.retryDelay({ method: 'GET', attempt: 0, response: responseOf(503, { 'retry-after': '2' }) }), 2000);
+      assert.equal(policy.retryDelay({ method: 'GET', attempt: 0, response: responseOf(429, { 'retry-after': '6' }) }), null);
+    });
+
+    it('retries idempotent methods on retryable statuses and network errors only', () => {
+      [429, 500, 502, 503, 504].forEach((status) => {
+        assert.notEqual(policy.retryDelay({ method: 'get', attempt: 0, response: responseOf(status) }), null);
+      });
+      assert.equal(policy.retryDelay({ method: 'GET', attempt: 0, response: responseOf(400) }), null);
+      assert.notEqual(policy.retryDelay({ method: 'PUT', attempt: 0, error: Object.assign(new Error('reset'), { type: 'system' }) }), null);
+      assert.notEqual(policy.retryDelay({ method: 'DELETE', attempt: 0, error: Object.assign(new Error('reset'), { syscall: 'read' }) }), null);
+      assert.equal(policy.retryDelay({ method: 'GET', attempt: 0, error: new Error('invalid json') }), null);
+    });
+
+    it('never retries non-idempotent methods', () => {
+      assert.equal(policy.retryDelay({ method: 'POST', attempt: 0, response: responseOf(503, { 'retry-after': '1' }) }), null);
+      assert.equal(policy.retryDelay({ method: 'PATCH', attempt: 0, error: Object.assign(new Error('reset'), { type: 'system' }) }), null);
+    });
+
+    it('stops after the configured number of retries', () => {
+      assert.notEqual(policy.retryDelay({ method: 'GET', attempt: 1, response: responseOf(503) }), null);
+      assert.equal(policy.retryDelay({ method: 'GET', attempt: 2, response: responseOf(503) }), null);
+    });
+
+    it('jitters the backoff between 0 and the doubling ceiling', () => {
+      const random = Math.random;
+      try {
+        Math.random = () => 0;
+        assert.equal(policy.retryDelay({ method: 'GET', attempt: 1, response: responseOf(503) }), 0);
+        Math.random = () => 0.999999;
+        assert.equal(policy.retryDelay({ method: 'GET', attempt: 0, response: responseOf(503) }), 300);
+        assert.equal(policy.retryDelay({ method: 'GET', attempt: 1, response: responseOf(503) }), 600);
+        assert.equal(createRetryPolicy({ retries: 10, maxDelayMs: 1000 }).retryDelay({ method: 'GET', attempt: 8, response: responseOf(503) }), 1000);
+      } finally {
+        Math.random = random;
+      }
+    });
+  });
+});
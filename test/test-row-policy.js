@@ -0,0 +1,88 @@
+// test/test-row-policy.js
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+const { RowPolicyError, applyRowPolicy, policyColumns, withRowCriteria } = require('../lib/row-policy');
+
+const restrictedView = { alias: 'orders', viewId: 'v1', rowCriteria: '"Orders"."Customer Id" = :customer' };
+const openView = { alias: 'sales', viewId: 'v2' };
+
+// Mounts applyRowPolicy behind a stand-in for requireAccessToken
+function appFor(view, operation) {
+  const app = express();
+  app.get('/', (req, res, next) => {
+    req.view = view;
+    req.accessToken = req.get('x-test-customer') ? { customer: req.get('x-test-customer') } : {};
+    next();
+  }, applyRowPolicy(operation), (req, res) => {
+    res.json({ customer: req.customer, rowCriteria: req.rowCriteria });
+  });
+  return app;
+}
+
+describe('row policy', () => {
+  describe('withRowCriteria', () => {
+    it('passes caller criteria through on unrestricted aliases', () => {
+      assert.equal(withRowCriteria(null, '"Region" = \'East\''), '"Region" = \'East\'');
+      assert.equal(withRowCriteria(null, undefined), undefined);
+    });
+
+    it('ANDs the policy clause with the caller criteria', () => {
+      assert.equal(withRowCriteria('"Id" = \'c1\'', '"Region" = \'East\''), '("Id" = \'c1\') and ("Region" = \'East\')');
+      assert.equal(withRowCriteria('"Id" = \'c1\'', ''), '"Id" = \'c1\'');
+    });
+
+    it('refuses criteria that could close the policy group', () => {
+      assert.throws(() => withRowCriteria('"Id" = \'c1\'', '1=1) or (1=1'), (error) => (
+        error instanceof RowPolicyError && error.status === 400
+      ));
+      assert.throws(() => withRowCriteria('"Id" = \'c1\'', '"Region" = \'East'), RowPolicyError);
+    });
+
+    it('allows parentheses inside quoted values', () => {
+      assert.equal(withRowCriteria('"Id" = \'c1\'', '"Name" = \'a)b\''), '("Id" = \'c1\') and ("Name" = \'a)b\')');
+    });
+  });
+
+  describe('policyColumns', () => {
+    it('lists the identifiers the policy filters on', () => {
+      assert.deepEqual(policyColumns(restrictedView), ['Orders', 'Customer Id']);
+      assert.deepEqual(policyColumns({ rowCriteria: '"Owner" = :customer and "Note" != \'"quoted"\'' }), ['Owner', 'Note']);
+      assert.deepEqual(policyColumns(openView), []);
+    });
+  });
+
+  describe('applyRowPolicy', () => {
+    it('binds the caller\'s customer into the policy as a quoted literal', () => request(appFor(restrictedView, 'export'))
+      .get('/')
+      .set('x-test-customer', 'c1')
+      .expect(200, { customer: 'c1', rowCriteria: '"Orders"."Customer Id" = \'c1\'' }));
+
+    it('escapes quotes in the customer so it cannot widen the policy', () => request(appFor(restrictedView, 'export'))
+      .get('/')
+      .set('x-test-customer', 'x\' or \'1\'=\'1')
+      .expect(200)
+      .then((res) => assert.equal(res.body.rowCriteria, '"Orders"."Customer Id" = \'x\'\' or \'\'1\'\'=\'\'1\'')));
+
+    it('refuses restricted aliases without a customer identity', () => request(appFor(restrictedView, 'export'))
+      .get('/')
+      .expect(403)
+      .then((res) => assert.equal(res.body.error.code, 'FORBIDDEN')));
+
+    it('refuses operations that cannot be filtered', () => request(appFor(restrictedView, 'import'))
+      .get('/')
+      .set('x-test-customer', 'c1')
+      .expect(403)
+      .then((res) => assert.ok(/restricted per customer/.test(res.body.error.message))));
+
+    it('refuses an fx-customer header naming another customer', () => request(appFor(restrictedView, 'export'))
+      .get('/')
+      .set('x-test-customer', 'c1')
+      .set('fx-customer', 'c2')
+      .expect(403));
+
+    it('leaves unrestricted aliases unfiltered', () => request(appFor(openView, 'import'))
+      .get('/')
+      .expect(200, { customer: null, rowCriteria: null }));
+  });
+});
@@ -0,0 +1,140 @@
+// test/test-subscriptions.js
+const assert = require('assert');
+const lolex = require('lolex');
+const { createSubscriptionHub, diffSnapshots, snapshotOf } = require('../lib/subscriptions');
+
+// Lets pending promise callbacks run; setImmediate is not faked
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('subscriptions', () => {
+  describe('diffSnapshots', () => {
+    it('reports added, changed and removed rows by key column', () => {
+      const previous = snapshotOf([{ SKU: 'a', Units: 1 }, { SKU: 'b', Units: 2 }], ['SKU']);
+      const current = snapshotOf([{ SKU: 'a', Units: 5 }, { SKU: 'c', Units: 3 }], ['SKU']);
+      assert.deepEqual(diffSnapshots(previous, current), {
+        added: [{ SKU: 'c', Units: 3 }],
+        changed: [{ SKU: 'a', Units: 5 }],
+        removed: [{ SKU: 'b', Units: 2 }]
+      });
+    });
+
+    it('finds nothing when only the row order changed', () => {
+      const rows = [{ SKU: 'a', Units: 1 }, { SKU: 'b', Units: 2 }];
+      assert.deepEqual(diffSnapshots(snapshotOf(rows, ['SKU']), snapshotOf(rows.slice().reverse(), ['SKU'])), {
+        added: [],
+        changed: [],
+        removed: []
+      });
+    });
+
+    it('treats an edited row as removed and added without key columns', () => {
+      const diff = diffSnapshots(snapshotOf([{ SKU: 'a', Units: 1 }]), snapshotOf([{ Units: 2, SKU: 'a' }]));
+      assert.deepEqual(diff, { added: [{ Units: 2, SKU: 'a' }], changed: [], removed: [{ SKU: 'a', Units: 1 }] });
+    });
+
+    it('keeps identical rows apart so a duplicate can be added or removed', () => {
+      const row = { SKU: 'a' };
+      assert.equal(snapshotOf([row, row]).size, 2);
+      assert.deepEqual(diffSnapshots(snapshotOf([row, row]), snapshotOf([row])), { added: [], changed: [], removed: [row] });
+    });
+  });
+
+  describe('hub', () => {
+    let clock;
+    let loads;
+    let answers;
+    let hub;
+    const view = { alias: 'sales', keyColumns: ['SKU'] };
+
+    beforeEach(() => {
+      clock = lolex.install(Date.now(), ['setTimeout', 'clearTimeout', 'Date']);
+      loads = [];
+      answers = [];
+      hub = createSubscriptionHub({
+        intervalMs: 1000,
+        load: (loadedView, criteria) => {
+          loads.push(criteria);
+          const answer = answers.length > 1 ? answers.shift() : answers[0];
+          return answer instanceof Error ? Promise.reject(answer) : Promise.resolve(answer);
+        }
+      });
+    });
+
+    afterEach(() => {
+      clock.uninstall();
+    });
+
+    const listener = () => {
+      const events = [];
+      const listen = (event, data) => events.push(Object.assign({ event }, data));
+      listen.events = events;
+      return listen;
+    };
+
+    it('sends a snapshot first, then only polls that found changes', () => {
+      answers = [[{ SKU: 'a', Units: 1 }], [{ SKU: 'a', Units: 1 }], [{ SKU: 'a', Units: 2 }]];
+      const listen = listener();
+      hub.subscribe(view, listen);
+      return flush()
+        .then(() => {
+          clock.tick(1000);
+          return flush();
+        })
+        .then(() => {
+          clock.tick(1000);
+          return flush();
+        })
+        .then(() => assert.deepEqual(listen.events.map(({ event, rows, changed }) => ({ event, rows, changed })), [
+          { event: 'snapshot', rows: [{ SKU: 'a', Units: 1 }], changed: undefined },
+          { event: 'changes', rows: undefined, changed: [{ SKU: 'a', Units: 2 }] }
+        ]));
+    });
+
+    it('polls once for every subscriber and gives late joiners the last snapshot', () => {
+      answers = [[{ SKU: 'a' }]];
+      const first = listener();
+      const second = listener();
+      hub.subscribe(view, first);
+      return flush().then(() => {
+        hub.subscribe(view, second);
+        assert.equal(loads.length, 1);
+        assert.equal(hub.subscriberCount('sales'), 2);
+        assert.deepEqual(second.events.map(({ event, rows }) => ({ event, rows })), [{ event: 'snapshot', rows: [{ SKU: 'a' }] }]);
+      });
+    });
+
+    it('polls separately for subscribers under different row criteria', () => {
+      answers = [[]];
+      hub.subscribe(view, listener(), { criteria: '"Customer" = \'c1\'' });
+      hub.subscribe(view, listener(), { criteria: '"Customer" = \'c2\'' });
+      return flush().then(() => assert.deepEqual(loads, ['"Customer" = \'c1\'', '"Customer" = \'c2\'']));
+    });
+
+    it('reports failed polls and keeps polling', () => {
+      answers = [new Error('Zoho is down'), [{ SKU: 'a' }]];
+      const listen = listener();
+      hub.subscribe(view, listen);
+      return flush()
+        .then(() => {
+          clock.tick(1000);
+          return flush();
+        })
+        .then(() => assert.deepEqual(listen.events.map(({ event, error }) => ({ event, error })), [
+          { event: 'unavailable', error: 'Zoho is down' },
+          { event: 'snapshot', error: undefined }
+        ]));
+    });
+
+    it('stops polling when the last subscriber leaves', () => {
+      answers = [[]];
+      const unsubscribe = hub.subscribe(Object.assign({ pollInterval: 5 }, view), listener());
+      return flush().then(() => {
+        clock.tick(4999);
+        unsubscribe();
+        clock.tick(60000);
+        assert.equal(loads.length, 1);
+        assert.equal(hub.subscriberCount('sales'), 0);
+      });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// test/test-tabular.js
+const assert = require('assert');
+const { COLUMN_TYPES, convertValue, renameColumns, rowsOf, toTable } = require('../lib/tabular');
+
+describe('tabular responses', () => {
+  describe('convertValue', () => {
+    it('keeps currency as an exact decimal string', () => {
+      assert.equal(convertValue(COLUMN_TYPES.CURRENCY, '$ 1,234.50'), '1234.50');
+      assert.equal(convertValue('decimal', '-0.1'), '-0.1');
+      assert.equal(convertValue('decimal', '.5'), '0.5');
+      assert.equal(convertValue('decimal', '12'), '12');
+      assert.equal(convertValue('decimal', 'n/a'), null);
+      assert.equal(convertValue('decimal', '1.2.3'), null);
+    });
+
+    it('reads formatted integers and numbers', () => {
+      assert.equal(convertValue(COLUMN_TYPES.NUMBER, '1,204'), 1204);
+      assert.equal(convertValue(COLUMN_TYPES.NUMBER, '7.9'), 7);
+      assert.equal(convertValue(COLUMN_TYPES.PERCENT, '12.5 %'), 12.5);
+      assert.equal(convertValue('number', 3.25), 3.25);
+      assert.equal(convertValue('integer', 'many'), null);
+      assert.equal(convertValue('number', '-'), null);
+    });
+
+    it('turns dates into ISO timestamps', () => {
+      assert.equal(convertValue(COLUMN_TYPES.DATE, '2024-05-01T10:00:00Z'), '2024-05-01T10:00:00.000Z');
+      assert.equal(convertValue('date', 'someday'), null);
+    });
+
+    it('reads booleans and leaves strings alone', () => {
+      assert.equal(convertValue('boolean', ' Yes '), true);
+      assert.equal(convertValue('boolean', 'false'), false);
+      assert.equal(convertValue('boolean', 'maybe'), null);
+      assert.equal(convertValue('string', 42), '42');
+      assert.equal(convertValue('unknown', 42), '42');
+    });
+
+    it('turns blank cells into null whatever the type', () => {
+      ['string', 'integer', 'number', 'decimal', 'date', 'boolean'].forEach((type) => {
+        assert.equal(convertValue(type, ''), null);
+        assert.equal(convertValue(type, null), null);
+        assert.equal(convertValue(type, undefined), null);
+      });
+    });
+  });
+
+  describe('shape=table', () => {
+    const columnTypes = new Map([['SKU', 'PLAIN'], ['Units', 'NUMBER'], ['Revenue', 'CURRENCY'], ['Day', 'DATE']]);
+    const rows = [
+      { SKU: 'A1', Units: '1,204', Revenue: '$ 10.50', Day: '2024-05-01' },
+      { SKU: 'B2', Units: '', Revenue: '', Day: '' }
+    ];
+
+    it('types and orders columns by the projection, with the alias\'s renames', () => {
+      assert.deepEqual(toTable(rows, { columnTypes, columns: ['Revenue', 'SKU', 'Units'], rename: { Units: 'units' } }), {
+        columns: [{ name: 'Revenue', type: 'decimal' }, { name: 'SKU', type: 'string' }, { name: 'units', type: 'integer' }],
+        rows: [['10.50', 'A1', 1204], [null, 'B2', null]]
+      });
+    });
+
+    it('follows the first row without a projection and treats unknown columns as strings', () => {
+      const table = toTable([{ Note: 5, Day: '2024-05-01' }], { columnTypes });
+      assert.deepEqual(table.columns, [{ name: 'Note', type: 'string' }, { name: 'Day', type: 'date' }]);
+      assert.deepEqual(table.rows, [['5', '2024-05-01T00:00:00.000Z']]);
+    });
+
+    it('lists the view\'s columns when there are no rows', () => {
+      assert.deepEqual(toTable([], { columnTypes }).columns.map((column) => column.name), ['SKU', 'Units', 'Revenue', 'Day']);
+    });
+
+    it('reads rows from either export form and renames row keys', () => {
+      assert.deepEqual(rowsOf({ data: rows }), rows);
+      assert.deepEqual(rowsOf(rows), rows);
+      assert.deepEqual(rowsOf({ summary: 'x' }), []);
+      assert.deepEqual(renameColumns(rows[0], { Units: 'units' }), { SKU: 'A1', units: '1,204', Revenue: '$ 10.50', Day: '2024-05-01' });
+    });
+  });
+});
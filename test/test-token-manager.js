@@ -0,0 +1,148 @@
+// test/test-token-manager.js
+const assert = require('assert');
+const http = require('http');
+const https = require('https');
+const lolex = require('lolex');
+const TokenManager = require('../ZohoAnalyticsNodejsClient/TokenManager');
+
+const rejection = (promise) => promise.then(() => {
+  throw new Error('the refresh did not fail');
+}, (error) => error);
+
+// Answers requestToken from a queue of results; errors are rejected
+function answerWith(manager, ...results) {
+  manager.requests = 0;
+  manager.requestToken = () => {
+    const result = results[Math.min(manager.requests, results.length - 1)];
+    manager.requests += 1;
+    return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+  };
+}
+
+describe('TokenManager', () => {
+  let clock;
+  let manager;
+
+  beforeEach(() => {
+    clock = lolex.install(Date.now(), ['Date']);
+    manager = new TokenManager('id', 'secret', 'refresh', { minBackoffMs: 1000, maxBackoffMs: 3000 });
+  });
+
+  afterEach(() => {
+    manager.stop();
+    clock.uninstall();
+  });
+
+  it('shares one refresh between concurrent callers', () => {
+    answerWith(manager, { access_token: 't1', expires_in: 3600 });
+    return Promise.all([manager.getAccessToken(), manager.getAccessToken(), manager.refresh()]).then((tokens) => {
+      assert.deepEqual(tokens, ['t1', 't1', 't1']);
+      assert.equal(manager.requests, 1);
+      assert.equal(manager.pending, null);
+    });
+  });
+
+  it('reuses the token until it expires, refreshing it in the background inside the margin', () => {
+    answerWith(manager, { access_token: 't1', expires_in: 3600 }, { access_token: 't2', expires_in: 3600 });
+    return manager.getAccessToken()
+      .then(() => {
+        clock.tick(50 * 60 * 1000);
+        return manager.getAccessToken();
+      })
+      .then((token) => {
+        assert.equal(token, 't1');
+        assert.equal(manager.requests, 1);
+        clock.tick(6 * 60 * 1000);
+        const current = manager.getAccessToken();
+        return Promise.all([current, manager.pending]);
+      })
+      .then((tokens) => {
+        assert.deepEqual(tokens, ['t1', 't2']);
+        assert.equal(manager.requests, 2);
+      });
+  });
+
+  it('returns the current token to a caller holding a stale one', () => {
+    answerWith(manager, { access_token: 't2', expires_in: 3600 });
+    return manager.refresh()
+      .then(() => manager.refresh('t1'))
+      .then((token) => {
+        assert.equal(token, 't2');
+        assert.equal(manager.requests, 1);
+        return manager.refresh('t2');
+      })
+      .then(() => assert.equal(manager.requests, 2));
+  });
+
+  it('backs off exponentially after failed refreshes', () => {
+    const retries = [];
+    const failure = new Error('invalid_code');
+    manager.on('refreshError', (error, retryAt) => retries.push(retryAt - Date.now()));
+    answerWith(manager, failure, failure, failure, { access_token: 't1' });
+
+    return rejection(manager.refresh())
+      .then((error) => {
+        assert.equal(error, failure);
+        return rejection(manager.refresh());
+      })
+      .then((error) => {
+        assert.equal(error, failure);
+        assert.equal(manager.requests, 1);
+        clock.tick(1000);
+        return rejection(manager.refresh());
+      })
+      .then(() => {
+        clock.tick(2000);
+        return rejection(manager.refresh());
+      })
+      .then(() => {
+        clock.tick(2999);
+        return rejection(manager.refresh());
+      })
+      .then(() => {
+        assert.equal(manager.requests, 3);
+        clock.tick(1);
+        return manager.refresh();
+      })
+      .then((token) => {
+        assert.equal(token, 't1');
+        assert.deepEqual(retries, [1000, 2000, 3000]);
+        assert.equal(manager.failures, 0);
+      });
+  });
+
+  describe('requestToken', () => {
+    let server;
+    let request;
+
+    // Sends the token request to a local server that never answers
+    beforeEach((done) => {
+      server = http.createServer(() => {});
+      server.listen(0, '127.0.0.1', () => {
+        request = https.request;
+        https.request = (options, callback) => http.request(Object.assign({}, options, {
+          host: '127.0.0.1',
+          port: server.address().port,
+          secureProtocol: undefined
+        }), callback);
+        done();
+      });
+    });
+
+    afterEach((done) => {
+      https.request = request;
+      server.close(done);
+    });
+
+    it('fails every waiting caller when the accounts server does not answer in time', () => {
+      manager = new TokenManager('id', 'secret', 'refresh', { requestTimeoutMs: 50 });
+      return Promise.all([manager.refresh(), manager.getAccessToken()].map(rejection)).then((errors) => {
+        assert.ok(/Failed to refresh Zoho access token: No response from accounts server within 50ms/.test(errors[0].message));
+        assert.equal(errors[0].errorCode, '0');
+        assert.equal(errors[1], errors[0]);
+        assert.equal(manager.pending, null);
+        assert.ok(manager.retryAt > Date.now());
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// test/test-view-columns.js
+const assert = require('assert');
+const lolex = require('lolex');
+const { checkColumnValues, createColumnCatalog } = require('../lib/view-columns');
+
+const columns = new Map([
+  ['Id', 'AUTO_NUMBER'],
+  ['SKU', 'PLAIN'],
+  ['Units', 'NUMBER'],
+  ['Stock', 'POSITIVE_NUMBER'],
+  ['Price', 'CURRENCY'],
+  ['Contact', 'EMAIL'],
+  ['Site', 'URL'],
+  ['Day', 'DATE'],
+  ['Active', 'BOOLEAN']
+]);
+
+describe('view columns', () => {
+  describe('checkColumnValues', () => {
+    it('accepts values matching each column type and blanks', () => {
+      assert.deepEqual(checkColumnValues({
+        SKU: 'A1',
+        Units: '-3',
+        Stock: 4,
+        Price: '12.50',
+        Contact: 'ops@example.com',
+        Site: 'https://example.com',
+        Day: '2024-05-01',
+        Active: 'false',
+        Id: null
+      }, columns), []);
+    });
+
+    it('refuses unknown columns', () => {
+      assert.deepEqual(checkColumnValues({ SKU: 'A1', Secret: 'x' }, columns), ['Unknown column: Secret']);
+      assert.deepEqual(checkColumnValues({ sku: 'A1' }, columns), ['Unknown column: sku']);
+    });
+
+    it('refuses writes to columns Zoho generates', () => {
+      assert.deepEqual(checkColumnValues({ Id: 7 }, columns), ['Column Id is generated by Zoho and cannot be written']);
+    });
+
+    it('lists every value of the wrong type', () => {
+      assert.deepEqual(checkColumnValues({
+        SKU: 5,
+        Units: '1.5',
+        Stock: -1,
+        Price: '$ 12',
+        Contact: 'ops',
+        Site: 'javascript:alert(1)',
+        Day: 'someday',
+        Active: 'yes',
+        Units2: 1
+      }, columns), [
+        'Column SKU must be a string',
+        'Column Units must be a whole number',
+        'Column Stock must be a positive whole number',
+        'Column Price must be a number',
+        'Column Contact must be an email address',
+        'Column Site must be an http(s) URL',
+        'Column Day must be a date string',
+        'Column Active must be true or false',
+        'Unknown column: Units2'
+      ]);
+    });
+
+    it('refuses objects and arrays', () => {
+      assert.deepEqual(checkColumnValues({ SKU: ['A1'], Units: { value: 1 } }, columns), [
+        'Column SKU must be a scalar value',
+        'Column Units must be a scalar value'
+      ]);
+    });
+  });
+
+  describe('createColumnCatalog', () => {
+    let clock;
+    let loads;
+    let failNext;
+    let catalog;
+    const view = { alias: 'sales', viewId: 'v1' };
+
+    beforeEach(() => {
+      clock = lolex.install(Date.now(), ['Date']);
+      loads = 0;
+      failNext = false;
+      catalog = createColumnCatalog({
+        ttl: 60,
+        load: () => {
+          loads += 1;
+          if (failNext) {
+            failNext = false;
+            return Promise.reject(new Error('Zoho is down'));
+          }
+          return Promise.resolve([{ columnName: 'SKU', dataType: 'plain' }, { columnName: 'Units', dataType: 'NUMBER' }]);
+        }
+      });
+    });
+
+    afterEach(() => {
+      clock.uninstall();
+    });
+
+    it('maps column names to upper-case Zoho types and shares one lookup', () => Promise.all([
+      catalog.loadColumns(view),
+      catalog.loadColumns(view)
+    ]).then(([first, second]) => {
+      assert.deepEqual(Array.from(first), [['SKU', 'PLAIN'], ['Units', 'NUMBER']]);
+      assert.equal(first, second);
+      assert.equal(loads, 1);
+    }));
+
+    it('loads again once the TTL has passed', () => catalog.loadColumns(view).then(() => {
+      clock.tick(61 * 1000);
+      return catalog.loadColumns(view);
+    }).then(() => assert.equal(loads, 2)));
+
+    it('never caches a failed lookup', () => {
+      failNext = true;
+      return catalog.loadColumns(view)
+        .then(() => assert.fail('the lookup did not fail'), (error) => assert.equal(error.message, 'Zoho is down'))
+        .then(() => catalog.loadColumns(view))
+        .then((columnTypes) => {
+          assert.equal(columnTypes.get('SKU'), 'PLAIN');
+          assert.equal(loads, 2);
+        });
+    });
+  });
+});